@@ -3,11 +3,20 @@ import React from 'react';
 import { BrowserRouter as Router, Navigate, Route, Routes } from 'react-router-dom';
 import Layout from './components/Layout';
 import ScrollToTop from './components/ScrollToTop';
+import RequireCustomer from './components/RequireCustomer';
 import HomePage from './pages/HomePage';
 import ProductDetails from './pages/ProductDetails';
 import CartPage from './pages/CartPage';
 import SearchPage from './pages/SearchPage';
 import AllProductsPage from './pages/AllProductsPage';
+import AccountPage from './pages/AccountPage';
+import AccountLoginPage from './pages/AccountLoginPage';
+import AccountRegisterPage from './pages/AccountRegisterPage';
+import AccountOrdersPage from './pages/AccountOrdersPage';
+import AccountOrderPage from './pages/AccountOrderPage';
+import AccountAddressesPage from './pages/AccountAddressesPage';
+import AccountRecoverPage from './pages/AccountRecoverPage';
+import AccountResetPage from './pages/AccountResetPage';
 
 export default function App() {
   return (
@@ -26,6 +35,47 @@ export default function App() {
           <Route path="product/:slug" element={<ProductDetails />} />
           <Route path="cart" element={<CartPage />} />
           <Route path="search" element={<SearchPage />} />
+          <Route
+            path="account"
+            element={
+              <RequireCustomer>
+                <AccountPage />
+              </RequireCustomer>
+            }
+          />
+          <Route
+            path="account/orders"
+            element={
+              <RequireCustomer>
+                <AccountOrdersPage />
+              </RequireCustomer>
+            }
+          />
+          <Route
+            path="account/orders/:id"
+            element={
+              <RequireCustomer>
+                <AccountOrderPage />
+              </RequireCustomer>
+            }
+          />
+          <Route
+            path="account/addresses"
+            element={
+              <RequireCustomer>
+                <AccountAddressesPage />
+              </RequireCustomer>
+            }
+          />
+          <Route path="account/login" element={<AccountLoginPage />} />
+          <Route path="account/register" element={<AccountRegisterPage />} />
+          <Route path="account/recover" element={<AccountRecoverPage />} />
+          <Route path="account/reset/:id/:token" element={<AccountResetPage mode="reset" />} />
+          <Route
+            path="account/activate/:id/:token"
+            element={<AccountResetPage mode="activate" />}
+          />
+          <Route path="login" element={<Navigate to="/account/login" replace />} />
           <Route path="product" element={<Navigate to="/" replace />} />
           <Route path="*" element={<Navigate to="/" replace />} />
         </Route>
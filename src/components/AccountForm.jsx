@@ -0,0 +1,89 @@
+// src/components/AccountForm.jsx
+import React from 'react';
+
+export const AccountShell = ({ title, subtitle, children, footer }) => (
+  <section className="mx-auto flex w-full max-w-md flex-col gap-8 px-4 py-16 sm:px-6">
+    <header className="space-y-3 border-b border-neutral-200 pb-4 text-center">
+      <h1 className="text-2xl font-semibold uppercase tracking-[0.3em] text-neutral-900">
+        {title}
+      </h1>
+      {subtitle && (
+        <p className="text-xs uppercase leading-relaxed tracking-[0.25em] text-neutral-500">
+          {subtitle}
+        </p>
+      )}
+    </header>
+    {children}
+    {footer && (
+      <div className="space-y-2 text-center text-[11px] uppercase tracking-[0.28em] text-neutral-600">
+        {footer}
+      </div>
+    )}
+  </section>
+);
+
+export const FormField = ({
+  id,
+  label,
+  type = 'text',
+  value,
+  onChange,
+  error,
+  autoComplete,
+  required = true,
+}) => (
+  <div className="space-y-2">
+    <label htmlFor={id} className="block text-[10px] uppercase tracking-[0.28em] text-neutral-600">
+      {label}
+    </label>
+    <input
+      id={id}
+      name={id}
+      type={type}
+      value={value}
+      onChange={(event) => onChange(event.target.value)}
+      autoComplete={autoComplete}
+      required={required}
+      aria-invalid={Boolean(error)}
+      aria-describedby={error ? `${id}-error` : undefined}
+      className={`w-full border px-4 py-3 text-sm tracking-[0.12em] text-neutral-900 focus:outline-none focus:ring-1 ${
+        error
+          ? 'border-red-400 focus:border-red-500 focus:ring-red-500'
+          : 'border-neutral-300 focus:border-neutral-900 focus:ring-neutral-900'
+      }`}
+    />
+    {error && (
+      <p id={`${id}-error`} className="text-[11px] tracking-[0.12em] text-red-700">
+        {error}
+      </p>
+    )}
+  </div>
+);
+
+export const FormErrors = ({ messages = [] }) =>
+  messages.length ? (
+    <div
+      role="alert"
+      className="space-y-1 rounded-2xl border border-red-400 bg-red-50 px-4 py-3 text-xs leading-relaxed tracking-[0.2em] text-red-700"
+    >
+      {messages.map((message) => (
+        <p key={message}>{message}</p>
+      ))}
+    </div>
+  ) : null;
+
+export const FormNotice = ({ children }) => (
+  <p className="rounded-2xl border border-neutral-200 bg-neutral-50 px-4 py-3 text-xs leading-relaxed tracking-[0.2em] text-neutral-700">
+    {children}
+  </p>
+);
+
+export const SubmitButton = ({ loading, loadingLabel = 'Please wait…', children }) => (
+  <button
+    type="submit"
+    disabled={loading}
+    className="w-full rounded-full bg-neutral-900 py-4 text-[11px] uppercase tracking-[0.35em] text-white transition hover:bg-neutral-800 disabled:cursor-not-allowed disabled:bg-neutral-600"
+  >
+    {loading ? loadingLabel : children}
+  </button>
+);
@@ -0,0 +1,88 @@
+// src/components/BackInStockForm.jsx
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '../contexts/auth-context';
+import { isValidEmail, subscribeToBackInStock } from '../lib/back-in-stock';
+
+const BackInStockForm = ({ productHandle, variant, variantLabel }) => {
+  const { customer } = useAuth();
+  const [email, setEmail] = useState(customer?.email ?? '');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [subscribedId, setSubscribedId] = useState(null);
+
+  useEffect(() => {
+    if (customer?.email) setEmail((current) => current || customer.email);
+  }, [customer?.email]);
+
+  useEffect(() => {
+    setError(null);
+  }, [variant?.id]);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (submitting || !variant?.id) return;
+
+    if (!isValidEmail(email)) {
+      setError('Enter a valid email address.');
+      return;
+    }
+
+    setError(null);
+    setSubmitting(true);
+    try {
+      await subscribeToBackInStock({
+        email,
+        variantId: variant.id,
+        productHandle,
+        customerId: customer?.id ?? null,
+      });
+      setSubscribedId(variant.id);
+    } catch (subscribeError) {
+      console.error('Back in stock sign-up failed', subscribeError);
+      setError('We could not save your request right now. Please try again in a moment.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (subscribedId && subscribedId === variant?.id) {
+    return (
+      <p className="border border-neutral-300 bg-neutral-50 px-5 py-4 text-[11px] uppercase leading-relaxed tracking-[0.24em] text-neutral-700">
+        We will email {email.trim().toLowerCase()} when
+        {variantLabel ? ` ${variantLabel}` : ' this item'} is back in stock.
+      </p>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3" noValidate>
+      <p className="text-[11px] uppercase tracking-[0.24em] text-neutral-600">
+        {variantLabel ? `${variantLabel} is sold out.` : 'Sold out.'} Get an email when it returns.
+      </p>
+      <label htmlFor="back-in-stock-email" className="sr-only">
+        Email
+      </label>
+      <input
+        id="back-in-stock-email"
+        type="email"
+        value={email}
+        onChange={(event) => setEmail(event.target.value)}
+        placeholder="EMAIL ADDRESS"
+        autoComplete="email"
+        className="w-full border border-neutral-300 px-5 py-4 text-sm tracking-[0.18em] text-neutral-700 placeholder:text-neutral-400 focus:border-neutral-900 focus:outline-none focus:ring-1 focus:ring-neutral-900"
+      />
+      {error && (
+        <p className="text-[11px] uppercase tracking-[0.2em] text-red-700">{error}</p>
+      )}
+      <button
+        type="submit"
+        disabled={submitting}
+        className="w-full border border-neutral-900 bg-neutral-900 py-4 text-[11px] uppercase tracking-[0.32em] text-white transition-transform duration-200 hover:bg-neutral-800 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-neutral-900 focus-visible:ring-offset-2 active:scale-95 disabled:cursor-not-allowed disabled:opacity-60 disabled:active:scale-100"
+      >
+        {submitting ? 'Saving…' : 'Notify Me'}
+      </button>
+    </form>
+  );
+};
+
+export default BackInStockForm;
@@ -4,134 +4,31 @@ import { useNavigate } from 'react-router-dom';
 import { motion as Motion } from 'framer-motion';
 import { Minus, Plus, Trash2, X } from 'lucide-react';
 import { useCart } from '../contexts/cart-context';
-import { useCatalog } from '../contexts/catalog-context';
-import {
-  cartCreate,
-  fetchProductByHandle,
-  findVariantForSize,
-  formatMoney,
-  getProductImageUrl,
-} from '../lib/shopify';
+import DiscountCodeForm from './DiscountCodeForm';
+import DeliveryEstimate from './DeliveryEstimate';
+import { formatMoney, lowStockQuantity } from '../lib/shopify';
 
 const CartDrawer = ({ open, onClose }) => {
   const navigate = useNavigate();
-  const { items, updateQuantity, removeItem } = useCart();
-  const { getProduct } = useCatalog();
-  const [externalProducts, setExternalProducts] = useState({});
+  const { items, lines, cart, syncing, syncError, updateQuantity, removeItem, getCheckoutUrl } =
+    useCart();
   const [isCheckingOut, setIsCheckingOut] = useState(false);
   const [checkoutError, setCheckoutError] = useState(null);
   const drawerRef = useRef(null);
   const closeButtonRef = useRef(null);
   const lastFocusedRef = useRef(null);
 
-
-  const cartHandles = useMemo(
-    () => Array.from(new Set(items.map((item) => item.slug).filter(Boolean))),
-    [items],
-  );
-
-  useEffect(() => {
-    const missingHandles = cartHandles.filter(
-      (handle) => !getProduct(handle) && !externalProducts[handle],
-    );
-    if (!missingHandles.length) return;
-
-    let cancelled = false;
-
-
-    (async () => {
-      const fetched = {};
-      const failures = [];
-      for (const handle of missingHandles) {
-        try {
-          const product = await fetchProductByHandle(handle);
-          if (product) {
-            fetched[handle] = product;
-          } else {
-            failures.push(handle);
-          }
-        } catch (error) {
-          console.error(`Failed to load Shopify product "${handle}"`, error);
-          failures.push(handle);
-        }
-      }
-
-      if (cancelled) return;
-      if (Object.keys(fetched).length) {
-        setExternalProducts((prev) => ({ ...prev, ...fetched }));
-      }
-
-      if (failures.length) {
-        failures.forEach((handle) => {
-          removeItem(handle);
-        });
-      }
-
-
-    })();
-
-    return () => {
-      cancelled = true;
-    };
-  }, [cartHandles, getProduct, externalProducts, removeItem]);
-
-  const cartItems = useMemo(
-    () =>
-      items.map((item) => {
-        const handle = item.slug;
-        const product = getProduct(handle) ?? externalProducts[handle];
-        const quantity = item.quantity ?? 1;
-
-        if (!product) {
-          return {
-            id: item.id,
-            handle,
-            quantity,
-            size: item.size ?? null,
-            loading: true,
-          };
-        }
-
-        const variant = findVariantForSize(product, item.size);
-        const unitPriceAmount = variant?.price ?? product.price ?? 0;
-        const currencyCode = variant?.currencyCode ?? product.currencyCode;
-
-        return {
-          id: item.id,
-          handle,
-          product,
-          variant,
-          quantity,
-          size: item.size ?? null,
-          loading: false,
-          unitPrice: {
-            amount: unitPriceAmount,
-            currency: currencyCode,
-          },
-          lineTotal: {
-            amount: unitPriceAmount * quantity,
-            currency: currencyCode,
-          },
-        };
-      }),
-    [items, getProduct, externalProducts],
-  );
-
-  const readyItems = useMemo(
-    () => cartItems.filter((item) => !item.loading && item.product),
-    [cartItems],
-  );
+  const readyItems = useMemo(() => lines.filter((entry) => entry.line), [lines]);
   const displayItems = useMemo(() => [...readyItems].reverse(), [readyItems]);
+  const missingItems = useMemo(() => lines.filter((entry) => entry.missing), [lines]);
+  const hasUnavailable = readyItems.some((entry) => !entry.line.availableForSale);
 
-  const subtotalAmount = readyItems.reduce(
-    (acc, item) => acc + (item.lineTotal?.amount ?? 0),
-    0,
+  const subtotalLabel = formatMoney(
+    cart?.grossSubtotal.amount ?? 0,
+    cart?.grossSubtotal.currencyCode,
   );
-  const subtotalCurrency = readyItems[0]?.lineTotal?.currency;
-  const subtotalLabel = formatMoney(subtotalAmount, subtotalCurrency);
-
-  const resolveVariantId = (product, size) =>
-    findVariantForSize(product, size)?.id ?? null;
+  const discountAmount = cart?.discountTotal.amount ?? 0;
+  const totalLabel = formatMoney(cart?.total.amount ?? 0, cart?.total.currencyCode);
 
   useEffect(() => {
     if (!open) return undefined;
@@ -176,104 +73,16 @@ const CartDrawer = ({ open, onClose }) => {
     if (!items.length || isCheckingOut) return;
 
     setCheckoutError(null);
-    setIsCheckingOut(true);
-
-    try {
-      const productMap = new Map();
-
-      cartItems.forEach((item) => {
-        if (!item.loading && item.product) {
-          productMap.set(item.handle, item.product);
-        }
-      });
-
-      const handlesToFetch = cartHandles.filter((handle) => !productMap.has(handle));
-      const fetchErrors = [];
-
-      await Promise.all(
-        handlesToFetch.map(async (handle) => {
-          try {
-            const product = await fetchProductByHandle(handle);
-            if (product) {
-              productMap.set(handle, product);
-            } else {
-              fetchErrors.push(handle);
-            }
-          } catch (error) {
-            console.error(`Failed to fetch Shopify product "${handle}"`, error);
-            fetchErrors.push(handle);
-          }
-        }),
-      );
-
-      if (fetchErrors.length) {
-        setCheckoutError(
-          `Some products are not available in Shopify (handles: ${fetchErrors.join(
-            ', ',
-          )}). Update the handles in your catalog or publish those products before checking out.`,
-        );
-        return;
-      }
-
-      const missingVariants = [];
-      const lines = [];
-
-      for (const lineItem of cartItems) {
-        if (lineItem.loading || !lineItem.product) {
-          missingVariants.push({ handle: lineItem.handle, reason: 'product' });
-          continue;
-        }
-
-        const product = productMap.get(lineItem.handle);
-        if (!product) {
-          missingVariants.push({ handle: lineItem.handle, reason: 'product' });
-          continue;
-        }
-
-        const merchandiseId = resolveVariantId(product, lineItem.size);
-        if (!merchandiseId) {
-          missingVariants.push({
-            handle: lineItem.handle,
-            size: lineItem.size ?? null,
-            reason: 'variant',
-          });
-          continue;
-        }
-
-        const quantity = Number(lineItem.quantity ?? 1);
-        if (!Number.isFinite(quantity) || quantity < 1) continue;
-
-        lines.push({
-          merchandiseId,
-          quantity: Math.min(Math.floor(quantity), 99),
-        });
-      }
-
-      if (missingVariants.length) {
-        const messages = missingVariants.map((entry) =>
-          entry.reason === 'product'
-            ? `Product "${entry.handle}" is unavailable in Shopify.`
-            : `Variant for "${entry.handle}" with size "${entry.size ?? 'default'}" was not found.`,
-        );
-        setCheckoutError(messages.join(' '));
-        return;
-      }
 
-      if (!lines.length) {
-        setCheckoutError(
-          'Unable to prepare checkout for your items. Please refresh the page or contact support.',
-        );
-        return;
-      }
-
-      const cart = await cartCreate(lines);
-      const checkoutUrl = cart?.checkoutUrl;
+    if (hasUnavailable) {
+      setCheckoutError('Some items are no longer available. Remove them to continue.');
+      return;
+    }
 
-      if (!checkoutUrl) {
-        setCheckoutError('Checkout link unavailable. Please try again in a moment.');
-        return;
-      }
+    setIsCheckingOut(true);
 
+    try {
+      const checkoutUrl = await getCheckoutUrl();
       window.location.assign(checkoutUrl);
     } catch (error) {
       console.error('Shopify checkout failed', error);
@@ -325,22 +134,24 @@ const CartDrawer = ({ open, onClose }) => {
             </header>
 
             <div className="flex-1 overflow-y-auto px-6 py-6">
-              {cartItems.length === 0 ? (
+              {items.length === 0 ? (
                 <p className="text-sm uppercase tracking-[0.3em] text-neutral-500">
                   Your cart is currently empty.
                 </p>
               ) : (
                 <div className="space-y-6">
                   {displayItems.map((item) => {
-                      const imageUrl = getProductImageUrl(item.product);
+                      const imageUrl = item.line.image?.url ?? '';
                       const unitPriceLabel = formatMoney(
-                        item.unitPrice.amount,
-                        item.unitPrice.currency,
+                        item.line.unitPrice.amount,
+                        item.line.unitPrice.currencyCode,
                       );
                       const lineTotalLabel = formatMoney(
-                        item.lineTotal.amount,
-                        item.lineTotal.currency,
+                        item.line.lineTotal.amount,
+                        item.line.lineTotal.currencyCode,
                       );
+                      const stockLeft = lowStockQuantity(item.line);
+                      const compareAt = item.line.compareAtUnitPrice;
 
                       return (
                         <div key={item.id} className="flex gap-4">
@@ -348,7 +159,7 @@ const CartDrawer = ({ open, onClose }) => {
                             {imageUrl ? (
                               <img
                                 src={imageUrl}
-                                alt={item.product.title}
+                                alt={item.line.title}
                                 className="h-full w-full object-cover"
                                 loading="lazy"
                               />
@@ -360,15 +171,48 @@ const CartDrawer = ({ open, onClose }) => {
                           </div>
                           <div className="flex flex-1 flex-col gap-2 text-[11px] uppercase tracking-[0.25em]">
                             <div className="flex items-start justify-between gap-3">
-                              <p className="text-neutral-900">{item.product.title}</p>
+                              <p className="text-neutral-900">{item.line.title}</p>
                               <span className="whitespace-nowrap text-neutral-900">
                                 {lineTotalLabel}
                               </span>
                             </div>
                             <div className="flex flex-wrap gap-x-4 gap-y-1 text-neutral-500">
-                              <span>{unitPriceLabel}</span>
-                              {item.size && <span>Size: {item.size}</span>}
+                              <span>
+                                {unitPriceLabel}
+                                {compareAt && (
+                                  <s className="ml-2 text-neutral-400">
+                                    {formatMoney(compareAt.amount, compareAt.currencyCode)}
+                                  </s>
+                                )}
+                              </span>
+                              {compareAt && (
+                                <span className="text-emerald-700">
+                                  Save{' '}
+                                  {formatMoney(
+                                    (compareAt.amount - item.line.unitPrice.amount) * item.quantity,
+                                    compareAt.currencyCode,
+                                  )}
+                                </span>
+                              )}
+                              {item.size && <span>{item.size}</span>}
+                              {!item.line.availableForSale && (
+                                <span className="text-red-600">Sold Out</span>
+                              )}
+                              {stockLeft && (
+                                <span className="text-amber-700">Only {stockLeft} left</span>
+                              )}
                             </div>
+                            {item.line.discounts.map((discount) => (
+                              <div
+                                key={discount.label}
+                                className="flex justify-between text-[10px] text-emerald-700"
+                              >
+                                <span>{discount.label}</span>
+                                <span>
+                                  -{formatMoney(discount.amount.amount, discount.amount.currencyCode)}
+                                </span>
+                              </div>
+                            ))}
                             <div className="mt-1 flex items-center justify-between text-neutral-600">
                               <div className="flex items-center rounded-lg border border-neutral-300">
                                 <button
@@ -377,7 +221,7 @@ const CartDrawer = ({ open, onClose }) => {
                                   className="px-3 py-1 transition hover:text-neutral-900 active:scale-95"
                                   onClick={() =>
                                     updateQuantity(
-                                      item.handle,
+                                      item.slug,
                                       item.size ?? null,
                                       item.quantity - 1,
                                     )
@@ -389,10 +233,11 @@ const CartDrawer = ({ open, onClose }) => {
                                 <button
                                   type="button"
                                   aria-label="Increase quantity"
-                                  className="px-3 py-1 transition hover:text-neutral-900 active:scale-95"
+                                  disabled={item.quantity >= item.maxQuantity}
+                                  className="px-3 py-1 transition hover:text-neutral-900 active:scale-95 disabled:cursor-not-allowed disabled:opacity-40 disabled:active:scale-100"
                                   onClick={() =>
                                     updateQuantity(
-                                      item.handle,
+                                      item.slug,
                                       item.size ?? null,
                                       item.quantity + 1,
                                     )
@@ -405,7 +250,7 @@ const CartDrawer = ({ open, onClose }) => {
                                 type="button"
                                 aria-label="Remove item"
                                 className="rounded-full border border-transparent p-2 transition hover:border-neutral-200 active:scale-95"
-                                onClick={() => removeItem(item.handle, item.size ?? null)}
+                                onClick={() => removeItem(item.slug, item.size ?? null)}
                               >
                                 <Trash2 className="h-4 w-4" />
                               </button>
@@ -414,6 +259,30 @@ const CartDrawer = ({ open, onClose }) => {
                         </div>
                       );
                     })}
+                  {missingItems.map((item) => (
+                    <div
+                      key={item.id}
+                      className="flex items-center justify-between gap-3 rounded-xl border border-red-300 bg-red-50 px-4 py-3 text-[10px] uppercase tracking-[0.22em] text-red-700"
+                    >
+                      <span>
+                        {item.missing.title}
+                        {item.size && ` · ${item.size}`} is no longer available
+                      </span>
+                      <button
+                        type="button"
+                        aria-label="Remove unavailable item"
+                        className="rounded-full border border-transparent p-2 transition hover:border-red-200 active:scale-95"
+                        onClick={() => removeItem(item.slug, item.size ?? null)}
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+                  {syncing && readyItems.length + missingItems.length < items.length && (
+                    <p className="text-[11px] uppercase tracking-[0.3em] text-neutral-500">
+                      Updating your cart…
+                    </p>
+                  )}
                 </div>
               )}
             </div>
@@ -423,6 +292,26 @@ const CartDrawer = ({ open, onClose }) => {
                 <span>Subtotal</span>
                 <span className="text-neutral-900">{subtotalLabel}</span>
               </div>
+              {discountAmount > 0 && (
+                <>
+                  <div className="mt-2 flex items-center justify-between text-xs uppercase tracking-[0.3em] text-emerald-700">
+                    <span>Discounts</span>
+                    <span>
+                      -{formatMoney(discountAmount, cart.discountTotal.currencyCode)}
+                    </span>
+                  </div>
+                  <div className="mt-2 flex items-center justify-between text-xs uppercase tracking-[0.3em] text-neutral-900">
+                    <span>Total</span>
+                    <span className="font-semibold">{totalLabel}</span>
+                  </div>
+                </>
+              )}
+              <div className="mt-4">
+                <DeliveryEstimate id="drawer-pincode" compact />
+              </div>
+              <div className="mt-4">
+                <DiscountCodeForm compact />
+              </div>
               <p className="mt-2 text-[10px] uppercase tracking-[0.32em] text-neutral-500">
                 Taxes and shipping calculated at checkout.
               </p>
@@ -444,9 +333,9 @@ const CartDrawer = ({ open, onClose }) => {
                   View Full Cart
                 </button>
               </div>
-              {checkoutError && (
+              {(checkoutError || syncError) && (
                 <p className="mt-4 rounded-2xl border border-red-400 bg-red-50 px-4 py-3 text-[10px] uppercase tracking-[0.2em] text-red-700">
-                  {checkoutError}
+                  {checkoutError ?? 'We could not update your cart. Please refresh and try again.'}
                 </p>
               )}
             </footer>
@@ -0,0 +1,103 @@
+// src/components/DeliveryEstimate.jsx
+import React, { useEffect, useState } from 'react';
+import { Truck, Wallet, Zap } from 'lucide-react';
+import { useDelivery } from '../contexts/delivery-context';
+import { formatDeliveryWindow, normalisePincode } from '../lib/delivery';
+
+const DeliveryEstimate = ({ id = 'delivery-pincode', compact = false }) => {
+  const { pincode, estimate, checking, error, checkPincode } = useDelivery();
+  const [value, setValue] = useState(pincode);
+
+  // Keep the field in step with a pincode checked elsewhere (another product, the cart).
+  useEffect(() => {
+    setValue(pincode);
+  }, [pincode]);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!value.trim() || checking) return;
+    checkPincode(value);
+  };
+
+  const textSize = compact ? 'text-[10px]' : 'text-[11px]';
+  const showResult = estimate && normalisePincode(value) === estimate.pincode;
+
+  return (
+    <div className="space-y-3">
+      <form
+        onSubmit={handleSubmit}
+        className={
+          compact
+            ? 'flex gap-2'
+            : 'grid grid-cols-1 gap-3 sm:grid-cols-[minmax(0,1fr)_130px]'
+        }
+      >
+        <label htmlFor={id} className="sr-only">
+          Pincode
+        </label>
+        <input
+          id={id}
+          type="text"
+          inputMode="numeric"
+          maxLength={6}
+          value={value}
+          onChange={(event) => setValue(event.target.value.replace(/\D/g, ''))}
+          placeholder="ENTER YOUR PINCODE"
+          autoComplete="postal-code"
+          className={
+            compact
+              ? `min-w-0 flex-1 rounded-full border border-neutral-300 px-4 py-2 ${textSize} uppercase tracking-[0.25em] text-neutral-900 placeholder:text-neutral-400 focus:border-neutral-900 focus:outline-none`
+              : 'h-full min-h-[52px] border border-neutral-300 px-5 py-3 text-sm tracking-[0.18em] text-neutral-700 placeholder:text-neutral-400 focus:border-neutral-900 focus:outline-none focus:ring-1 focus:ring-neutral-900'
+          }
+        />
+        <button
+          type="submit"
+          disabled={!value.trim() || checking}
+          className={
+            compact
+              ? `rounded-full border border-neutral-900 px-4 py-2 ${textSize} uppercase tracking-[0.3em] text-neutral-900 transition hover:bg-neutral-900 hover:text-white disabled:cursor-not-allowed disabled:opacity-40`
+              : 'flex h-full min-h-[52px] items-center justify-center border border-neutral-900 px-5 text-[11px] uppercase tracking-[0.32em] text-neutral-900 transition hover:bg-neutral-900 hover:text-white disabled:cursor-not-allowed disabled:opacity-40'
+          }
+        >
+          {checking ? 'Checking…' : 'Check'}
+        </button>
+      </form>
+
+      {error && (
+        <p className={`${textSize} uppercase tracking-[0.2em] text-red-700`}>{error}</p>
+      )}
+
+      {showResult && !estimate.serviceable && (
+        <p className={`${textSize} uppercase tracking-[0.2em] text-red-700`}>
+          We do not deliver to {estimate.pincode} yet.
+        </p>
+      )}
+
+      {showResult && estimate.serviceable && (
+        <ul className={`space-y-2 ${textSize} uppercase tracking-[0.2em] text-neutral-600`}>
+          <li className="flex items-center gap-2 text-neutral-900">
+            <Truck className="h-4 w-4 shrink-0" />
+            <span>
+              {formatDeliveryWindow(estimate)}
+              {estimate.place && (
+                <span className="text-neutral-500"> · {estimate.place}</span>
+              )}
+            </span>
+          </li>
+          <li className="flex items-center gap-2">
+            <Wallet className="h-4 w-4 shrink-0" />
+            {estimate.cod ? 'Cash on delivery available' : 'Prepaid orders only'}
+          </li>
+          {estimate.express && (
+            <li className="flex items-center gap-2">
+              <Zap className="h-4 w-4 shrink-0" />
+              Express delivery available at checkout
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DeliveryEstimate;
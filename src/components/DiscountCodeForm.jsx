@@ -0,0 +1,103 @@
+// src/components/DiscountCodeForm.jsx
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { useCart } from '../contexts/cart-context';
+
+const DiscountCodeForm = ({ compact = false }) => {
+  const { cart, discountCodes, applyDiscountCode, removeDiscountCode, syncing } = useCart();
+  const [code, setCode] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const statusByCode = new Map(
+    (cart?.discountCodes ?? []).map((entry) => [entry.code.toLowerCase(), entry.applicable]),
+  );
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!code.trim() || submitting) return;
+
+    setError(null);
+    setSubmitting(true);
+    const failure = await applyDiscountCode(code);
+    setSubmitting(false);
+
+    if (failure) {
+      setError(failure.message || 'We could not apply that code. Please try again.');
+      return;
+    }
+    setCode('');
+  };
+
+  const textSize = compact ? 'text-[10px]' : 'text-[11px]';
+
+  return (
+    <div className="space-y-3">
+      <form onSubmit={handleSubmit} className="flex gap-2">
+        <label htmlFor={compact ? 'drawer-discount-code' : 'cart-discount-code'} className="sr-only">
+          Discount code
+        </label>
+        <input
+          id={compact ? 'drawer-discount-code' : 'cart-discount-code'}
+          type="text"
+          value={code}
+          onChange={(event) => setCode(event.target.value)}
+          placeholder="DISCOUNT CODE"
+          autoComplete="off"
+          className={`min-w-0 flex-1 rounded-full border border-neutral-300 px-4 py-2 ${textSize} uppercase tracking-[0.25em] text-neutral-900 placeholder:text-neutral-400 focus:border-neutral-900 focus:outline-none`}
+        />
+        <button
+          type="submit"
+          disabled={!code.trim() || submitting}
+          className={`rounded-full border border-neutral-900 px-4 py-2 ${textSize} uppercase tracking-[0.3em] text-neutral-900 transition hover:bg-neutral-900 hover:text-white disabled:cursor-not-allowed disabled:opacity-40`}
+        >
+          {submitting ? 'Applying…' : 'Apply'}
+        </button>
+      </form>
+
+      {error && (
+        <p className={`${textSize} uppercase tracking-[0.2em] text-red-700`}>{error}</p>
+      )}
+
+      {discountCodes.length > 0 && (
+        <ul className="flex flex-wrap gap-2">
+          {discountCodes.map((entry) => {
+            const applicable = statusByCode.get(entry.toLowerCase());
+            const status =
+              applicable === undefined
+                ? syncing
+                  ? 'Checking…'
+                  : 'Pending'
+                : applicable
+                  ? 'Applied'
+                  : 'Not applicable';
+
+            return (
+              <li
+                key={entry}
+                className={`flex items-center gap-2 rounded-full border px-3 py-1 ${textSize} uppercase tracking-[0.2em] ${
+                  applicable === false
+                    ? 'border-red-300 text-red-700'
+                    : 'border-neutral-300 text-neutral-700'
+                }`}
+              >
+                <span className="font-semibold">{entry}</span>
+                <span className="text-neutral-500">{status}</span>
+                <button
+                  type="button"
+                  onClick={() => removeDiscountCode(entry)}
+                  aria-label={`Remove discount code ${entry}`}
+                  className="text-neutral-400 transition hover:text-neutral-900"
+                >
+                  <X className="h-3 w-3" />
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DiscountCodeForm;
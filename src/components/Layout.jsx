@@ -5,6 +5,9 @@ import Navbar from './Navbar';
 import Footer from './Footer';
 import CatalogProvider from '../contexts/catalog-context';
 import CartProvider from '../contexts/cart-context';
+import AuthProvider from '../contexts/auth-context';
+import DeliveryProvider from '../contexts/delivery-context';
+import SearchProvider from '../contexts/search-context';
 import NotificationProvider from './NotificationProvider';
 import SearchOverlay from './SearchOverlay';
 import CartDrawer from './CartDrawer';
@@ -62,28 +65,34 @@ const Layout = () => {
 
   return (
     <CatalogProvider productLimit={250}>
-      <CartProvider>
-        <NotificationProvider>
-          <div className="bg-white text-neutral-900 min-h-screen flex flex-col">
-            <div className="sticky top-0 z-50">
-              <TopAnnouncement />
-              <Navbar
-                onSearchClick={() => setSearchOpen(true)}
-                onCartClick={() => setCartOpen(true)}
-              />
-            </div>
+      <AuthProvider>
+        <CartProvider>
+          <DeliveryProvider>
+            <SearchProvider>
+              <NotificationProvider>
+                <div className="bg-white text-neutral-900 min-h-screen flex flex-col">
+                  <div className="sticky top-0 z-50">
+                    <TopAnnouncement />
+                    <Navbar
+                      onSearchClick={() => setSearchOpen(true)}
+                      onCartClick={() => setCartOpen(true)}
+                    />
+                  </div>
 
-            <main className="flex-grow">
-              <Outlet context={outletContext} />
-            </main>
+                  <main className="flex-grow">
+                    <Outlet context={outletContext} />
+                  </main>
 
-            <Footer />
+                  <Footer />
 
-            <SearchOverlay open={searchOpen} onClose={() => setSearchOpen(false)} />
-            <CartDrawer open={cartOpen} onClose={() => setCartOpen(false)} />
-          </div>
-        </NotificationProvider>
-      </CartProvider>
+                  <SearchOverlay open={searchOpen} onClose={() => setSearchOpen(false)} />
+                  <CartDrawer open={cartOpen} onClose={() => setCartOpen(false)} />
+                </div>
+              </NotificationProvider>
+            </SearchProvider>
+          </DeliveryProvider>
+        </CartProvider>
+      </AuthProvider>
     </CatalogProvider>
   );
 };
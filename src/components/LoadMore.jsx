@@ -0,0 +1,51 @@
+// src/components/LoadMore.jsx
+import React, { useEffect, useRef } from 'react';
+
+// "Load more" control for product listings. With `auto` set it also loads the
+// next page when the button scrolls into view; the button stays as a fallback.
+const LoadMore = ({ hasMore, loading, onLoadMore, auto = false, shownCount }) => {
+  const sentinelRef = useRef(null);
+  const onLoadMoreRef = useRef(onLoadMore);
+
+  useEffect(() => {
+    onLoadMoreRef.current = onLoadMore;
+  }, [onLoadMore]);
+
+  useEffect(() => {
+    if (!auto || !hasMore || loading) return undefined;
+    const node = sentinelRef.current;
+    if (!node || typeof IntersectionObserver === 'undefined') return undefined;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) onLoadMoreRef.current?.();
+      },
+      { rootMargin: '600px 0px' },
+    );
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [auto, hasMore, loading]);
+
+  if (!hasMore && !loading) return null;
+
+  return (
+    <div ref={sentinelRef} className="flex flex-col items-center gap-3 py-12">
+      {shownCount != null && (
+        <p className="text-[10px] uppercase tracking-[0.28em] text-neutral-500">
+          Showing {shownCount} Styles
+        </p>
+      )}
+      <button
+        type="button"
+        onClick={onLoadMore}
+        disabled={loading || !hasMore}
+        aria-busy={loading}
+        className="rounded-full border border-neutral-900 px-8 py-3 text-[11px] font-bold uppercase tracking-[0.28em] transition hover:bg-neutral-900 hover:text-white disabled:cursor-not-allowed disabled:opacity-60 disabled:hover:bg-transparent disabled:hover:text-neutral-900"
+      >
+        {loading ? 'Loading…' : 'Load More'}
+      </button>
+    </div>
+  );
+};
+
+export default LoadMore;
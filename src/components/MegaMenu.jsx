@@ -0,0 +1,170 @@
+// src/components/MegaMenu.jsx
+import React from 'react';
+import { Link } from 'react-router-dom';
+import MenuLink from './MenuLink';
+import { toProductCard } from '../lib/shopify';
+
+const focusableLinks = (container) =>
+  Array.from(container?.querySelectorAll('a[href]') ?? []);
+
+// Arrow keys move between the panel's links, Escape hands focus back to the trigger.
+const handlePanelKeyDown = (event, onClose) => {
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    onClose({ restoreFocus: true });
+    return;
+  }
+
+  const links = focusableLinks(event.currentTarget);
+  if (!links.length) return;
+  const index = links.indexOf(document.activeElement);
+  const moves = {
+    ArrowDown: index + 1,
+    ArrowRight: index + 1,
+    ArrowUp: index - 1,
+    ArrowLeft: index - 1,
+    Home: 0,
+    End: links.length - 1,
+  };
+  if (!(event.key in moves)) return;
+  event.preventDefault();
+  links[(moves[event.key] + links.length) % links.length]?.focus();
+};
+
+const MegaMenu = ({
+  id,
+  item,
+  isOpen,
+  panelRef,
+  collectionImages,
+  newIn = [],
+  featured = null,
+  isLinkActive,
+  onClose,
+}) => {
+  const featuredCard = featured ? toProductCard(featured) : null;
+  const newInCards = newIn.map(toProductCard).filter(Boolean);
+
+  return (
+    <div
+      id={id}
+      ref={panelRef}
+      role="region"
+      aria-label={`${item.label} menu`}
+      inert={!isOpen}
+      onKeyDown={(event) => handlePanelKeyDown(event, onClose)}
+      className={`absolute inset-x-0 top-full z-40 border-b border-neutral-200 bg-white text-[10px] font-semibold uppercase tracking-[0.32em] text-neutral-600 shadow-[0_25px_50px_-40px_rgba(0,0,0,0.55)] transition-all duration-200 ${
+        isOpen ? 'pointer-events-auto translate-y-0 opacity-100' : 'pointer-events-none -translate-y-1 opacity-0'
+      }`}
+    >
+      <div className="site-shell grid grid-cols-[minmax(0,2fr)_minmax(0,1fr)_minmax(0,1fr)] gap-10 py-8">
+        <div>
+          <MenuLink
+            item={item}
+            className="mb-5 inline-block text-neutral-900 underline-offset-4 hover:underline"
+          >
+            Shop All {item.label}
+          </MenuLink>
+          <ul className="grid grid-cols-4 gap-4">
+            {item.children.map((child) => {
+              const image = collectionImages.get(String(child.handle ?? '').toLowerCase());
+              const active = isLinkActive(child);
+              return (
+                <li key={child.id}>
+                  <MenuLink item={child} className="group block">
+                    <div className="aspect-[4/5] overflow-hidden bg-neutral-100">
+                      {image ? (
+                        <img
+                          src={image.url}
+                          alt={image.alt}
+                          loading="lazy"
+                          className="h-full w-full object-cover transition-transform duration-500 group-hover:scale-105"
+                        />
+                      ) : (
+                        <div className="flex h-full w-full items-center justify-center text-neutral-400">
+                          {child.label}
+                        </div>
+                      )}
+                    </div>
+                    <span
+                      className={`mt-3 block transition ${
+                        active ? 'text-neutral-900' : 'group-hover:text-neutral-900'
+                      }`}
+                    >
+                      {child.label}
+                    </span>
+                  </MenuLink>
+                  {child.children?.length > 0 && (
+                    <ul className="mt-2 space-y-1">
+                      {child.children.map((grandchild) => (
+                        <li key={grandchild.id}>
+                          <MenuLink
+                            item={grandchild}
+                            className={`text-[9px] tracking-[0.28em] transition ${
+                              isLinkActive(grandchild)
+                                ? 'text-neutral-900'
+                                : 'text-neutral-400 hover:text-neutral-900'
+                            }`}
+                          >
+                            {grandchild.label}
+                          </MenuLink>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+
+        <div>
+          <p className="mb-5 text-neutral-900">New In</p>
+          {newInCards.length ? (
+            <ul className="space-y-3">
+              {newInCards.map((card) => (
+                <li key={card.href}>
+                  <Link to={card.href} className="group flex items-center gap-3">
+                    <div className="h-14 w-12 shrink-0 overflow-hidden bg-neutral-100">
+                      {card.img && (
+                        <img src={card.img} alt={card.title} loading="lazy" className="h-full w-full object-cover" />
+                      )}
+                    </div>
+                    <span className="min-w-0 flex-1">
+                      <span className="block truncate group-hover:text-neutral-900">{card.title}</span>
+                      <span className="mt-1 block text-neutral-400">{card.price}</span>
+                    </span>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-neutral-400">New styles are on their way.</p>
+          )}
+        </div>
+
+        {featuredCard && (
+          <div>
+            <p className="mb-5 text-neutral-900">Featured</p>
+            <Link to={featuredCard.href} className="group block">
+              <div className="aspect-[4/5] overflow-hidden bg-neutral-100">
+                {featuredCard.img && (
+                  <img
+                    src={featuredCard.img}
+                    alt={featuredCard.title}
+                    loading="lazy"
+                    className="h-full w-full object-cover transition-transform duration-500 group-hover:scale-105"
+                  />
+                )}
+              </div>
+              <span className="mt-3 block group-hover:text-neutral-900">{featuredCard.title}</span>
+              <span className="mt-1 block text-neutral-400">{featuredCard.price}</span>
+            </Link>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MegaMenu;
@@ -0,0 +1,17 @@
+// src/components/MenuLink.jsx
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+// Menu items from Shopify can point off-site; those open in a new tab.
+const MenuLink = ({ item, children, ...props }) =>
+  item.external ? (
+    <a href={item.to} target="_blank" rel="noreferrer" {...props}>
+      {children}
+    </a>
+  ) : (
+    <Link to={item.to} {...props}>
+      {children}
+    </Link>
+  );
+
+export default MenuLink;
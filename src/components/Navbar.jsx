@@ -1,9 +1,20 @@
 // src/components/Navbar.jsx
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { ChevronDown, Menu, Search, ShoppingCart, X } from 'lucide-react';
 import { motion as Motion } from 'framer-motion';
+import MegaMenu from './MegaMenu';
+import MenuLink from './MenuLink';
 import { useCart } from '../contexts/cart-context';
+import { useAuth } from '../contexts/auth-context';
+import { useCatalog } from '../contexts/catalog-context';
+import { fetchNavigationMenu, getDefaultMenuItems } from '../lib/shopify';
+import {
+  collectionImageMap,
+  featuredMenuProduct,
+  menuCollectionItems,
+  newInProducts,
+} from '../lib/navigation';
 
 const categoryAliases = {
   hoodies: 'jeans',
@@ -17,8 +28,15 @@ const Navbar = ({ onSearchClick = () => {}, onCartClick = () => {} }) => {
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const [desktopDropdown, setDesktopDropdown] = useState(null);
   const [mobileDropdown, setMobileDropdown] = useState(null);
+  const [navLinks, setNavLinks] = useState(getDefaultMenuItems);
   const closeTimeoutRef = useRef(null);
+  const triggerRefs = useRef({});
+  const panelRefs = useRef({});
   const { totalItems } = useCart();
+  const { products: catalogProducts, collections: catalogCollections } = useCatalog();
+  const { isAuthenticated } = useAuth();
+  const accountHref = isAuthenticated ? '/account' : '/account/login';
+  const accountLabel = isAuthenticated ? 'ACCOUNT' : 'LOGIN';
   const location = useLocation();
   const searchParams = new URLSearchParams(location.search);
   const urlCategory = normalizeCategory(searchParams.get('category'));
@@ -28,6 +46,37 @@ const Navbar = ({ onSearchClick = () => {}, onCartClick = () => {} }) => {
   const isProductsPath =
     location.pathname === '/products' || location.pathname.startsWith('/shoes');
 
+  // The hard-coded defaults render until the Shopify menu arrives, and stay if it fails.
+  useEffect(() => {
+    let cancelled = false;
+    fetchNavigationMenu().then((items) => {
+      if (!cancelled) setNavLinks(items);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // The Shopify menu brings its collections' images; the catalogue covers the defaults.
+  const collectionImages = useMemo(
+    () => collectionImageMap(menuCollectionItems(navLinks), catalogCollections ?? []),
+    [navLinks, catalogCollections],
+  );
+
+  const megaMenuContent = useMemo(() => {
+    const content = {};
+    navLinks
+      .filter((link) => link.children?.length)
+      .forEach((link) => {
+        const newIn = newInProducts(catalogProducts ?? [], link);
+        content[link.id] = {
+          newIn,
+          featured: featuredMenuProduct(catalogProducts ?? [], link, newIn),
+        };
+      });
+    return content;
+  }, [navLinks, catalogProducts]);
+
   useEffect(() => {
     const onScroll = () => setScrolled(window.scrollY > 20);
     onScroll();
@@ -86,43 +135,64 @@ const Navbar = ({ onSearchClick = () => {}, onCartClick = () => {} }) => {
     };
   }, [mobileMenuOpen]);
 
-  const shoeDropdownLinks = [
-    { href: '/shoes/loafers', value: 'loafers', label: 'LOAFERS' },
-    { href: '/shoes/boots', value: 'boots', label: 'BOOTS' },
-    { href: '/shoes/sneakers', value: 'sneakers', label: 'SNEAKERS' },
-    { href: '/shoes/sandals', value: 'sandals', label: 'SANDALS' },
-  ];
-
-  const navLinks = [
-    { href: '/products?category=t-shirts', value: 't-shirts', label: 'T-SHIRTS' },
-    { href: '/products?category=jeans', value: 'jeans', label: 'JEANS' },
-    { href: '/shoes', value: 'shoes', label: 'SHOES', children: shoeDropdownLinks },
-  ];
+  const isLinkActive = (link) => {
+    if (link.handle) {
+      if (isProductsPath && normalizeCategory(link.handle) === activeCategory) return true;
+    } else if (!link.external && link.to === location.pathname) {
+      return true;
+    }
+    return (link.children ?? []).some(isLinkActive);
+  };
 
   const navItem =
-    'relative flex items-center gap-1 px-2 tracking-[0.25em] text-[11px] font-semibold transition-colors duration-200 before:absolute before:-left-1 before:top-1/2 before:h-1.5 before:w-1.5 before:-translate-y-1/2 before:rounded-full before:bg-neutral-900 before:opacity-0 before:content-[""] before:transition-opacity before:duration-200 after:absolute after:-bottom-1 after:left-0 after:h-[1px] after:w-full after:bg-neutral-900 after:opacity-0 after:content-[""] after:transition-transform after:duration-200 after:origin-left after:scale-x-0';
+    'relative flex items-center gap-1 px-2 uppercase tracking-[0.25em] text-[11px] font-semibold transition-colors duration-200 before:absolute before:-left-1 before:top-1/2 before:h-1.5 before:w-1.5 before:-translate-y-1/2 before:rounded-full before:bg-neutral-900 before:opacity-0 before:content-[""] before:transition-opacity before:duration-200 after:absolute after:-bottom-1 after:left-0 after:h-[1px] after:w-full after:bg-neutral-900 after:opacity-0 after:content-[""] after:transition-transform after:duration-200 after:origin-left after:scale-x-0';
+
+  const focusPanelLink = (id) => {
+    // Wait a frame for the panel to drop `inert` before moving focus into it.
+    requestAnimationFrame(() => {
+      panelRefs.current[id]?.querySelector('a[href]')?.focus();
+    });
+  };
+
+  const closeMegaMenu = (id, { restoreFocus = false } = {}) => {
+    closeDesktopDropdown(0);
+    if (restoreFocus) triggerRefs.current[id]?.focus();
+  };
+
+  const handleTriggerKeyDown = (event, id) => {
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      openDesktopDropdown(id);
+      focusPanelLink(id);
+    } else if (event.key === 'Escape') {
+      closeDesktopDropdown(0);
+    }
+  };
 
   const renderNavLink = (link) => {
-    const childActive = link.children?.some((child) => child.value === activeCategory);
-    const isActive = isProductsPath && (activeCategory === link.value || childActive);
+    const isActive = isLinkActive(link);
 
     if (link.children?.length) {
-      const isOpen = desktopDropdown === link.value;
+      const isOpen = desktopDropdown === link.id;
+      const panelId = `mega-menu-${link.id}`;
       return (
         <div
-          key={link.value}
-          className="relative"
-          onMouseEnter={() => openDesktopDropdown(link.value)}
+          key={link.id}
+          onMouseEnter={() => openDesktopDropdown(link.id)}
           onMouseLeave={() => closeDesktopDropdown()}
-          onFocusCapture={() => openDesktopDropdown(link.value)}
+          onFocusCapture={() => openDesktopDropdown(link.id)}
           onBlurCapture={(event) => {
             if (!event.currentTarget.contains(event.relatedTarget)) {
               closeDesktopDropdown();
             }
           }}
         >
-          <Link
-            to={link.href}
+          <MenuLink
+            item={link}
+            ref={(node) => {
+              triggerRefs.current[link.id] = node;
+            }}
+            onKeyDown={(event) => handleTriggerKeyDown(event, link.id)}
             className={`${navItem} ${
               isActive
                 ? 'font-semibold text-neutral-900 before:opacity-100'
@@ -130,6 +200,7 @@ const Navbar = ({ onSearchClick = () => {}, onCartClick = () => {} }) => {
             }`}
             aria-haspopup="true"
             aria-expanded={isOpen}
+            aria-controls={panelId}
           >
             {link.label}
             <ChevronDown
@@ -137,39 +208,29 @@ const Navbar = ({ onSearchClick = () => {}, onCartClick = () => {} }) => {
                 isOpen ? 'rotate-180' : ''
               }`}
             />
-          </Link>
+          </MenuLink>
 
-          <div
-            className={`absolute left-1/2 top-full mt-3 w-48 -translate-x-1/2 rounded-2xl border border-neutral-200 bg-white py-3 text-[10px] uppercase tracking-[0.32em] text-neutral-600 font-semibold shadow-[0_25px_50px_-40px_rgba(0,0,0,0.55)] transition-all duration-200 ${
-              isOpen ? 'pointer-events-auto opacity-100' : 'pointer-events-none opacity-0'
-            }`}
-          >
-            {link.children.map((child) => (
-              <Link
-                key={child.value}
-                to={child.href}
-                className={`group flex flex-col px-4 py-2 transition ${
-                  activeCategory === child.value ? 'text-neutral-900' : 'hover:text-neutral-900'
-                }`}
-              >
-                <span>{child.label}</span>
-                <span
-                  className={`mt-1 h-[1px] w-full bg-neutral-900 transition-transform duration-200 ${
-                    activeCategory === child.value ? 'scale-x-100' : 'scale-x-0 group-hover:scale-x-100'
-                  }`}
-                  aria-hidden
-                />
-              </Link>
-            ))}
-          </div>
+          <MegaMenu
+            id={panelId}
+            item={link}
+            isOpen={isOpen}
+            panelRef={(node) => {
+              panelRefs.current[link.id] = node;
+            }}
+            collectionImages={collectionImages}
+            newIn={megaMenuContent[link.id]?.newIn}
+            featured={megaMenuContent[link.id]?.featured}
+            isLinkActive={isLinkActive}
+            onClose={(options) => closeMegaMenu(link.id, options)}
+          />
         </div>
       );
     }
 
     return (
-      <Link
-        key={link.value}
-        to={link.href}
+      <MenuLink
+        key={link.id}
+        item={link}
         className={`${navItem} ${
           isActive
             ? 'font-semibold text-neutral-900 before:opacity-100'
@@ -177,13 +238,13 @@ const Navbar = ({ onSearchClick = () => {}, onCartClick = () => {} }) => {
         }`}
       >
         {link.label}
-      </Link>
+      </MenuLink>
     );
   };
 
   return (
     <header
-      className={`font-header border-t-2 border-black border-b border-neutral-200 ${
+      className={`relative font-header border-t-2 border-black border-b border-neutral-200 ${
         scrolled ? 'bg-neutral-100' : 'bg-neutral-100'
       }`}
     >
@@ -242,10 +303,10 @@ const Navbar = ({ onSearchClick = () => {}, onCartClick = () => {} }) => {
               SEARCH
             </button>
             <Link
-              to="/login"
+              to={accountHref}
               className="hidden sm:block uppercase tracking-[0.25em] text-[11px] font-semibold text-neutral-700 hover:text-neutral-900"
             >
-              LOGIN
+              {accountLabel}
             </Link>
             <button
               type="button"
@@ -312,30 +373,38 @@ const Navbar = ({ onSearchClick = () => {}, onCartClick = () => {} }) => {
             Search
             <span aria-hidden>⌕</span>
           </button>
+          <Link
+            to={accountHref}
+            onClick={() => setMobileMenuOpen(false)}
+            className="flex items-center justify-between border-b border-neutral-200 px-1 py-4 text-[11px] uppercase tracking-[0.3em] text-neutral-700 transition hover:text-neutral-900"
+          >
+            {isAuthenticated ? 'Account' : 'Login'}
+          </Link>
           {navLinks.map((link) => {
-            const childActive = link.children?.some((child) => child.value === activeCategory);
-            const isActive = isProductsPath && (activeCategory === link.value || childActive);
-            const isDropdownOpen = mobileDropdown === link.value;
+            const isActive = isLinkActive(link);
+            const isDropdownOpen = mobileDropdown === link.id;
 
             return (
-              <div key={`mobile-${link.value}`} className="border-b border-neutral-200 py-4">
+              <div key={`mobile-${link.id}`} className="border-b border-neutral-200 py-4">
                 <div className="flex items-center justify-between gap-2">
-                  <Link
-                    to={link.href}
+                  <MenuLink
+                    item={link}
                     onClick={() => setMobileMenuOpen(false)}
                     className={`flex-1 text-[12px] font-semibold uppercase tracking-[0.28em] transition ${
                       isActive ? 'text-neutral-900' : 'text-neutral-600 hover:text-neutral-900'
                     }`}
                   >
                     {link.label}
-                  </Link>
+                  </MenuLink>
                   {link.children?.length ? (
                     <button
                       type="button"
                       onClick={() =>
-                        setMobileDropdown((prev) => (prev === link.value ? null : link.value))
+                        setMobileDropdown((prev) => (prev === link.id ? null : link.id))
                       }
                       aria-expanded={isDropdownOpen}
+                      aria-controls={`mobile-menu-${link.id}`}
+                      aria-label={`${isDropdownOpen ? 'Hide' : 'Show'} ${link.label}`}
                       className="rounded-full border border-neutral-300 p-2 text-neutral-500 transition hover:border-neutral-900 hover:text-neutral-900"
                     >
                       <ChevronDown
@@ -347,22 +416,65 @@ const Navbar = ({ onSearchClick = () => {}, onCartClick = () => {} }) => {
 
                 {link.children?.length ? (
                   <div
+                    id={`mobile-menu-${link.id}`}
+                    inert={!isDropdownOpen}
                     className={`ml-3 mt-2 space-y-2 border-l border-neutral-200 pl-3 text-[11px] uppercase tracking-[0.26em] font-semibold transition-all duration-200 ${
-                      isDropdownOpen ? 'max-h-64 opacity-100' : 'max-h-0 opacity-0'
+                      isDropdownOpen ? 'max-h-[32rem] opacity-100' : 'max-h-0 overflow-hidden opacity-0'
                     }`}
                   >
-                    {link.children.map((child) => (
-                      <Link
-                        key={`mobile-${child.value}`}
-                        to={child.href}
-                        onClick={() => setMobileMenuOpen(false)}
-                        className={`block py-1 text-neutral-500 transition ${
-                          activeCategory === child.value ? 'text-neutral-900' : 'hover:text-neutral-900'
-                        }`}
-                      >
-                        {child.label}
-                      </Link>
-                    ))}
+                    {link.children.map((child) => {
+                      const image = collectionImages.get(String(child.handle ?? '').toLowerCase());
+                      return (
+                        <div key={`mobile-${child.id}`}>
+                          <MenuLink
+                            item={child}
+                            onClick={() => setMobileMenuOpen(false)}
+                            className={`flex items-center gap-3 py-1 text-neutral-500 transition ${
+                              isLinkActive(child) ? 'text-neutral-900' : 'hover:text-neutral-900'
+                            }`}
+                          >
+                            {image && (
+                              <img
+                                src={image.url}
+                                alt=""
+                                loading="lazy"
+                                className="h-10 w-8 shrink-0 object-cover"
+                              />
+                            )}
+                            {child.label}
+                          </MenuLink>
+                          {child.children?.map((grandchild) => (
+                            <MenuLink
+                              key={`mobile-${grandchild.id}`}
+                              item={grandchild}
+                              onClick={() => setMobileMenuOpen(false)}
+                              className={`block py-1 pl-3 text-[10px] transition ${
+                                isLinkActive(grandchild)
+                                  ? 'text-neutral-900'
+                                  : 'text-neutral-400 hover:text-neutral-900'
+                              }`}
+                            >
+                              {grandchild.label}
+                            </MenuLink>
+                          ))}
+                        </div>
+                      );
+                    })}
+                    {megaMenuContent[link.id]?.newIn.length > 0 && (
+                      <div className="pt-3">
+                        <p className="text-[10px] text-neutral-400">New In</p>
+                        {megaMenuContent[link.id].newIn.map((product) => (
+                          <Link
+                            key={`mobile-new-${product.id}`}
+                            to={`/product/${product.handle}`}
+                            onClick={() => setMobileMenuOpen(false)}
+                            className="block truncate py-1 text-neutral-500 transition hover:text-neutral-900"
+                          >
+                            {product.title}
+                          </Link>
+                        ))}
+                      </div>
+                    )}
                   </div>
                 ) : null}
               </div>
@@ -0,0 +1,31 @@
+// src/components/ProductBadges.jsx
+import React from 'react';
+
+const toneClasses = {
+  dark: 'bg-neutral-900 text-white',
+  light: 'bg-white text-neutral-900',
+  accent: 'bg-emerald-700 text-white',
+  warning: 'bg-amber-100 text-amber-800',
+  muted: 'bg-neutral-200 text-neutral-600',
+};
+
+// Renders the output of getProductBadges; ordering and the cap are decided there.
+const ProductBadges = ({ badges, className = '' }) => {
+  if (!badges?.length) return null;
+  return (
+    <ul className={`flex flex-wrap gap-2 ${className}`}>
+      {badges.map((badge) => (
+        <li
+          key={badge.id}
+          className={`rounded-full px-3 py-1 text-[10px] uppercase tracking-[0.25em] ${
+            toneClasses[badge.tone] ?? toneClasses.dark
+          }`}
+        >
+          {badge.label}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default ProductBadges;
@@ -1,8 +1,10 @@
 import React, { useEffect, useState } from "react";
 import { Link } from "react-router-dom";
+import RatingStars from "./RatingStars";
+import ProductBadges from "./ProductBadges";
 
 export default function ProductCard({ item }) {
-  const { img, hoverImg, title, price, badge, href } = item;
+  const { img, hoverImg, title, price, compareAtPrice, badges, rating, href } = item;
   const primarySrc = img || hoverImg || null;
   const [currentSrc, setCurrentSrc] = useState(primarySrc);
   const [imageFailed, setImageFailed] = useState(!primarySrc);
@@ -54,11 +56,7 @@ export default function ProductCard({ item }) {
             </div>
           </div>
         )}
-        {badge && (
-          <span className="absolute left-3 top-3 rounded-full bg-neutral-900 px-3 py-1 text-[10px] tracking-[0.25em] text-white uppercase">
-            {badge}
-          </span>
-        )}
+        <ProductBadges badges={badges} className="absolute left-3 right-3 top-3" />
       </div>
 
       <div className="px-2 pt-4">
@@ -68,7 +66,20 @@ export default function ProductCard({ item }) {
           </h3>
           {price && (
             <p className="text-[10px] uppercase tracking-[0.2em] text-neutral-500">
-              {price}
+              {compareAtPrice ? (
+                <>
+                  <span className="text-neutral-900">{price}</span>
+                  <s className="ml-2 text-neutral-400">{compareAtPrice}</s>
+                </>
+              ) : (
+                price
+              )}
+            </p>
+          )}
+          {rating?.count > 0 && (
+            <p className="flex items-center gap-1.5 text-[10px] tracking-[0.2em] text-neutral-500">
+              <RatingStars rating={rating.average} className="h-2.5 w-2.5" />
+              <span>({rating.count})</span>
             </p>
           )}
         </div>
@@ -0,0 +1,209 @@
+// src/components/ProductFilters.jsx
+import React, { useEffect, useRef, useState } from 'react';
+import { ChevronDown, X } from 'lucide-react';
+import { formatMoney } from '../lib/shopify';
+import {
+  activeFilterChips,
+  clearFilterParams,
+  isFilterValueActive,
+  priceFilterFromParams,
+  setPriceParams,
+  toggleFilterParam,
+} from '../lib/filters';
+
+const PriceRangeForm = ({ facet, searchParams, onChange }) => {
+  const current = priceFilterFromParams(searchParams);
+  const [min, setMin] = useState(current.min ?? '');
+  const [max, setMax] = useState(current.max ?? '');
+
+  useEffect(() => {
+    setMin(current.min ?? '');
+    setMax(current.max ?? '');
+  }, [current.min, current.max]);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const low = min === '' ? null : Number(min);
+    const high = max === '' ? null : Number(max);
+    onChange(
+      setPriceParams(searchParams, {
+        min: low,
+        max: low != null && high != null && high < low ? low : high,
+      }),
+    );
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      {facet.range && (
+        <p className="text-[10px] text-neutral-500">
+          Highest price is {formatMoney(facet.range.max)}
+        </p>
+      )}
+      <div className="grid grid-cols-2 gap-2">
+        <label className="space-y-1 text-[10px] text-neutral-500">
+          <span>From</span>
+          <input
+            type="number"
+            min={0}
+            inputMode="decimal"
+            value={min}
+            onChange={(event) => setMin(event.target.value)}
+            placeholder={String(facet.range?.min ?? 0)}
+            className="w-full border border-neutral-200 px-2 py-1 text-neutral-900 focus:border-black focus:outline-none"
+          />
+        </label>
+        <label className="space-y-1 text-[10px] text-neutral-500">
+          <span>To</span>
+          <input
+            type="number"
+            min={0}
+            inputMode="decimal"
+            value={max}
+            onChange={(event) => setMax(event.target.value)}
+            placeholder={String(facet.range?.max ?? '')}
+            className="w-full border border-neutral-200 px-2 py-1 text-neutral-900 focus:border-black focus:outline-none"
+          />
+        </label>
+      </div>
+      <button type="submit" className="w-full bg-black py-2 text-[10px] uppercase tracking-widest text-white">
+        Apply
+      </button>
+    </form>
+  );
+};
+
+// Facet dropdowns plus removable chips for whatever is active. Facets come from
+// lib/filters (Storefront or locally built); every change is handed back as the
+// next URLSearchParams so the URL stays the source of truth.
+const ProductFilters = ({ facets, searchParams, onChange }) => {
+  const [openFacet, setOpenFacet] = useState(null);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!openFacet) return undefined;
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setOpenFacet(null);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [openFacet]);
+
+  const chips = activeFilterChips(facets, searchParams);
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape') setOpenFacet(null);
+  };
+
+  return (
+    <div className="space-y-3" ref={containerRef} onKeyDown={handleKeyDown}>
+      <div className="flex flex-wrap items-center gap-4 sm:gap-6">
+        <span className="font-bold">Filter:</span>
+
+        {facets.map((facet) => {
+          const isOpen = openFacet === facet.id;
+          const activeCount =
+            facet.type === 'PRICE_RANGE'
+              ? chips.some((chip) => chip.price)
+                ? 1
+                : 0
+              : facet.values.filter((value) => isFilterValueActive(searchParams, value.input))
+                  .length;
+
+          return (
+            <div className="relative" key={facet.id}>
+              <button
+                type="button"
+                onClick={() => setOpenFacet(isOpen ? null : facet.id)}
+                aria-expanded={isOpen}
+                className="flex items-center gap-1 uppercase hover:text-neutral-600"
+              >
+                {facet.label} {activeCount > 0 && `(${activeCount})`}
+                <ChevronDown className={`h-3 w-3 transition-transform ${isOpen ? 'rotate-180' : ''}`} />
+              </button>
+
+              {isOpen && (
+                <div className="absolute left-0 z-30 mt-2 w-64 rounded-md border border-neutral-200 bg-white p-4 shadow-xl">
+                  {facet.type === 'PRICE_RANGE' ? (
+                    <PriceRangeForm
+                      facet={facet}
+                      searchParams={searchParams}
+                      onChange={(next) => {
+                        onChange(next);
+                        setOpenFacet(null);
+                      }}
+                    />
+                  ) : (
+                    <ul className="max-h-64 space-y-1 overflow-y-auto">
+                      {facet.values.map((value) => {
+                        const checked = isFilterValueActive(searchParams, value.input);
+                        const disabled = !checked && value.count === 0;
+                        return (
+                          <li key={value.id}>
+                            <label
+                              className={`flex cursor-pointer items-center gap-3 py-1 ${
+                                disabled ? 'cursor-not-allowed text-neutral-300' : ''
+                              }`}
+                            >
+                              <input
+                                type="checkbox"
+                                checked={checked}
+                                disabled={disabled}
+                                onChange={() => onChange(toggleFilterParam(searchParams, value.input))}
+                                className="accent-black"
+                              />
+                              <span className="flex-1">{value.label}</span>
+                              <span className="text-neutral-400">({value.count})</span>
+                            </label>
+                          </li>
+                        );
+                      })}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {chips.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 text-[10px]">
+          {chips.map((chip) => (
+            <button
+              key={chip.id}
+              type="button"
+              onClick={() =>
+                onChange(
+                  chip.price
+                    ? setPriceParams(searchParams, {})
+                    : toggleFilterParam(searchParams, chip.input),
+                )
+              }
+              className="flex items-center gap-2 rounded-full border border-neutral-300 bg-white px-3 py-1 uppercase tracking-widest hover:border-black"
+              aria-label={`Remove filter ${chip.label}`}
+            >
+              {chip.price
+                ? `Price: ${chip.price.min != null ? formatMoney(chip.price.min) : ''} – ${
+                    chip.price.max != null ? formatMoney(chip.price.max) : ''
+                  }`
+                : chip.label}
+              <X className="h-3 w-3" />
+            </button>
+          ))}
+          <button
+            type="button"
+            onClick={() => onChange(clearFilterParams(searchParams))}
+            className="underline underline-offset-4"
+          >
+            Clear all
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProductFilters;
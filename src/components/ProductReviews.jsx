@@ -0,0 +1,178 @@
+// src/components/ProductReviews.jsx
+import React, { useEffect, useMemo, useState } from 'react';
+import RatingStars from './RatingStars';
+import { formatDate } from '../lib/shopify';
+import { REVIEW_SORTS, queryReviews } from '../lib/reviews';
+
+const PAGE_SIZE = 5;
+
+const ProductReviews = ({ reviews }) => {
+  const [sort, setSort] = useState('newest');
+  const [withPhotos, setWithPhotos] = useState(false);
+  const [page, setPage] = useState(1);
+
+  const items = reviews?.items;
+
+  useEffect(() => {
+    setPage(1);
+  }, [sort, withPhotos, items]);
+
+  const result = useMemo(
+    () => queryReviews(items ?? [], { sort, withPhotos, page, pageSize: PAGE_SIZE }),
+    [items, sort, withPhotos, page],
+  );
+
+  if (!reviews?.count) return null;
+
+  const photoCount = reviews.items.filter((review) => review.photos.length).length;
+
+  return (
+    <section id="reviews" className="mt-24 border-t border-neutral-200 px-2 pt-6">
+      <h2 className="text-[11px] uppercase tracking-[0.35em] text-neutral-600">Reviews</h2>
+
+      <div className="mt-8 gap-12 lg:grid lg:grid-cols-[minmax(0,1fr)_minmax(0,2fr)]">
+        <div className="space-y-6">
+          <div className="flex items-end gap-4">
+            <p className="text-4xl font-semibold tracking-[0.1em] text-neutral-900">
+              {reviews.average.toFixed(1)}
+            </p>
+            <div className="space-y-1 pb-1">
+              <RatingStars rating={reviews.average} className="h-4 w-4" />
+              <p className="text-[10px] uppercase tracking-[0.28em] text-neutral-500">
+                {reviews.count} {reviews.count === 1 ? 'review' : 'reviews'}
+              </p>
+            </div>
+          </div>
+
+          <dl className="space-y-2">
+            {[5, 4, 3, 2, 1].map((stars) => {
+              const count = reviews.histogram[stars] ?? 0;
+              const share = reviews.count ? (count / reviews.count) * 100 : 0;
+              return (
+                <div
+                  key={stars}
+                  className="grid grid-cols-[40px_minmax(0,1fr)_32px] items-center gap-3 text-[10px] uppercase tracking-[0.2em] text-neutral-600"
+                >
+                  <dt>{stars} ★</dt>
+                  <dd className="h-1.5 overflow-hidden rounded-full bg-neutral-200">
+                    <span
+                      className="block h-full rounded-full bg-neutral-900"
+                      style={{ width: `${share}%` }}
+                    />
+                  </dd>
+                  <dd className="text-right text-neutral-500">{count}</dd>
+                </div>
+              );
+            })}
+          </dl>
+        </div>
+
+        <div className="mt-10 space-y-6 lg:mt-0">
+          <div className="flex flex-wrap items-center justify-between gap-4 border-b border-neutral-200 pb-4 text-[10px] uppercase tracking-[0.25em] text-neutral-600">
+            <label className="flex items-center gap-2">
+              Sort
+              <select
+                value={sort}
+                onChange={(event) => setSort(event.target.value)}
+                className="border border-neutral-300 bg-white px-3 py-2 text-[10px] uppercase tracking-[0.2em] text-neutral-900 focus:border-neutral-900 focus:outline-none"
+              >
+                {REVIEW_SORTS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            {photoCount > 0 && (
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={withPhotos}
+                  onChange={(event) => setWithPhotos(event.target.checked)}
+                  className="h-4 w-4 rounded-sm border border-neutral-300 text-neutral-900 focus:ring-neutral-900"
+                />
+                With photos ({photoCount})
+              </label>
+            )}
+          </div>
+
+          <ul className="space-y-6">
+            {result.items.map((review) => (
+              <li key={review.id} className="space-y-3 border-b border-neutral-100 pb-6">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <RatingStars rating={review.rating} />
+                  {review.createdAt && (
+                    <span className="text-[10px] uppercase tracking-[0.2em] text-neutral-400">
+                      {formatDate(review.createdAt)}
+                    </span>
+                  )}
+                </div>
+                {review.title && (
+                  <p className="text-xs font-semibold uppercase tracking-[0.22em] text-neutral-900">
+                    {review.title}
+                  </p>
+                )}
+                {review.body && (
+                  <p className="text-sm leading-relaxed text-neutral-700">{review.body}</p>
+                )}
+                {review.photos.length > 0 && (
+                  <div className="flex gap-2 overflow-x-auto no-scrollbar">
+                    {review.photos.map((url) => (
+                      <a key={url} href={url} target="_blank" rel="noreferrer" className="shrink-0">
+                        <img
+                          src={url}
+                          alt={`Photo from ${review.author}`}
+                          className="h-20 w-20 rounded border border-neutral-200 object-cover"
+                          loading="lazy"
+                        />
+                      </a>
+                    ))}
+                  </div>
+                )}
+                <p className="text-[10px] uppercase tracking-[0.25em] text-neutral-500">
+                  {review.author}
+                  {review.verified && ' · Verified Buyer'}
+                </p>
+              </li>
+            ))}
+          </ul>
+
+          {result.total === 0 && (
+            <p className="text-xs uppercase tracking-[0.25em] text-neutral-500">
+              No reviews match this filter.
+            </p>
+          )}
+
+          {result.pageCount > 1 && (
+            <nav
+              aria-label="Review pages"
+              className="flex items-center justify-between text-[10px] uppercase tracking-[0.28em] text-neutral-600"
+            >
+              <button
+                type="button"
+                onClick={() => setPage(result.page - 1)}
+                disabled={result.page <= 1}
+                className="rounded-full border border-neutral-300 px-4 py-2 transition hover:border-neutral-900 hover:text-neutral-900 disabled:cursor-not-allowed disabled:opacity-40"
+              >
+                Previous
+              </button>
+              <span>
+                Page {result.page} of {result.pageCount}
+              </span>
+              <button
+                type="button"
+                onClick={() => setPage(result.page + 1)}
+                disabled={result.page >= result.pageCount}
+                className="rounded-full border border-neutral-300 px-4 py-2 transition hover:border-neutral-900 hover:text-neutral-900 disabled:cursor-not-allowed disabled:opacity-40"
+              >
+                Next
+              </button>
+            </nav>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default ProductReviews;
@@ -0,0 +1,27 @@
+// src/components/RatingStars.jsx
+import React from 'react';
+import { Star } from 'lucide-react';
+
+// Five stars with the average filled in, down to half a star.
+const RatingStars = ({ rating = 0, className = 'h-3 w-3' }) => {
+  const rounded = Math.round(rating * 2) / 2;
+  return (
+    <span className="inline-flex items-center gap-0.5" aria-label={`Rated ${rating} out of 5`}>
+      {[1, 2, 3, 4, 5].map((position) => {
+        const fill = rounded >= position ? 100 : rounded >= position - 0.5 ? 50 : 0;
+        return (
+          <span key={position} className="relative inline-flex" aria-hidden>
+            <Star className={`${className} text-neutral-300`} />
+            {fill > 0 && (
+              <span className="absolute inset-0 overflow-hidden" style={{ width: `${fill}%` }}>
+                <Star className={`${className} fill-neutral-900 text-neutral-900`} />
+              </span>
+            )}
+          </span>
+        );
+      })}
+    </span>
+  );
+};
+
+export default RatingStars;
@@ -0,0 +1,42 @@
+// src/components/RequireCustomer.jsx
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../contexts/auth-context';
+
+const RequireCustomer = ({ children }) => {
+  const { status, refreshCustomer } = useAuth();
+  const location = useLocation();
+
+  if (status === 'guest') {
+    return <Navigate to="/account/login" replace state={{ from: location }} />;
+  }
+
+  if (status === 'error') {
+    return (
+      <section className="mx-auto flex max-w-3xl flex-col items-center gap-6 px-4 py-24 text-center">
+        <p className="text-sm uppercase tracking-[0.35em] text-neutral-500">
+          We could not load your account.
+        </p>
+        <button
+          type="button"
+          onClick={refreshCustomer}
+          className="rounded-full border border-neutral-900 px-6 py-3 text-[11px] uppercase tracking-[0.32em] transition hover:bg-neutral-900 hover:text-white"
+        >
+          Try Again
+        </button>
+      </section>
+    );
+  }
+
+  if (status !== 'authenticated') {
+    return (
+      <section className="mx-auto flex max-w-3xl flex-col items-center gap-6 px-4 py-24 text-center">
+        <p className="text-sm uppercase tracking-[0.35em] text-neutral-500">Loading account…</p>
+      </section>
+    );
+  }
+
+  return children;
+};
+
+export default RequireCustomer;
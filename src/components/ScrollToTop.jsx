@@ -3,11 +3,14 @@ import { useEffect } from 'react';
 import { useLocation } from 'react-router-dom';
 
 const ScrollToTop = () => {
-  const { pathname, search } = useLocation();
+  const { pathname, search, state } = useLocation();
+  // In-page URL updates (e.g. picking a variant) opt out of the jump to the top.
+  const preserveScroll = Boolean(state?.preserveScroll);
 
   useEffect(() => {
+    if (preserveScroll) return;
     window.scrollTo({ top: 0, behavior: 'instant' in window ? 'instant' : 'auto' });
-  }, [pathname, search]);
+  }, [pathname, search, preserveScroll]);
 
   return null;
 };
@@ -2,109 +2,21 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useCatalog } from '../contexts/catalog-context';
-import { formatMoney, getProductImageUrl, searchProducts } from '../lib/shopify';
+import { useProductSearch, useSearch } from '../contexts/search-context';
+import { normalizeSearchText } from '../lib/search';
+import { predictiveSearch, toProductCard } from '../lib/shopify';
 
-const normalizeSearchText = (value) =>
-  String(value ?? '')
-    .toLowerCase()
-    .normalize('NFD')
-    .replace(/[\u0300-\u036f]/g, '')
-    .replace(/[^a-z0-9]+/g, ' ')
-    .trim();
-
-const buildSearchableText = (product) => {
-  const parts = [];
-  const push = (value) => {
-    if (value === null || value === undefined || value === '') return;
-    parts.push(String(value));
-  };
-
-  push(product?.title);
-  push(product?.handle);
-  push(product?.vendor);
-  push(product?.productType);
-  push(product?.description);
-
-  (product?.tags ?? []).forEach(push);
-  (product?.options ?? []).forEach((option) => {
-    push(option?.name);
-    (option?.values ?? []).forEach(push);
-  });
-  (product?.variants ?? []).forEach((variant) => {
-    push(variant?.title);
-    push(variant?.sku);
-    (variant?.selectedOptions ?? []).forEach((opt) => push(opt?.value));
-  });
-  (product?.collections ?? []).forEach((collection) => {
-    push(collection?.title);
-    push(collection?.handle);
-  });
-
-  return normalizeSearchText(parts.join(' '));
-};
-
-const buildSuggestions = (products, query, limit = 6) => {
-  const candidates = [];
-  (products ?? []).forEach((product) => {
-    if (!product?.title) return;
-    candidates.push({
-      label: product.title,
-      normalized: normalizeSearchText(product.title),
-    });
-  });
-
-  const queryNormalized = normalizeSearchText(query);
-  const tokens = queryNormalized ? queryNormalized.split(' ').filter(Boolean) : [];
-
-  if (!queryNormalized) {
-    const seen = new Set();
-    const out = [];
-    for (const item of candidates) {
-      if (!item.normalized || seen.has(item.normalized)) continue;
-      seen.add(item.normalized);
-      out.push(item.label);
-      if (out.length >= limit) break;
-    }
-    return out;
-  }
-
-  const scored = candidates
-    .filter((item) => (tokens.length ? tokens.every((t) => item.normalized.includes(t)) : true))
-    .map((item) => {
-      const exact = queryNormalized && item.normalized === queryNormalized ? 1 : 0;
-      const starts = queryNormalized && item.normalized.startsWith(queryNormalized) ? 1 : 0;
-      const contains = queryNormalized && item.normalized.includes(queryNormalized) ? 1 : 0;
-      return {
-        ...item,
-        score: exact * 100 + starts * 50 + contains * 20,
-      };
-    })
-    .sort((a, b) => {
-      if (b.score !== a.score) return b.score - a.score;
-      return a.label.length - b.label.length;
-    });
+const OVERLAY_RESULT_LIMIT = 6;
+const PREDICTIVE_DEBOUNCE_MS = 200;
 
+const uniqueByText = (values) => {
   const seen = new Set();
-  const out = [];
-  for (const item of scored) {
-    if (!item.normalized || seen.has(item.normalized)) continue;
-    seen.add(item.normalized);
-    out.push(item.label);
-    if (out.length >= limit) break;
-  }
-  return out;
-};
-
-const recentSearchKey = 'evrydae-recent-searches-v1';
-const readRecentSearches = () => {
-  if (typeof window === 'undefined') return [];
-  try {
-    const raw = window.localStorage.getItem(recentSearchKey);
-    const parsed = raw ? JSON.parse(raw) : [];
-    return Array.isArray(parsed) ? parsed.filter(Boolean) : [];
-  } catch {
-    return [];
-  }
+  return values.filter((value) => {
+    const key = normalizeSearchText(value);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
 };
 
 const SearchOverlay = ({ open, onClose }) => {
@@ -112,40 +24,30 @@ const SearchOverlay = ({ open, onClose }) => {
   const inputRef = useRef(null);
   const [query, setQuery] = useState('');
   const { products: catalogProducts } = useCatalog();
-  const [recentSearches, setRecentSearches] = useState([]);
+  const { recentSearches, rememberSearch, forgetSearch, clearRecentSearches } = useSearch();
+  const {
+    results: localResults,
+    suggestions: localSuggestions,
+    correction,
+  } = useProductSearch(query, {
+    limit: OVERLAY_RESULT_LIMIT,
+  });
 
   const popularProducts = useMemo(
     () =>
       (catalogProducts ?? [])
-        .slice(0, 6)
-        .map((product) => ({
-          title: product.title,
-          price: formatMoney(product.price, product.currencyCode),
-          img: getProductImageUrl(product),
-          href: `/product/${product.handle}`,
-          badge: product.tags?.includes('new') ? 'New' : undefined,
-        }))
-        .filter((card) => card.href),
+        .slice(0, OVERLAY_RESULT_LIMIT)
+        .map(toProductCard)
+        .filter(Boolean),
     [catalogProducts],
   );
 
-  const [productResults, setProductResults] = useState(popularProducts);
+  const [predictive, setPredictive] = useState(null);
   const [loading, setLoading] = useState(false);
 
-  const searchIndex = useMemo(
-    () =>
-      (catalogProducts ?? []).map((product) => ({
-        product,
-        haystack: buildSearchableText(product),
-      })),
-    [catalogProducts],
-  );
-
   useEffect(() => {
     if (open) {
       setQuery('');
-      setProductResults(popularProducts);
-      setRecentSearches(readRecentSearches());
 
       const timer = window.setTimeout(() => {
         inputRef.current?.focus();
@@ -166,41 +68,7 @@ const SearchOverlay = ({ open, onClose }) => {
     }
 
     return undefined;
-  }, [open, popularProducts]);
-
-  const persistRecentSearch = (term) => {
-    const trimmed = term.trim();
-    if (!trimmed) return;
-    const normalized = normalizeSearchText(trimmed);
-    setRecentSearches((prev) => {
-      const next = [
-        trimmed,
-        ...prev.filter((item) => normalizeSearchText(item) !== normalized),
-      ].slice(0, 8);
-      if (typeof window !== 'undefined') {
-        window.localStorage.setItem(recentSearchKey, JSON.stringify(next));
-      }
-      return next;
-    });
-  };
-
-  const removeRecentSearch = (term) => {
-    setRecentSearches((prev) => {
-      const normalized = normalizeSearchText(term);
-      const next = prev.filter((item) => normalizeSearchText(item) !== normalized);
-      if (typeof window !== 'undefined') {
-        window.localStorage.setItem(recentSearchKey, JSON.stringify(next));
-      }
-      return next;
-    });
-  };
-
-  const clearRecentSearches = () => {
-    setRecentSearches([]);
-    if (typeof window !== 'undefined') {
-      window.localStorage.setItem(recentSearchKey, JSON.stringify([]));
-    }
-  };
+  }, [open]);
 
   useEffect(() => {
     if (!open) return undefined;
@@ -213,79 +81,66 @@ const SearchOverlay = ({ open, onClose }) => {
     return () => window.removeEventListener('keydown', handleKeyDown);
   }, [open, onClose]);
 
+  // Shopify's predictive search reaches past the preloaded catalogue. Requests
+  // wait for a pause in typing and are aborted once the query moves on.
   useEffect(() => {
-    if (!open) return;
     const term = query.trim();
-    if (!term) {
-      setProductResults(popularProducts);
+    if (!open || !term) {
       setLoading(false);
-      return;
-    }
-    const tokens = normalizeSearchText(term).split(' ').filter(Boolean);
-    if (!tokens.length) {
-      setProductResults([]);
-      setLoading(false);
-      return;
+      return undefined;
     }
 
-    if (searchIndex.length) {
-      const matches = searchIndex
-        .filter(({ haystack }) => tokens.every((token) => haystack.includes(token)))
-        .map(({ product }) => ({
-          title: product.title,
-          price: formatMoney(product.price, product.currencyCode),
-          img: getProductImageUrl(product),
-          href: `/product/${product.handle}`,
-          badge: product.tags?.includes('new') ? 'New' : undefined,
-        }))
-        .filter((card) => card.href)
-        .slice(0, 6);
-      setProductResults(matches);
-      setLoading(false);
-      return;
-    }
-
-    let cancelled = false;
+    const controller = new AbortController();
     setLoading(true);
-
-    searchProducts(term, 6)
-      .then((nodes) => {
-        if (cancelled) return;
-        const cards =
-          nodes?.map((node) => ({
-            title: node?.title ?? 'Product',
-            price: formatMoney(
-              node?.priceRange?.minVariantPrice?.amount,
-              node?.priceRange?.minVariantPrice?.currencyCode,
-            ),
-            img: node?.featuredImage?.url ?? '',
-            href: `/product/${node?.handle}`,
-            badge: node?.tags?.includes('new') ? 'New' : undefined,
-          })) ?? [];
-        setProductResults(cards.filter((card) => card.href));
-      })
-      .catch((error) => {
-        console.error('Overlay search failed', error);
-        if (!cancelled) setProductResults([]);
-      })
-      .finally(() => {
-        if (!cancelled) setLoading(false);
-      });
+    const timer = window.setTimeout(() => {
+      predictiveSearch(term, { limit: OVERLAY_RESULT_LIMIT, signal: controller.signal })
+        .then((result) => setPredictive({ term, ...result }))
+        .catch((error) => {
+          if (error?.name === 'AbortError') return;
+          // Local matches are already on screen, so a failure just leaves those.
+          console.error('Predictive search failed', error);
+        })
+        .finally(() => {
+          if (!controller.signal.aborted) setLoading(false);
+        });
+    }, PREDICTIVE_DEBOUNCE_MS);
 
     return () => {
-      cancelled = true;
+      window.clearTimeout(timer);
+      controller.abort();
     };
-  }, [open, query, popularProducts, searchIndex]);
+  }, [open, query]);
+
+  const trimmedQuery = query.trim();
+  const remote = predictive?.term === trimmedQuery ? predictive : null;
+
+  // Catalogue matches keep their ranking; Shopify adds whatever the catalogue lacks.
+  const productResults = useMemo(() => {
+    if (!trimmedQuery) return popularProducts;
+    const seen = new Set(localResults.map((product) => product.handle));
+    const extras = (remote?.products ?? []).filter((product) => !seen.has(product.handle));
+    return [...localResults, ...extras]
+      .slice(0, OVERLAY_RESULT_LIMIT)
+      .map(toProductCard)
+      .filter(Boolean);
+  }, [trimmedQuery, popularProducts, localResults, remote]);
 
   const suggestionItems = useMemo(
-    () => buildSuggestions(catalogProducts, query, 6),
-    [catalogProducts, query],
+    () =>
+      uniqueByText([
+        ...(remote?.queries ?? []).map((suggestion) => suggestion.text),
+        ...localSuggestions,
+      ]).slice(0, OVERLAY_RESULT_LIMIT),
+    [remote, localSuggestions],
   );
 
+  const collectionResults = remote?.collections ?? [];
+  const articleResults = remote?.articles ?? [];
+
   const performSearch = (value) => {
     const trimmed = value.trim();
     if (!trimmed) return;
-    persistRecentSearch(trimmed);
+    rememberSearch(trimmed);
     onClose();
     navigate(`/search?q=${encodeURIComponent(trimmed)}`);
   };
@@ -375,7 +230,7 @@ const SearchOverlay = ({ open, onClose }) => {
                       </button>
                       <button
                         type="button"
-                        onClick={() => removeRecentSearch(item)}
+                        onClick={() => forgetSearch(item)}
                         className="rounded-full border border-neutral-200 px-2 py-1 text-[10px] uppercase tracking-[0.25em] text-neutral-400 transition hover:border-neutral-900 hover:text-neutral-900"
                         aria-label={`Remove ${item}`}
                       >
@@ -407,16 +262,31 @@ const SearchOverlay = ({ open, onClose }) => {
           <div>
             <p className="text-[11px] uppercase tracking-[0.3em] text-neutral-500">Products</p>
             <div className="mt-4 space-y-3">
-              {loading ? (
+              {loading && productResults.length === 0 ? (
                 <p className="text-sm uppercase tracking-[0.25em] text-neutral-500">
                   Searching for “{query}”…
                 </p>
               ) : productResults.length === 0 ? (
-                <p className="text-sm uppercase tracking-[0.25em] text-neutral-500">
-                  {query
-                    ? `No results for “${query}”.`
-                    : 'No featured products available right now.'}
-                </p>
+                <div className="space-y-3 text-sm uppercase tracking-[0.25em] text-neutral-500">
+                  <p>
+                    {query
+                      ? `No results for “${query}”.`
+                      : 'No featured products available right now.'}
+                  </p>
+                  {query && correction && (
+                    <p>
+                      Did you mean{' '}
+                      <button
+                        type="button"
+                        onClick={() => setQuery(correction)}
+                        className="uppercase text-neutral-900 underline underline-offset-4"
+                      >
+                        {correction}
+                      </button>
+                      ?
+                    </p>
+                  )}
+                </div>
               ) : (
                 productResults.map((item) => (
                   <button
@@ -451,6 +321,49 @@ const SearchOverlay = ({ open, onClose }) => {
                 ))
               )}
             </div>
+
+            {collectionResults.length > 0 && (
+              <div className="mt-8">
+                <p className="text-[11px] uppercase tracking-[0.3em] text-neutral-500">
+                  Collections
+                </p>
+                <ul className="mt-4 flex flex-wrap gap-2">
+                  {collectionResults.map((collection) => (
+                    <li key={collection.id}>
+                      <button
+                        type="button"
+                        onClick={() => handleProductClick(collection.to)}
+                        className="rounded-full border border-neutral-200 px-4 py-2 text-[10px] uppercase tracking-[0.28em] text-neutral-700 transition hover:border-neutral-900 hover:text-neutral-900"
+                      >
+                        {collection.title}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {articleResults.length > 0 && (
+              <div className="mt-8">
+                <p className="text-[11px] uppercase tracking-[0.3em] text-neutral-500">
+                  Articles
+                </p>
+                <ul className="mt-4 space-y-2 text-xs uppercase tracking-[0.25em] text-neutral-700">
+                  {articleResults.map((article) => (
+                    <li key={article.id}>
+                      <a
+                        href={article.url}
+                        target="_blank"
+                        rel="noreferrer"
+                        className="transition hover:text-neutral-900"
+                      >
+                        {article.title}
+                      </a>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
           </div>
         </div>
 
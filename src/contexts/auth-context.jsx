@@ -0,0 +1,262 @@
+// src/contexts/auth-context.jsx
+/* eslint-disable react-refresh/only-export-components */
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useState,
+} from 'react';
+import {
+  customerAccessTokenCreate,
+  customerAccessTokenDelete,
+  customerActivate,
+  customerCreate,
+  customerQuery,
+  customerRecover,
+  customerReset,
+} from '../lib/shopify';
+
+const AuthContext = createContext(undefined);
+
+const storageKey = 'evrydae-customer-v1';
+
+// setTimeout overflows past ~24.8 days, so long sessions are re-checked in chunks.
+const maxTimerDelay = 2 ** 31 - 1;
+
+const isExpired = (session) => {
+  const expiresAt = Date.parse(session?.expiresAt ?? '');
+  return !Number.isFinite(expiresAt) || expiresAt <= Date.now();
+};
+
+const sanitiseSession = (session) => {
+  if (!session || typeof session.accessToken !== 'string' || !session.accessToken) return null;
+  if (isExpired(session)) return null;
+  return { accessToken: session.accessToken, expiresAt: session.expiresAt };
+};
+
+const initialiseSession = () => {
+  if (typeof window === 'undefined') return null;
+  try {
+    const raw = window.localStorage.getItem(storageKey);
+    if (!raw) return null;
+    const session = sanitiseSession(JSON.parse(raw));
+    if (!session) window.localStorage.removeItem(storageKey);
+    return session;
+  } catch {
+    return null;
+  }
+};
+
+const fallbackError = (message) => [{ field: null, message }];
+
+export const AuthProvider = ({ children }) => {
+  const [session, setSession] = useState(initialiseSession);
+  const [profile, setProfile] = useState({ token: null, customer: null, error: null });
+
+  useEffect(() => {
+    if (typeof window === 'undefined') return;
+    try {
+      if (session) {
+        window.localStorage.setItem(storageKey, JSON.stringify(session));
+      } else {
+        window.localStorage.removeItem(storageKey);
+      }
+    } catch {
+      // no-op: fail silently if storage is unavailable
+    }
+  }, [session]);
+
+  useEffect(() => {
+    if (!session) return undefined;
+    const remaining = Date.parse(session.expiresAt) - Date.now();
+    const timeout = window.setTimeout(() => {
+      setSession((current) => {
+        if (!current) return current;
+        return isExpired(current) ? null : { ...current };
+      });
+    }, Math.min(Math.max(remaining, 0), maxTimerDelay));
+    return () => window.clearTimeout(timeout);
+  }, [session]);
+
+  const loadCustomer = useCallback(async (accessToken) => {
+    try {
+      const data = await customerQuery(accessToken);
+      const customer = data?.customer ?? null;
+      if (!customer) {
+        // Token was revoked or expired server-side.
+        setSession((current) => (current?.accessToken === accessToken ? null : current));
+        return null;
+      }
+      setProfile({ token: accessToken, customer, error: null });
+      return customer;
+    } catch (error) {
+      console.error('Failed to load Shopify customer', error);
+      setProfile({ token: accessToken, customer: null, error });
+      return null;
+    }
+  }, []);
+
+  const accessToken = session?.accessToken ?? null;
+
+  useEffect(() => {
+    if (!accessToken) return;
+    loadCustomer(accessToken);
+  }, [accessToken, loadCustomer]);
+
+  const startSession = useCallback((token) => {
+    const next = sanitiseSession(token);
+    if (!next) return false;
+    setSession(next);
+    return true;
+  }, []);
+
+  const login = useCallback(
+    async ({ email, password }) => {
+      const data = await customerAccessTokenCreate({ email, password });
+      const payload = data?.customerAccessTokenCreate;
+      if (payload?.userErrors?.length) {
+        return { ok: false, userErrors: payload.userErrors };
+      }
+      if (!startSession(payload?.customerAccessToken)) {
+        return { ok: false, userErrors: fallbackError('Unable to sign in. Please try again.') };
+      }
+      return { ok: true, userErrors: [] };
+    },
+    [startSession],
+  );
+
+  const register = useCallback(
+    async ({ firstName, lastName, email, password }) => {
+      const data = await customerCreate({ firstName, lastName, email, password });
+      const payload = data?.customerCreate;
+      if (payload?.userErrors?.length) {
+        return { ok: false, userErrors: payload.userErrors };
+      }
+      if (!payload?.customer?.id) {
+        return {
+          ok: false,
+          userErrors: fallbackError('Unable to create your account. Please try again.'),
+        };
+      }
+      return login({ email, password });
+    },
+    [login],
+  );
+
+  const recover = useCallback(async (email) => {
+    const data = await customerRecover(email);
+    const userErrors = data?.customerRecover?.customerUserErrors ?? [];
+    return { ok: userErrors.length === 0, userErrors };
+  }, []);
+
+  // Reset and activation both hand back an access token, so the customer lands signed in.
+  const completeWithToken = useCallback(
+    (payload, failureMessage) => {
+      if (payload?.customerUserErrors?.length) {
+        return { ok: false, userErrors: payload.customerUserErrors };
+      }
+      if (!startSession(payload?.customerAccessToken)) {
+        return { ok: false, userErrors: fallbackError(failureMessage) };
+      }
+      return { ok: true, userErrors: [] };
+    },
+    [startSession],
+  );
+
+  const resetPassword = useCallback(
+    async ({ id, resetToken, password }) => {
+      const data = await customerReset(id, { resetToken, password });
+      return completeWithToken(
+        data?.customerReset,
+        'Unable to reset your password. Please request a new link.',
+      );
+    },
+    [completeWithToken],
+  );
+
+  const activateAccount = useCallback(
+    async ({ id, activationToken, password }) => {
+      const data = await customerActivate(id, { activationToken, password });
+      return completeWithToken(
+        data?.customerActivate,
+        'Unable to activate your account. Please request a new invitation.',
+      );
+    },
+    [completeWithToken],
+  );
+
+  const logout = useCallback(async () => {
+    const token = session?.accessToken;
+    setSession(null);
+    setProfile({ token: null, customer: null, error: null });
+    if (!token) return;
+    try {
+      await customerAccessTokenDelete(token);
+    } catch (error) {
+      console.warn('Failed to revoke Shopify customer token', error);
+    }
+  }, [session]);
+
+  const customer = accessToken && profile.token === accessToken ? profile.customer : null;
+  const profileError = accessToken && profile.token === accessToken ? profile.error : null;
+
+  let status = 'guest';
+  if (accessToken) {
+    if (customer) status = 'authenticated';
+    else if (profileError) status = 'error';
+    else status = 'loading';
+  }
+
+  const refreshCustomer = useCallback(
+    () => (accessToken ? loadCustomer(accessToken) : Promise.resolve(null)),
+    [accessToken, loadCustomer],
+  );
+
+  const value = useMemo(
+    () => ({
+      status,
+      customer,
+      accessToken,
+      expiresAt: session?.expiresAt ?? null,
+      error: profileError,
+      isAuthenticated: status === 'authenticated',
+      login,
+      register,
+      recover,
+      resetPassword,
+      activateAccount,
+      logout,
+      startSession,
+      refreshCustomer,
+    }),
+    [
+      status,
+      customer,
+      accessToken,
+      session,
+      profileError,
+      login,
+      register,
+      recover,
+      resetPassword,
+      activateAccount,
+      logout,
+      startSession,
+      refreshCustomer,
+    ],
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
+
+export default AuthProvider;
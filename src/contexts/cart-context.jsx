@@ -7,18 +7,39 @@ import React, {
   useEffect,
   useMemo,
   useReducer,
+  useRef,
+  useState,
 } from 'react';
+import { useCatalog } from './catalog-context';
+import { useAuth } from './auth-context';
+import {
+  cartBuyerIdentityUpdate,
+  cartCreate,
+  cartDiscountCodesUpdate,
+  cartLinesAdd,
+  cartLinesRemove,
+  cartLinesUpdate,
+  cartQuery,
+  customerBuyerIdentity,
+  fetchProductByHandle,
+  findVariantForSize,
+  MAX_LINE_QUANTITY,
+  maxPurchasableQuantity,
+  normalizeCart,
+} from '../lib/shopify';
 
 const CartContext = createContext(undefined);
 
 const storageKey = 'evrydae-cart-v1';
+const remoteStorageKey = 'evrydae-shopify-cart-v1';
+const customerCartsKey = 'evrydae-customer-carts-v1';
 
 const createId = (slug, size) => `${slug}::${size ?? 'onesize'}`;
 
-const withValidQuantity = (quantity) => {
+const withValidQuantity = (quantity, max = MAX_LINE_QUANTITY) => {
   const parsed = Number(quantity);
   if (Number.isNaN(parsed) || parsed < 1) return 1;
-  return Math.min(Math.floor(parsed), 99);
+  return Math.min(Math.floor(parsed), max);
 };
 
 const cartReducer = (state, action) => {
@@ -27,22 +48,23 @@ const cartReducer = (state, action) => {
       return action.payload;
     }
     case 'add': {
-      const { item } = action.payload;
+      const { item, maxQuantity } = action.payload;
       const existingIndex = state.findIndex((entry) => entry.id === item.id);
       if (existingIndex !== -1) {
         const next = [...state];
         const current = next[existingIndex];
         next[existingIndex] = {
           ...current,
-          quantity: withValidQuantity(current.quantity + item.quantity),
+          quantity: withValidQuantity(current.quantity + item.quantity, maxQuantity),
+          merchandiseId: current.merchandiseId ?? item.merchandiseId ?? null,
         };
         return next;
       }
       return [...state, item];
     }
     case 'updateQuantity': {
-      const { id, quantity } = action.payload;
-      const nextQuantity = withValidQuantity(quantity);
+      const { id, quantity, maxQuantity } = action.payload;
+      const nextQuantity = withValidQuantity(quantity, maxQuantity);
       return state
         .map((entry) =>
           entry.id === id
@@ -58,6 +80,20 @@ const cartReducer = (state, action) => {
       const { id } = action.payload;
       return state.filter((entry) => entry.id !== id);
     }
+    case 'assignVariants': {
+      const { variantIds } = action.payload;
+      return state.map((entry) =>
+        variantIds[entry.id] && !entry.merchandiseId
+          ? { ...entry, merchandiseId: variantIds[entry.id] }
+          : entry,
+      );
+    }
+    case 'merge': {
+      return action.payload.items.reduce(
+        (acc, item) => cartReducer(acc, { type: 'add', payload: { item } }),
+        state,
+      );
+    }
     case 'removeBySlug': {
       const { slug } = action.payload;
       return state.filter((entry) => entry.slug !== slug);
@@ -70,6 +106,8 @@ const cartReducer = (state, action) => {
   }
 };
 
+// v1 entries predate merchandiseId; they keep null here and get their variant
+// resolved (strictly, by size) and written back on the first sync.
 const sanitiseItems = (items) => {
   if (!Array.isArray(items)) return [];
   return items
@@ -81,11 +119,25 @@ const sanitiseItems = (items) => {
         slug: item.slug,
         size: item.size ?? null,
         quantity: withValidQuantity(item.quantity ?? 1),
+        merchandiseId:
+          typeof item.merchandiseId === 'string' && item.merchandiseId
+            ? item.merchandiseId
+            : null,
       };
     })
     .filter(Boolean);
 };
 
+const resolveItemVariant = (product, item) => {
+  if (!product) return null;
+  if (item.merchandiseId) {
+    return product.variants?.find((variant) => variant.id === item.merchandiseId) ?? null;
+  }
+  return findVariantForSize(product, item.size);
+};
+
+const describeItem = (entry) => `${entry.title}${entry.size ? ` (${entry.size})` : ''}`;
+
 const initialiseCart = () => {
   if (typeof window === 'undefined') return [];
   try {
@@ -98,8 +150,138 @@ const initialiseCart = () => {
   }
 };
 
+const emptyRemoteCart = { id: null, discountCodes: [], customerId: null };
+
+const readRemoteCart = () => {
+  if (typeof window === 'undefined') return emptyRemoteCart;
+  try {
+    const raw = window.localStorage.getItem(remoteStorageKey);
+    if (!raw) return emptyRemoteCart;
+    const parsed = JSON.parse(raw);
+    return {
+      id: typeof parsed?.id === 'string' ? parsed.id : null,
+      discountCodes: Array.isArray(parsed?.discountCodes)
+        ? parsed.discountCodes.filter((code) => typeof code === 'string' && code)
+        : [],
+      customerId: typeof parsed?.customerId === 'string' ? parsed.customerId : null,
+    };
+  } catch {
+    return emptyRemoteCart;
+  }
+};
+
+const writeRemoteCart = ({ id, discountCodes, customerId }) => {
+  if (typeof window === 'undefined') return;
+  try {
+    if (id || discountCodes.length || customerId) {
+      window.localStorage.setItem(
+        remoteStorageKey,
+        JSON.stringify({ id, discountCodes, customerId }),
+      );
+    } else {
+      window.localStorage.removeItem(remoteStorageKey);
+    }
+  } catch {
+    // no-op: fail silently if storage is unavailable
+  }
+};
+
+// Customer id -> cart id, so a returning customer gets back the cart from their last session.
+const readCustomerCarts = () => {
+  if (typeof window === 'undefined') return {};
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(customerCartsKey) ?? '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+};
+
+const rememberCustomerCart = (customerId, cartId) => {
+  if (typeof window === 'undefined' || !customerId || !cartId) return;
+  try {
+    const carts = readCustomerCarts();
+    if (carts[customerId] === cartId) return;
+    window.localStorage.setItem(
+      customerCartsKey,
+      JSON.stringify({ ...carts, [customerId]: cartId }),
+    );
+  } catch {
+    // no-op: fail silently if storage is unavailable
+  }
+};
+
+// Maps a Shopify cart line back to a local item, labelled the way the product page labels it.
+const lineToItem = (line) => {
+  if (!line?.handle) return null;
+  const size =
+    line.variantTitle && !/default\s*title/i.test(line.variantTitle) ? line.variantTitle : null;
+  return {
+    id: createId(line.handle, size),
+    slug: line.handle,
+    size,
+    quantity: withValidQuantity(line.quantity),
+    merchandiseId: line.merchandiseId,
+  };
+};
+
+const codeKey = (codes) =>
+  codes
+    .map((code) => code.toLowerCase())
+    .sort()
+    .join('|');
+
+// Works out which line mutations turn the Shopify cart into the local one.
+const diffCartLines = (cart, desired) => {
+  const seen = new Set();
+  const removals = [];
+  const updates = [];
+
+  cart.lines.forEach((line) => {
+    if (!desired.has(line.merchandiseId) || seen.has(line.merchandiseId)) {
+      removals.push(line.id);
+      return;
+    }
+    seen.add(line.merchandiseId);
+    const quantity = desired.get(line.merchandiseId);
+    if (quantity !== line.quantity) {
+      updates.push({ id: line.id, quantity });
+    }
+  });
+
+  const additions = Array.from(desired.entries())
+    .filter(([merchandiseId]) => !seen.has(merchandiseId))
+    .map(([merchandiseId, quantity]) => ({ merchandiseId, quantity }));
+
+  return { removals, updates, additions };
+};
+
 const CartProvider = ({ children }) => {
   const [items, dispatch] = useReducer(cartReducer, [], initialiseCart);
+  const { getProduct } = useCatalog();
+  const { customer, accessToken } = useAuth();
+  const [cart, setCart] = useState(null);
+  const [variantIds, setVariantIds] = useState({});
+  const [missingItems, setMissingItems] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const [syncError, setSyncError] = useState(null);
+  const itemsRef = useRef(items);
+  const getProductRef = useRef(getProduct);
+  const buyerIdentityRef = useRef({});
+  // The buyer identity the Shopify cart last received, as JSON
+  const sentBuyerIdentityRef = useRef(null);
+  const productCacheRef = useRef({});
+  const cartRef = useRef(null);
+  const [storedRemote] = useState(readRemoteCart);
+  const cartIdRef = useRef(storedRemote.id);
+  const discountCodesRef = useRef(storedRemote.discountCodes);
+  const customerIdRef = useRef(storedRemote.customerId);
+  const requestedCustomerRef = useRef(storedRemote.customerId);
+  const [discountCodes, setDiscountCodes] = useState(storedRemote.discountCodes);
+  const syncRef = useRef(Promise.resolve(null));
+  const syncQueuedRef = useRef(false);
+  const missingRef = useRef([]);
+  const quantityLimitsRef = useRef(new Map());
 
   useEffect(() => {
     if (typeof window === 'undefined') return;
@@ -110,17 +292,313 @@ const CartProvider = ({ children }) => {
     }
   }, [items]);
 
-  const addItem = useCallback((slug, { quantity = 1, size = null } = {}) => {
-    if (!slug) return;
-    const item = {
-      id: createId(slug, size),
-      slug,
-      size,
-      quantity: withValidQuantity(quantity),
-    };
-    dispatch({ type: 'add', payload: { item } });
+  useEffect(() => {
+    getProductRef.current = getProduct;
+  }, [getProduct]);
+
+  const buyerIdentity = useMemo(
+    () => customerBuyerIdentity(customer, accessToken),
+    [customer, accessToken],
+  );
+  const buyerIdentityKey = JSON.stringify(buyerIdentity);
+
+  useEffect(() => {
+    buyerIdentityRef.current = buyerIdentity;
+  }, [buyerIdentity]);
+
+  const persistRemote = useCallback(() => {
+    writeRemoteCart({
+      id: cartIdRef.current,
+      discountCodes: discountCodesRef.current,
+      customerId: customerIdRef.current,
+    });
+    rememberCustomerCart(customerIdRef.current, cartIdRef.current);
+  }, []);
+
+  const commitCart = useCallback(
+    (next) => {
+      cartRef.current = next;
+      cartIdRef.current = next?.id ?? null;
+      persistRemote();
+      setCart(next);
+    },
+    [persistRemote],
+  );
+
+  const commitDiscountCodes = useCallback(
+    (codes) => {
+      discountCodesRef.current = codes;
+      persistRemote();
+      setDiscountCodes(codes);
+    },
+    [persistRemote],
+  );
+
+  const resolveProduct = useCallback(async (handle) => {
+    const cached = getProductRef.current(handle) ?? productCacheRef.current[handle];
+    if (cached) return cached;
+    const product = await fetchProductByHandle(handle);
+    if (product) {
+      productCacheRef.current[handle] = product;
+    }
+    return product;
   }, []);
 
+  const runSync = useCallback(async () => {
+    const snapshot = itemsRef.current;
+    const desired = new Map();
+    const resolvedIds = {};
+    const migratedIds = {};
+    const missing = [];
+
+    for (const item of snapshot) {
+      const product = await resolveProduct(item.slug);
+      const variant = resolveItemVariant(product, item);
+      if (!variant?.id) {
+        // Never substitute another variant; the shopper has to remove it themselves.
+        console.warn(`"${item.slug}" (${item.size ?? 'onesize'}) is no longer available in Shopify`);
+        missing.push({
+          id: item.id,
+          slug: item.slug,
+          size: item.size,
+          title: product?.title ?? item.slug,
+        });
+        continue;
+      }
+      if (!item.merchandiseId) migratedIds[item.id] = variant.id;
+      resolvedIds[item.id] = variant.id;
+      desired.set(variant.id, (desired.get(variant.id) ?? 0) + item.quantity);
+    }
+
+    setVariantIds(resolvedIds);
+    missingRef.current = missing;
+    setMissingItems(missing);
+    if (Object.keys(migratedIds).length) {
+      dispatch({ type: 'assignVariants', payload: { variantIds: migratedIds } });
+    }
+
+    let current = cartRef.current;
+    if (!current && cartIdRef.current) {
+      current = normalizeCart(await cartQuery(cartIdRef.current));
+    }
+
+    if (!current) {
+      if (!desired.size) {
+        commitCart(null);
+        return;
+      }
+      const lines = Array.from(desired.entries()).map(([merchandiseId, quantity]) => ({
+        merchandiseId,
+        quantity,
+      }));
+      commitCart(
+        normalizeCart(
+          await cartCreate(lines, {
+            discountCodes: discountCodesRef.current,
+            buyerIdentity: buyerIdentityRef.current,
+          }),
+        ),
+      );
+      sentBuyerIdentityRef.current = JSON.stringify(buyerIdentityRef.current);
+      return;
+    }
+
+    const { removals, updates, additions } = diffCartLines(current, desired);
+    if (removals.length) {
+      current = normalizeCart(await cartLinesRemove(current.id, removals)) ?? current;
+    }
+    if (updates.length) {
+      current = normalizeCart(await cartLinesUpdate(current.id, updates)) ?? current;
+    }
+    if (additions.length) {
+      current = normalizeCart(await cartLinesAdd(current.id, additions)) ?? current;
+    }
+    const desiredCodes = discountCodesRef.current;
+    if (codeKey(desiredCodes) !== codeKey(current.discountCodes.map((entry) => entry.code))) {
+      current = normalizeCart(await cartDiscountCodesUpdate(current.id, desiredCodes)) ?? current;
+    }
+    commitCart(current);
+  }, [resolveProduct, commitCart]);
+
+  // Serialises cart work so mutations never race; resolves to the error (if any).
+  const enqueue = useCallback((task) => {
+    syncRef.current = syncRef.current.then(async () => {
+      setSyncing(true);
+      try {
+        await task();
+        setSyncError(null);
+        return null;
+      } catch (error) {
+        console.error('Failed to sync Shopify cart', error);
+        cartRef.current = null;
+        setSyncError(error);
+        return error;
+      } finally {
+        setSyncing(false);
+      }
+    });
+    return syncRef.current;
+  }, []);
+
+  // Bursts of edits collapse into the sync that is already waiting in the queue.
+  const scheduleSync = useCallback(() => {
+    if (syncQueuedRef.current) return syncRef.current;
+    syncQueuedRef.current = true;
+    return enqueue(() => {
+      syncQueuedRef.current = false;
+      return runSync();
+    });
+  }, [enqueue, runSync]);
+
+  useEffect(() => {
+    itemsRef.current = items;
+    scheduleSync();
+  }, [items, scheduleSync]);
+
+  // Folds the cart saved from the customer's previous session into the current one,
+  // then tags the surviving cart with their buyer identity.
+  const attachCustomer = useCallback(
+    async (customerId) => {
+      const savedId = readCustomerCarts()[customerId];
+      let saved = null;
+      if (savedId && savedId !== cartIdRef.current) {
+        try {
+          saved = normalizeCart(await cartQuery(savedId));
+        } catch (error) {
+          console.warn('Failed to restore the saved customer cart', error);
+        }
+      }
+
+      if (saved) {
+        const restored = saved.lines.map(lineToItem).filter(Boolean);
+        if (restored.length) {
+          dispatch({ type: 'merge', payload: { items: restored } });
+        }
+        const codes = [...discountCodesRef.current];
+        saved.discountCodes.forEach(({ code }) => {
+          if (!codes.some((entry) => entry.toLowerCase() === code.toLowerCase())) {
+            codes.push(code);
+          }
+        });
+        commitDiscountCodes(codes);
+        if (!cartIdRef.current) {
+          // Nothing in the guest cart yet, so keep using the saved cart.
+          cartRef.current = saved;
+          cartIdRef.current = saved.id;
+        }
+      }
+
+      customerIdRef.current = customerId;
+      if (!cartIdRef.current) {
+        persistRemote();
+        return;
+      }
+      commitCart(
+        normalizeCart(
+          await cartBuyerIdentityUpdate(cartIdRef.current, buyerIdentityRef.current),
+        ),
+      );
+      sentBuyerIdentityRef.current = JSON.stringify(buyerIdentityRef.current);
+    },
+    [commitCart, commitDiscountCodes, persistRemote],
+  );
+
+  // Storefront carts cannot be handed back to a guest, so on sign-out we drop our
+  // reference (the customer gets it back next login) and start the guest afresh.
+  const detachCustomer = useCallback(() => {
+    customerIdRef.current = null;
+    commitDiscountCodes([]);
+    commitCart(null);
+    dispatch({ type: 'clear' });
+  }, [commitCart, commitDiscountCodes]);
+
+  const customerId = customer?.id ?? null;
+
+  useEffect(() => {
+    // While the profile is still loading, keep whatever customer we last asked for.
+    const target = customerId ?? (accessToken ? requestedCustomerRef.current : null);
+    if (target === requestedCustomerRef.current) return;
+    requestedCustomerRef.current = target;
+    enqueue(target ? () => attachCustomer(target) : detachCustomer);
+  }, [customerId, accessToken, enqueue, attachCustomer, detachCustomer]);
+
+  // A new default address (or email) has to reach the attached cart too, or
+  // checkout keeps quoting shipping for the old one.
+  useEffect(() => {
+    if (!customerId) return;
+    enqueue(async () => {
+      const identity = buyerIdentityRef.current;
+      const key = JSON.stringify(identity);
+      if (customerIdRef.current !== customerId || !cartIdRef.current) return;
+      if (key === sentBuyerIdentityRef.current) return;
+      commitCart(normalizeCart(await cartBuyerIdentityUpdate(cartIdRef.current, identity)));
+      sentBuyerIdentityRef.current = key;
+    });
+  }, [buyerIdentityKey, customerId, enqueue, commitCart]);
+
+  // Resolves to the sync error (if any) so forms can report it; failed codes are rolled back.
+  const applyDiscountCode = useCallback(
+    async (code) => {
+      const trimmed = String(code ?? '').trim();
+      if (!trimmed) return null;
+      const previous = discountCodesRef.current;
+      if (previous.some((entry) => entry.toLowerCase() === trimmed.toLowerCase())) return null;
+      commitDiscountCodes([...previous, trimmed]);
+      const error = await scheduleSync();
+      if (error) commitDiscountCodes(previous);
+      return error;
+    },
+    [commitDiscountCodes, scheduleSync],
+  );
+
+  const removeDiscountCode = useCallback(
+    async (code) => {
+      const target = String(code ?? '').toLowerCase();
+      commitDiscountCodes(
+        discountCodesRef.current.filter((entry) => entry.toLowerCase() !== target),
+      );
+      return scheduleSync();
+    },
+    [commitDiscountCodes, scheduleSync],
+  );
+
+  const getCheckoutUrl = useCallback(async () => {
+    const error = await scheduleSync();
+    if (error) throw error;
+    if (missingRef.current.length) {
+      throw new Error(
+        `${missingRef.current.map(describeItem).join(', ')} ${
+          missingRef.current.length === 1 ? 'is' : 'are'
+        } no longer available. Remove ${
+          missingRef.current.length === 1 ? 'it' : 'them'
+        } from your cart to continue.`,
+      );
+    }
+    const checkoutUrl = cartRef.current?.checkoutUrl;
+    if (!checkoutUrl) {
+      throw new Error('Checkout link unavailable. Please try again in a moment.');
+    }
+    return checkoutUrl;
+  }, [scheduleSync]);
+
+  const addItem = useCallback(
+    (
+      slug,
+      { quantity = 1, size = null, merchandiseId = null, maxQuantity = MAX_LINE_QUANTITY } = {},
+    ) => {
+      if (!slug) return;
+      const item = {
+        id: createId(slug, size),
+        slug,
+        size,
+        quantity: withValidQuantity(quantity, maxQuantity),
+        merchandiseId,
+      };
+      dispatch({ type: 'add', payload: { item, maxQuantity } });
+    },
+    [],
+  );
+
   const updateQuantity = useCallback((slug, size, quantity) => {
     if (!slug) return;
     const id = createId(slug, size);
@@ -129,7 +607,10 @@ const CartProvider = ({ children }) => {
       dispatch({ type: 'remove', payload: { id } });
       return;
     }
-    dispatch({ type: 'updateQuantity', payload: { id, quantity: nextQuantity } });
+    dispatch({
+      type: 'updateQuantity',
+      payload: { id, quantity: nextQuantity, maxQuantity: quantityLimitsRef.current.get(id) },
+    });
   }, []);
 
   const removeItem = useCallback((slug, size) => {
@@ -151,16 +632,71 @@ const CartProvider = ({ children }) => {
     [items],
   );
 
+  // Local items joined with the Shopify line that mirrors them (null until synced).
+  // `missing` is set when the stored variant no longer exists in Shopify, and
+  // `maxQuantity` caps the steppers at the stock Shopify reports for the line.
+  const lines = useMemo(() => {
+    const byVariant = new Map((cart?.lines ?? []).map((line) => [line.merchandiseId, line]));
+    const missingById = new Map(missingItems.map((entry) => [entry.id, entry]));
+    return items.map((item) => {
+      const merchandiseId = variantIds[item.id] ?? item.merchandiseId ?? null;
+      const line = merchandiseId ? byVariant.get(merchandiseId) ?? null : null;
+      return {
+        ...item,
+        merchandiseId,
+        missing: missingById.get(item.id) ?? null,
+        line,
+        maxQuantity: maxPurchasableQuantity(line),
+      };
+    });
+  }, [items, variantIds, missingItems, cart]);
+
+  // Stock can drop after an item was added, so bring those quantities back under it.
+  useEffect(() => {
+    quantityLimitsRef.current = new Map(lines.map((entry) => [entry.id, entry.maxQuantity]));
+    lines.forEach((entry) => {
+      if (entry.quantity > entry.maxQuantity) {
+        dispatch({
+          type: 'updateQuantity',
+          payload: { id: entry.id, quantity: entry.maxQuantity, maxQuantity: entry.maxQuantity },
+        });
+      }
+    });
+  }, [lines]);
+
   const value = useMemo(
     () => ({
       items,
+      lines,
+      cart,
+      syncing,
+      syncError,
+      discountCodes,
       addItem,
       updateQuantity,
       removeItem,
       clearCart,
+      applyDiscountCode,
+      removeDiscountCode,
       totalItems,
+      getCheckoutUrl,
     }),
-    [items, addItem, updateQuantity, removeItem, clearCart, totalItems],
+    [
+      items,
+      lines,
+      cart,
+      syncing,
+      syncError,
+      discountCodes,
+      addItem,
+      updateQuantity,
+      removeItem,
+      clearCart,
+      applyDiscountCode,
+      removeDiscountCode,
+      totalItems,
+      getCheckoutUrl,
+    ],
   );
 
   return <CartContext.Provider value={value}>{children}</CartContext.Provider>;
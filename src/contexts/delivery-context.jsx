@@ -0,0 +1,112 @@
+// src/contexts/delivery-context.jsx
+/* eslint-disable react-refresh/only-export-components */
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from 'react';
+import { checkPincode, isValidPincode } from '../lib/delivery';
+
+const DeliveryContext = createContext(undefined);
+
+const storageKey = 'evrydae-pincode-v1';
+
+const readPincode = () => {
+  if (typeof window === 'undefined') return '';
+  try {
+    const stored = window.localStorage.getItem(storageKey) ?? '';
+    return isValidPincode(stored) ? stored : '';
+  } catch {
+    return '';
+  }
+};
+
+const writePincode = (pincode) => {
+  if (typeof window === 'undefined') return;
+  try {
+    if (pincode) {
+      window.localStorage.setItem(storageKey, pincode);
+    } else {
+      window.localStorage.removeItem(storageKey);
+    }
+  } catch {
+    // no-op: fail silently if storage is unavailable
+  }
+};
+
+export const DeliveryProvider = ({ children }) => {
+  const [pincode, setPincode] = useState(readPincode);
+  const [estimate, setEstimate] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState(null);
+  const requestRef = useRef(0);
+
+  const runCheck = useCallback(async (value) => {
+    const requestId = requestRef.current + 1;
+    requestRef.current = requestId;
+    setChecking(true);
+    setError(null);
+    try {
+      const result = await checkPincode(value);
+      if (requestRef.current !== requestId) return null;
+      setPincode(result.pincode);
+      setEstimate(result);
+      writePincode(result.pincode);
+      return result;
+    } catch (checkError) {
+      if (requestRef.current !== requestId) return null;
+      setEstimate(null);
+      setError(
+        isValidPincode(value)
+          ? 'We could not check this pincode right now. Please try again.'
+          : checkError.message,
+      );
+      return null;
+    } finally {
+      if (requestRef.current === requestId) setChecking(false);
+    }
+  }, []);
+
+  // Re-resolve the remembered pincode so every page starts with a fresh estimate.
+  useEffect(() => {
+    const stored = readPincode();
+    if (stored) runCheck(stored);
+  }, [runCheck]);
+
+  const clearPincode = useCallback(() => {
+    requestRef.current += 1;
+    setPincode('');
+    setEstimate(null);
+    setError(null);
+    setChecking(false);
+    writePincode('');
+  }, []);
+
+  const value = useMemo(
+    () => ({
+      pincode,
+      estimate,
+      checking,
+      error,
+      checkPincode: runCheck,
+      clearPincode,
+    }),
+    [pincode, estimate, checking, error, runCheck, clearPincode],
+  );
+
+  return <DeliveryContext.Provider value={value}>{children}</DeliveryContext.Provider>;
+};
+
+export const useDelivery = () => {
+  const context = useContext(DeliveryContext);
+  if (!context) {
+    throw new Error('useDelivery must be used within a DeliveryProvider');
+  }
+  return context;
+};
+
+export default DeliveryProvider;
@@ -0,0 +1,90 @@
+// src/contexts/search-context.jsx
+/* eslint-disable react-refresh/only-export-components */
+import React, { createContext, useCallback, useContext, useMemo, useState } from 'react';
+import { useCatalog } from './catalog-context';
+import {
+  addRecentSearch,
+  buildSearchIndex,
+  readRecentSearches,
+  removeRecentSearch,
+  searchIndex,
+  suggestCorrection,
+  suggestSearches,
+  writeRecentSearches,
+} from '../lib/search';
+
+const SearchContext = createContext(undefined);
+
+// One index over the catalogue for every search UI, rebuilt when the catalogue changes.
+export const SearchProvider = ({ children }) => {
+  const { products, loading } = useCatalog();
+  const [recentSearches, setRecentSearches] = useState(readRecentSearches);
+
+  const index = useMemo(() => buildSearchIndex(products ?? []), [products]);
+
+  const updateRecentSearches = useCallback((update) => {
+    setRecentSearches((prev) => {
+      const next = update(prev);
+      writeRecentSearches(next);
+      return next;
+    });
+  }, []);
+
+  const rememberSearch = useCallback(
+    (term) => updateRecentSearches((prev) => addRecentSearch(prev, term)),
+    [updateRecentSearches],
+  );
+
+  const forgetSearch = useCallback(
+    (term) => updateRecentSearches((prev) => removeRecentSearch(prev, term)),
+    [updateRecentSearches],
+  );
+
+  const clearRecentSearches = useCallback(
+    () => updateRecentSearches(() => []),
+    [updateRecentSearches],
+  );
+
+  const value = useMemo(
+    () => ({
+      index,
+      ready: !loading || index.documents.length > 0,
+      search: (query, options) => searchIndex(index, query, options),
+      suggest: (query, limit) => suggestSearches(index, query, limit),
+      correct: (query) => suggestCorrection(index, query),
+      recentSearches,
+      rememberSearch,
+      forgetSearch,
+      clearRecentSearches,
+    }),
+    [index, loading, recentSearches, rememberSearch, forgetSearch, clearRecentSearches],
+  );
+
+  return <SearchContext.Provider value={value}>{children}</SearchContext.Provider>;
+};
+
+export const useSearch = () => {
+  const context = useContext(SearchContext);
+  if (!context) {
+    throw new Error('useSearch must be used within a SearchProvider');
+  }
+  return context;
+};
+
+/* Ranked products and title suggestions for a query, recomputed only when it
+ * changes, plus a "did you mean" correction for words the catalogue doesn't use */
+export const useProductSearch = (query, { limit, suggestionLimit = 6 } = {}) => {
+  const { index, ready } = useSearch();
+  const results = useMemo(
+    () => searchIndex(index, query, { limit }).map(({ product }) => product),
+    [index, query, limit],
+  );
+  const suggestions = useMemo(
+    () => suggestSearches(index, query, suggestionLimit),
+    [index, query, suggestionLimit],
+  );
+  const correction = useMemo(() => suggestCorrection(index, query), [index, query]);
+  return { results, suggestions, correction, ready };
+};
+
+export default SearchProvider;
@@ -0,0 +1,123 @@
+// src/hooks/use-product-listing.js
+import { useEffect, useRef, useState } from 'react';
+import { useLocation, useNavigationType } from 'react-router-dom';
+import { normalizeFacets } from '../lib/filters';
+import { MAX_STOREFRONT_PAGE_SIZE, rememberScrollPosition, takeScrollPosition } from '../lib/pagination';
+import { normalizeProductNode } from '../lib/shopify';
+
+/*
+ * Cursor-paged Storefront listing. `fetchPage(limit, after)` resolves to one of
+ * the paginated helpers' { nodes, endCursor, hasNextPage, filters, missing } results;
+ * `key` identifies the listing (handle or query, filters, sort) and each key
+ * is fetched until it covers `visibleLimit` products (a deep link to ?page=3
+ * loads 72 at once) or Shopify runs out. Keys already loaded are kept, so
+ * flipping back to an earlier filter is instant.
+ *
+ * Returns { listing: { products, facets, endCursor, hasNextPage, totalCount, missing } | null,
+ *           facets, loading }. `facets` holds the last ones seen while the next
+ * key loads, and is cleared when `facetScope` (the collection or query) changes.
+ */
+export const usePagedProducts = ({
+  enabled = true,
+  key,
+  facetScope,
+  visibleLimit,
+  fetchPage,
+  label,
+}) => {
+  const [listings, setListings] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [facets, setFacets] = useState([]);
+  const requestRef = useRef(0);
+  const fetchPageRef = useRef(fetchPage);
+
+  useEffect(() => {
+    fetchPageRef.current = fetchPage;
+  }, [fetchPage]);
+
+  const listing = enabled ? listings[key] ?? null : null;
+
+  useEffect(() => {
+    if (!enabled) return;
+    const loaded = listing?.products.length ?? 0;
+    if (listing && (loaded >= visibleLimit || !listing.hasNextPage)) return;
+
+    const requestId = ++requestRef.current;
+    setLoading(true);
+
+    fetchPageRef
+      .current(Math.min(visibleLimit - loaded, MAX_STOREFRONT_PAGE_SIZE), listing?.endCursor ?? null)
+      .then((result) => {
+        const products = result.nodes.map(normalizeProductNode).filter(Boolean);
+        setListings((prev) => {
+          const existing = prev[key]?.products ?? [];
+          const seen = new Set(existing.map((product) => product.id));
+          return {
+            ...prev,
+            [key]: {
+              products: [...existing, ...products.filter((product) => !seen.has(product.id))],
+              facets: normalizeFacets(result.filters),
+              endCursor: result.endCursor,
+              hasNextPage: result.hasNextPage,
+              totalCount: result.totalCount ?? null,
+              missing: Boolean(result.missing),
+            },
+          };
+        });
+      })
+      .catch((error) => {
+        console.error(`Failed to load ${label ?? 'products'}`, error);
+        // Stop asking for more of a listing that errored; a filter change retries.
+        setListings((prev) => ({
+          ...prev,
+          [key]: { products: [], facets: [], ...prev[key], hasNextPage: false },
+        }));
+      })
+      .finally(() => {
+        if (requestId === requestRef.current) setLoading(false);
+      });
+  }, [enabled, key, listing, visibleLimit, label]);
+
+  // Keep the last facets on screen while the next filtered page loads. The
+  // reset runs first so a cached listing in the new scope still wins.
+  useEffect(() => {
+    setFacets([]);
+  }, [facetScope]);
+  useEffect(() => {
+    if (listing) setFacets(listing.facets);
+  }, [listing]);
+
+  return { listing, facets: enabled ? facets : [], loading };
+};
+
+/*
+ * Keeps the window scroll offset per history entry and puts it back on
+ * Back/Forward once `ready` says the restored pages have rendered.
+ */
+export const useListingScrollRestoration = (ready) => {
+  const location = useLocation();
+  const navigationType = useNavigationType();
+  const scrollTopRef = useRef(0);
+  const restoredKeyRef = useRef(null);
+
+  useEffect(() => {
+    const handleScroll = () => {
+      scrollTopRef.current = window.scrollY;
+    };
+    handleScroll();
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    return () => {
+      window.removeEventListener('scroll', handleScroll);
+      rememberScrollPosition(location.key, scrollTopRef.current);
+    };
+  }, [location.key]);
+
+  useEffect(() => {
+    if (navigationType !== 'POP' || !ready) return;
+    if (restoredKeyRef.current === location.key) return;
+    restoredKeyRef.current = location.key;
+    const top = takeScrollPosition(location.key);
+    if (top == null) return;
+    requestAnimationFrame(() => window.scrollTo({ top }));
+  }, [navigationType, ready, location.key]);
+};
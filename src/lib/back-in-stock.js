@@ -0,0 +1,86 @@
+/* ================= BACK IN STOCK =================
+ * Sign-ups for sold-out variants go through an adapter with a single
+ * `subscribe(request)` method, so the storefront does not care which
+ * service sends the emails. Set VITE_BACK_IN_STOCK_ENDPOINT to POST
+ * requests to an app or serverless endpoint; without it, requests are kept
+ * in localStorage so the flow can be exercised in development.
+ *
+ * request: { email, variantId, productHandle, customerId }
+ */
+
+const endpoint = import.meta.env.VITE_BACK_IN_STOCK_ENDPOINT;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const isValidEmail = (value) => EMAIL_PATTERN.test(String(value ?? "").trim());
+
+const localStorageKey = "evrydae-stock-alerts-v1";
+
+const readLocalAlerts = () => {
+  if (typeof window === "undefined") return [];
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(localStorageKey) ?? "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+/* Development adapter: one entry per email (or customer) and variant */
+export const localAdapter = {
+  async subscribe(request) {
+    const alerts = readLocalAlerts();
+    const sameSubscriber = (entry) =>
+      entry.variantId === request.variantId &&
+      (request.customerId
+        ? entry.customerId === request.customerId
+        : entry.email === request.email);
+    const next = [
+      ...alerts.filter((entry) => !sameSubscriber(entry)),
+      { ...request, createdAt: new Date().toISOString() },
+    ];
+    try {
+      window.localStorage.setItem(localStorageKey, JSON.stringify(next));
+    } catch {
+      // no-op: fail silently if storage is unavailable
+    }
+    return { ok: true };
+  },
+};
+
+export const createHttpAdapter = (url) => ({
+  async subscribe(request) {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(request),
+    });
+    if (!res.ok) {
+      const text = await res.text().catch(() => "");
+      throw new Error(`Back in stock sign-up failed: ${res.status} ${res.statusText} – ${text}`);
+    }
+    return { ok: true };
+  },
+});
+
+let activeAdapter = endpoint ? createHttpAdapter(endpoint) : localAdapter;
+
+export const setBackInStockAdapter = (adapter) => {
+  activeAdapter = adapter ?? localAdapter;
+};
+
+export async function subscribeToBackInStock({ email, variantId, productHandle, customerId }) {
+  const address = String(email ?? "").trim().toLowerCase();
+  if (!isValidEmail(address)) {
+    throw new Error("Enter a valid email address.");
+  }
+  if (!variantId) {
+    throw new Error("Choose a size to be notified about.");
+  }
+  return activeAdapter.subscribe({
+    email: address,
+    variantId,
+    productHandle: productHandle ?? null,
+    customerId: customerId ?? null,
+  });
+}
@@ -0,0 +1,120 @@
+/* ================= PRODUCT BADGES =================
+ * Badges are derived from a normalized product by an ordered list of rules.
+ * Each rule has an id, a priority (higher wins), a tone for styling, and a
+ * `match(product, context)` that returns a label when the badge applies or
+ * null when it doesn't. Only the top `maxBadges` matches are shown, and an
+ * `exclusive` rule hides the rest, so a sold-out product isn't also on "Sale".
+ *
+ * Merchandisers drive most of it from Shopify: tags (`new`, `bestseller`,
+ * `limited`) or membership of the matching collections.
+ */
+import { lowStockQuantity } from "./inventory";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const badgeConfig = {
+  maxBadges: Number(import.meta.env.VITE_MAX_PRODUCT_BADGES) || 2,
+  // Products published within this many days count as new without a tag.
+  newForDays: 30,
+  // Sale badges below this discount are left off.
+  minSalePercent: 5,
+  tags: {
+    new: ["new", "new-arrival", "new arrival"],
+    bestseller: ["bestseller", "best-seller", "best seller"],
+    limited: ["limited", "limited-edition", "limited edition"],
+  },
+  collections: {
+    new: ["new-arrivals", "new-in"],
+    bestseller: ["bestsellers", "best-sellers"],
+    limited: ["limited-edition", "limited-editions"],
+  },
+};
+
+const lowerAll = (values = []) => values.map((value) => String(value).toLowerCase());
+
+const hasTag = (product, names) => {
+  const tags = lowerAll(product.tags);
+  return names.some((name) => tags.includes(name));
+};
+
+const inCollection = (product, handles) =>
+  (product.collections ?? []).some((collection) => handles.includes(collection?.handle));
+
+const isMarked = (product, key, config) =>
+  hasTag(product, config.tags[key] ?? []) ||
+  inCollection(product, config.collections[key] ?? []);
+
+const isSoldOut = (product) =>
+  (product.variants ?? []).length > 0 &&
+  product.variants.every((variant) => !variant.availableForSale);
+
+// Low only when every purchasable variant is running out; one deep size is enough stock.
+const isLowStock = (product) => {
+  const available = (product.variants ?? []).filter((variant) => variant.availableForSale);
+  return available.length > 0 && available.every((variant) => lowStockQuantity(variant));
+};
+
+const isRecent = (product, config, now) => {
+  const published = Date.parse(product.publishedAt ?? "");
+  return Number.isFinite(published) && now - published <= config.newForDays * DAY_MS;
+};
+
+export const BADGE_RULES = [
+  {
+    id: "sold-out",
+    priority: 100,
+    tone: "muted",
+    exclusive: true,
+    match: (product) => (isSoldOut(product) ? "Sold Out" : null),
+  },
+  {
+    id: "sale",
+    priority: 80,
+    tone: "accent",
+    match: (product, { config }) =>
+      product.discountPercent >= config.minSalePercent ? `${product.discountPercent}% Off` : null,
+  },
+  {
+    id: "low-stock",
+    priority: 70,
+    tone: "warning",
+    match: (product) => (isLowStock(product) ? "Low Stock" : null),
+  },
+  {
+    id: "limited",
+    priority: 60,
+    tone: "dark",
+    match: (product, { config }) => (isMarked(product, "limited", config) ? "Limited" : null),
+  },
+  {
+    id: "new",
+    priority: 50,
+    tone: "dark",
+    match: (product, { config, now }) =>
+      isMarked(product, "new", config) || isRecent(product, config, now) ? "New" : null,
+  },
+  {
+    id: "bestseller",
+    priority: 40,
+    tone: "light",
+    match: (product, { config }) =>
+      isMarked(product, "bestseller", config) ? "Bestseller" : null,
+  },
+];
+
+/* Returns [{ id, label, tone }] highest priority first, capped at maxBadges */
+export function getProductBadges(
+  product,
+  { rules = BADGE_RULES, maxBadges = badgeConfig.maxBadges, config = badgeConfig, now = Date.now() } = {},
+) {
+  if (!product) return [];
+  const context = { config, now };
+  const matches = rules
+    .map((rule) => ({ rule, label: rule.match(product, context) }))
+    .filter(({ label }) => label)
+    .sort((a, b) => b.rule.priority - a.rule.priority);
+  const exclusive = matches.find(({ rule }) => rule.exclusive);
+  return (exclusive ? [exclusive] : matches)
+    .slice(0, Math.max(0, maxBadges))
+    .map(({ rule, label }) => ({ id: rule.id, label, tone: rule.tone }));
+}
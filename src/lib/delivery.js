@@ -0,0 +1,98 @@
+/* ================= DELIVERY SERVICEABILITY =================
+ * Pincode lookups against the bundled dataset in src/data/pincodes.json.
+ * Each pincode resolves to a zone through its longest matching prefix;
+ * the zone carries the delivery window, COD and express eligibility.
+ * A prefix mapped to null (e.g. 9xxxxx army postal codes) is unserviceable.
+ */
+
+const PINCODE_PATTERN = /^[1-9][0-9]{5}$/;
+
+let datasetPromise = null;
+
+// Loaded on first lookup so the dataset stays out of the main bundle.
+const loadDataset = () => {
+  if (!datasetPromise) {
+    datasetPromise = import("../data/pincodes.json")
+      .then((module) => module.default ?? module)
+      .catch((error) => {
+        datasetPromise = null;
+        throw error;
+      });
+  }
+  return datasetPromise;
+};
+
+export const normalisePincode = (value) => String(value ?? "").replace(/\s+/g, "");
+
+export const isValidPincode = (value) => PINCODE_PATTERN.test(normalisePincode(value));
+
+const longestPrefixMatch = (table, pincode) => {
+  for (let length = pincode.length; length > 0; length -= 1) {
+    const prefix = pincode.slice(0, length);
+    if (Object.prototype.hasOwnProperty.call(table ?? {}, prefix)) {
+      return { prefix, value: table[prefix] };
+    }
+  }
+  return null;
+};
+
+/* Resolves { pincode, serviceable, place, minDays, maxDays, cod, express } */
+export async function checkPincode(value) {
+  const pincode = normalisePincode(value);
+  if (!PINCODE_PATTERN.test(pincode)) {
+    throw new Error("Enter a valid 6-digit pincode.");
+  }
+
+  const dataset = await loadDataset();
+  const zoneMatch = longestPrefixMatch(dataset.prefixes, pincode);
+  const zone = zoneMatch?.value ? dataset.zones?.[zoneMatch.value] : null;
+  const place = longestPrefixMatch(dataset.places, pincode)?.value ?? null;
+
+  if (!zone) {
+    return {
+      pincode,
+      serviceable: false,
+      place,
+      minDays: null,
+      maxDays: null,
+      cod: false,
+      express: false,
+    };
+  }
+
+  return {
+    pincode,
+    serviceable: true,
+    place,
+    minDays: zone.minDays,
+    maxDays: zone.maxDays,
+    cod: Boolean(zone.cod),
+    express: Boolean(zone.express),
+  };
+}
+
+// Couriers do not deliver on Sundays, so those are skipped when counting days.
+const addDeliveryDays = (from, days) => {
+  const date = new Date(from);
+  let remaining = days;
+  while (remaining > 0) {
+    date.setDate(date.getDate() + 1);
+    if (date.getDay() !== 0) remaining -= 1;
+  }
+  return date;
+};
+
+const formatDay = (date) =>
+  new Intl.DateTimeFormat("en-IN", { weekday: "short", day: "numeric", month: "short" }).format(
+    date,
+  );
+
+/* "Delivery by Tue, 21 Oct" or "Delivery between Tue, 21 Oct and Thu, 23 Oct" */
+export function formatDeliveryWindow(estimate, now = new Date()) {
+  if (!estimate?.serviceable) return "";
+  const earliest = formatDay(addDeliveryDays(now, estimate.minDays));
+  const latest = formatDay(addDeliveryDays(now, estimate.maxDays));
+  return earliest === latest
+    ? `Delivery by ${latest}`
+    : `Delivery between ${earliest} and ${latest}`;
+}
@@ -0,0 +1,411 @@
+/* ================= PRODUCT FILTERS =================
+ * Active filters live in the URL using the same keys as Shopify's theme
+ * filters (filter.v.option.size=M, filter.v.price.gte=20, filter.p.vendor=…),
+ * and each key/value pair maps to one Storefront `ProductFilter` input.
+ * Values under the same key are OR'ed and different keys are AND'ed, which
+ * is how Shopify combines collection filters.
+ *
+ * Variant option keys only carry a slug of the option name ("fit-type"),
+ * which can't be turned back into "Fit-Type" or "T-Shirt Size", so the real
+ * names are remembered from every Storefront facet list seen.
+ *
+ * Facets share one shape whether they come from the Storefront `filters`
+ * field or are built locally from loaded products:
+ *   { id, label, type: "LIST" | "PRICE_RANGE" | "BOOLEAN",
+ *     values: [{ id, label, count, input }], range: { min, max } | null }
+ */
+
+const FILTER_PREFIX = "filter.";
+const PRICE_MIN_KEY = "filter.v.price.gte";
+const PRICE_MAX_KEY = "filter.v.price.lte";
+
+const slug = (value) =>
+  String(value ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, "-");
+
+const sameToken = (a, b) => slug(a) === slug(b);
+
+const OPTION_PREFIX = "filter.v.option.";
+
+// option slug -> the option name Shopify uses
+const optionNames = new Map();
+
+export const isFilterParam = (key) => key.startsWith(FILTER_PREFIX);
+
+/* ProductFilter input -> [[key, value], …] URL pairs (empty when unsupported) */
+export function filterInputToParams(input) {
+  if (!input || typeof input !== "object") return [];
+  if (typeof input.available === "boolean") {
+    return [["filter.v.availability", input.available ? "1" : "0"]];
+  }
+  if (input.price) {
+    const pairs = [];
+    if (Number.isFinite(input.price.min)) pairs.push([PRICE_MIN_KEY, String(input.price.min)]);
+    if (Number.isFinite(input.price.max)) pairs.push([PRICE_MAX_KEY, String(input.price.max)]);
+    return pairs;
+  }
+  if (input.variantOption) {
+    return [[`${OPTION_PREFIX}${slug(input.variantOption.name)}`, input.variantOption.value]];
+  }
+  if (input.productType) return [["filter.p.product_type", input.productType]];
+  if (input.productVendor) return [["filter.p.vendor", input.productVendor]];
+  if (input.tag) return [["filter.p.tag", input.tag]];
+  if (input.productMetafield) {
+    const { namespace, key, value } = input.productMetafield;
+    return [[`filter.p.m.${namespace}.${key}`, value]];
+  }
+  if (input.variantMetafield) {
+    const { namespace, key, value } = input.variantMetafield;
+    return [[`filter.v.m.${namespace}.${key}`, value]];
+  }
+  return [];
+}
+
+const paramToFilterInput = (key, value) => {
+  if (key === "filter.v.availability") return { available: value === "1" };
+  if (key === "filter.p.product_type") return { productType: value };
+  if (key === "filter.p.vendor") return { productVendor: value };
+  if (key === "filter.p.tag") return { tag: value };
+  if (key.startsWith(OPTION_PREFIX)) {
+    const optionSlug = key.slice(OPTION_PREFIX.length);
+    // Only a guess until a facet list has told us the real name.
+    const name = optionNames.get(optionSlug) ?? optionSlug.replace(/-/g, " ");
+    return { variantOption: { name, value } };
+  }
+  const metafield = key.match(/^filter\.(p|v)\.m\.([^.]+)\.(.+)$/);
+  if (metafield) {
+    const [, scope, namespace, metafieldKey] = metafield;
+    const entry = { namespace, key: metafieldKey, value };
+    return scope === "p" ? { productMetafield: entry } : { variantMetafield: entry };
+  }
+  return null;
+};
+
+const parsePrice = (value) => {
+  if (value == null || value === "") return null;
+  const amount = Number.parseFloat(value);
+  return Number.isFinite(amount) && amount >= 0 ? amount : null;
+};
+
+/* Reads the active ProductFilter inputs back out of the query string */
+export function filtersFromSearchParams(searchParams) {
+  const filters = [];
+  for (const [key, value] of searchParams.entries()) {
+    if (!isFilterParam(key) || key === PRICE_MIN_KEY || key === PRICE_MAX_KEY || !value) continue;
+    const input = paramToFilterInput(key, value);
+    if (input) filters.push(input);
+  }
+  const min = parsePrice(searchParams.get(PRICE_MIN_KEY));
+  const max = parsePrice(searchParams.get(PRICE_MAX_KEY));
+  if (min != null || max != null) {
+    filters.push({ price: { ...(min != null && { min }), ...(max != null && { max }) } });
+  }
+  return filters;
+}
+
+/* True while the URL names a variant option no facet list has shown yet (a cold deep link) */
+export const hasUnknownOptionNames = (searchParams) =>
+  Array.from(searchParams.keys()).some(
+    (key) => key.startsWith(OPTION_PREFIX) && !optionNames.has(key.slice(OPTION_PREFIX.length)),
+  );
+
+/* The active ProductFilter inputs with real option names. `loadFacets` resolves
+ * to the listing's unfiltered Storefront `filters` and is only called when an
+ * option name is still unknown. */
+export async function resolveFilterInputs(searchParams, loadFacets) {
+  if (loadFacets && hasUnknownOptionNames(searchParams)) {
+    normalizeFacets(await loadFacets());
+  }
+  return filtersFromSearchParams(searchParams);
+}
+
+/* Stable string for the active filters, for effect dependencies and cache keys */
+export const filterParamsKey = (searchParams) =>
+  Array.from(searchParams.entries())
+    .filter(([key]) => isFilterParam(key))
+    .map(([key, value]) => `${key}=${value}`)
+    .sort()
+    .join("&");
+
+export function isFilterValueActive(searchParams, input) {
+  const pairs = filterInputToParams(input);
+  return (
+    pairs.length > 0 &&
+    pairs.every(([key, value]) => searchParams.getAll(key).includes(value))
+  );
+}
+
+/* Returns a copy of the params with one facet value switched on or off */
+export function toggleFilterParam(searchParams, input) {
+  const next = new URLSearchParams(searchParams);
+  const active = isFilterValueActive(searchParams, input);
+  filterInputToParams(input).forEach(([key, value]) => {
+    const remaining = next.getAll(key).filter((entry) => entry !== value);
+    next.delete(key);
+    remaining.forEach((entry) => next.append(key, entry));
+    if (!active) next.append(key, value);
+  });
+  return next;
+}
+
+export function setPriceParams(searchParams, { min = null, max = null } = {}) {
+  const next = new URLSearchParams(searchParams);
+  next.delete(PRICE_MIN_KEY);
+  next.delete(PRICE_MAX_KEY);
+  if (min != null && min !== "") next.set(PRICE_MIN_KEY, String(min));
+  if (max != null && max !== "") next.set(PRICE_MAX_KEY, String(max));
+  return next;
+}
+
+export function clearFilterParams(searchParams) {
+  const next = new URLSearchParams(searchParams);
+  Array.from(next.keys())
+    .filter(isFilterParam)
+    .forEach((key) => next.delete(key));
+  return next;
+}
+
+export const priceFilterFromParams = (searchParams) => ({
+  min: parsePrice(searchParams.get(PRICE_MIN_KEY)),
+  max: parsePrice(searchParams.get(PRICE_MAX_KEY)),
+});
+
+/* Chips for the active filters, labelled from the facets where possible */
+export function activeFilterChips(facets, searchParams) {
+  const chips = [];
+  const price = priceFilterFromParams(searchParams);
+  (facets ?? []).forEach((facet) => {
+    if (facet.type === "PRICE_RANGE") return;
+    facet.values.forEach((value) => {
+      if (isFilterValueActive(searchParams, value.input)) {
+        chips.push({ id: value.id, label: `${facet.label}: ${value.label}`, input: value.input });
+      }
+    });
+  });
+  if (price.min != null || price.max != null) {
+    chips.push({ id: "filter.v.price", label: "Price", input: null, price });
+  }
+  return chips;
+}
+
+/* Storefront `filters` -> facets, with each value's JSON input parsed.
+ * Also records the option names for reading option filters back from the URL. */
+export function normalizeFacets(filters = []) {
+  return (filters ?? [])
+    .map((filter) => {
+      const values = (filter?.values ?? [])
+        .map((value) => {
+          let input = null;
+          try {
+            input = JSON.parse(value.input);
+          } catch {
+            input = null;
+          }
+          const name = input?.variantOption?.name;
+          if (name) optionNames.set(slug(name), name);
+          return { id: value.id, label: value.label, count: value.count ?? 0, input };
+        })
+        .filter((value) => value.input);
+      const range =
+        filter?.type === "PRICE_RANGE" && values[0]?.input?.price
+          ? {
+              min: Number(values[0].input.price.min) || 0,
+              max: Number(values[0].input.price.max) || 0,
+            }
+          : null;
+      return { id: filter.id, label: filter.label, type: filter.type, values, range };
+    })
+    .filter((facet) => facet.values.length);
+}
+
+/* ---------- local fallback for listings that aren't a single collection ---------- */
+
+const variantHasOption = (variant, name, value) =>
+  (variant?.selectedOptions ?? []).some(
+    (option) => sameToken(option?.name, name) && sameToken(option?.value, value),
+  );
+
+const matchesInput = (product, input) => {
+  const variants = product?.variants ?? [];
+  if (typeof input.available === "boolean") {
+    return variants.some((variant) => variant.availableForSale) === input.available;
+  }
+  if (input.price) {
+    const { min = 0, max = Infinity } = input.price;
+    const prices = variants.length ? variants.map((variant) => variant.price) : [product.price];
+    return prices.some((price) => price >= min && price <= max);
+  }
+  if (input.variantOption) {
+    const { name, value } = input.variantOption;
+    return variants.some((variant) => variantHasOption(variant, name, value));
+  }
+  if (input.productType) return sameToken(product.productType, input.productType);
+  if (input.productVendor) return sameToken(product.vendor, input.productVendor);
+  if (input.tag) return (product.tags ?? []).some((tag) => sameToken(tag, input.tag));
+  // Metafields aren't loaded on listing products, so those filters can't narrow locally.
+  return true;
+};
+
+// Facet id a filter belongs to; price min/max share one.
+const groupKey = (input) =>
+  input?.price ? "filter.v.price" : filterInputToParams(input)[0]?.[0] ?? "";
+
+/* Applies ProductFilter inputs to already-loaded products */
+export function applyFiltersLocally(products, filters) {
+  if (!filters?.length) return products;
+  const groups = new Map();
+  filters.forEach((input) => {
+    const key = groupKey(input);
+    groups.set(key, [...(groups.get(key) ?? []), input]);
+  });
+  return products.filter((product) =>
+    Array.from(groups.values()).every((inputs) =>
+      inputs.some((input) => matchesInput(product, input)),
+    ),
+  );
+}
+
+const quoted = (value) => `"${String(value).replace(/["\\]/g, "\\$&")}"`;
+
+// One ProductFilter input as a Storefront product search term, or null.
+const searchTerm = (input) => {
+  if (typeof input.available === "boolean") return `available_for_sale:${input.available}`;
+  if (input.price) {
+    const { min, max } = input.price;
+    const bounds = [
+      Number.isFinite(min) && `variants.price:>=${min}`,
+      Number.isFinite(max) && `variants.price:<=${max}`,
+    ].filter(Boolean);
+    return bounds.length > 1 ? `(${bounds.join(" AND ")})` : bounds[0] ?? null;
+  }
+  if (input.productType) return `product_type:${quoted(input.productType)}`;
+  if (input.productVendor) return `vendor:${quoted(input.productVendor)}`;
+  if (input.tag) return `tag:${quoted(input.tag)}`;
+  return null;
+};
+
+/* ProductFilter inputs as a `products(query:)` string, combined like collection
+ * filters, or null when one (a variant option, a metafield) has no search field */
+export function productSearchQuery(filters) {
+  if (!filters?.length) return "";
+  const groups = new Map();
+  for (const input of filters) {
+    const term = searchTerm(input);
+    if (!term) return null;
+    const key = groupKey(input);
+    groups.set(key, [...(groups.get(key) ?? []), term]);
+  }
+  return Array.from(groups.values())
+    .map((terms) => (terms.length > 1 ? `(${terms.join(" OR ")})` : terms[0]))
+    .join(" AND ");
+}
+
+const listFacet = (id, label, entries) => {
+  const values = Array.from(entries.values())
+    .sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true }))
+    .map((entry) => ({ ...entry, id: `${id}.${slug(entry.label)}` }));
+  return values.length ? { id, label, type: "LIST", values, range: null } : null;
+};
+
+const countInto = (map, label, input) => {
+  if (!label) return;
+  const key = slug(label);
+  const entry = map.get(key) ?? { label, count: 0, input };
+  entry.count += 1;
+  map.set(key, entry);
+};
+
+const collectFacets = (products) => {
+  const availability = new Map();
+  const options = new Map();
+  const types = new Map();
+  const vendors = new Map();
+  const tags = new Map();
+  let minPrice = Infinity;
+  let maxPrice = 0;
+
+  (products ?? []).forEach((product) => {
+    const inStock = (product.variants ?? []).some((variant) => variant.availableForSale);
+    countInto(availability, inStock ? "In stock" : "Out of stock", { available: inStock });
+
+    const seenOptions = new Set();
+    (product.variants ?? []).forEach((variant) => {
+      minPrice = Math.min(minPrice, variant.price);
+      maxPrice = Math.max(maxPrice, variant.price);
+      (variant.selectedOptions ?? []).forEach((option) => {
+        if (!option?.name || !option?.value || option.value === "Default Title") return;
+        const token = `${slug(option.name)}:${slug(option.value)}`;
+        if (seenOptions.has(token)) return;
+        seenOptions.add(token);
+        if (!options.has(slug(option.name))) {
+          options.set(slug(option.name), { name: option.name, values: new Map() });
+        }
+        countInto(options.get(slug(option.name)).values, option.value, {
+          variantOption: { name: option.name, value: option.value },
+        });
+      });
+    });
+    if (!product.variants?.length && Number.isFinite(product.price)) {
+      minPrice = Math.min(minPrice, product.price);
+      maxPrice = Math.max(maxPrice, product.price);
+    }
+
+    countInto(types, product.productType, { productType: product.productType });
+    countInto(vendors, product.vendor, { productVendor: product.vendor });
+    (product.tags ?? []).forEach((tag) => countInto(tags, tag, { tag }));
+  });
+
+  const facets = [
+    listFacet("filter.v.availability", "Availability", availability),
+    ...Array.from(options.entries()).map(([key, option]) =>
+      listFacet(`filter.v.option.${key}`, option.name, option.values),
+    ),
+  ];
+
+  if (Number.isFinite(minPrice) && maxPrice > 0) {
+    facets.push({
+      id: "filter.v.price",
+      label: "Price",
+      type: "PRICE_RANGE",
+      values: [
+        {
+          id: "filter.v.price",
+          label: "Price",
+          count: 0,
+          input: { price: { min: Math.floor(minPrice), max: Math.ceil(maxPrice) } },
+        },
+      ],
+      range: { min: Math.floor(minPrice), max: Math.ceil(maxPrice) },
+    });
+  }
+
+  facets.push(
+    listFacet("filter.p.product_type", "Product type", types),
+    listFacet("filter.p.vendor", "Brand", vendors),
+    listFacet("filter.p.tag", "Tag", tags),
+  );
+
+  return facets.filter(Boolean);
+};
+
+/* Builds facets with counts from loaded products, in the Storefront facet shape.
+ * Like Shopify, each facet is counted with every other active filter applied but
+ * not its own, so picking one size still shows how many products the others have. */
+export function buildLocalFacets(products, filters = []) {
+  const facets = collectFacets(products);
+  if (!filters.length) return facets;
+  return facets.map((facet) => {
+    if (facet.type === "PRICE_RANGE") return facet;
+    const others = filters.filter((input) => groupKey(input) !== facet.id);
+    const counted = collectFacets(applyFiltersLocally(products, others)).find(
+      (entry) => entry.id === facet.id,
+    );
+    const counts = new Map((counted?.values ?? []).map((value) => [value.id, value.count]));
+    return {
+      ...facet,
+      values: facet.values.map((value) => ({ ...value, count: counts.get(value.id) ?? 0 })),
+    };
+  });
+}
@@ -0,0 +1,24 @@
+/* ================= INVENTORY =================
+ * quantityAvailable is null when inventory isn't tracked (or the token lacks the
+ * unauthenticated_read_product_inventory scope) and zero or negative when the
+ * variant keeps selling out of stock, so only a positive count limits anything.
+ */
+
+// "Only N left" shows once a variant's stock is at or below this.
+export const LOW_STOCK_THRESHOLD = Number(import.meta.env.VITE_LOW_STOCK_THRESHOLD) || 5;
+
+export const MAX_LINE_QUANTITY = 99;
+
+export function maxPurchasableQuantity(variant) {
+  const stock = variant?.quantityAvailable;
+  return typeof stock === "number" && stock > 0
+    ? Math.min(stock, MAX_LINE_QUANTITY)
+    : MAX_LINE_QUANTITY;
+}
+
+/* Units left when stock is low enough to call out, otherwise null */
+export function lowStockQuantity(variant, threshold = LOW_STOCK_THRESHOLD) {
+  const stock = variant?.quantityAvailable;
+  if (!variant?.availableForSale || typeof stock !== "number") return null;
+  return stock > 0 && stock <= threshold ? stock : null;
+}
@@ -0,0 +1,78 @@
+/* ================= MEGA MENU =================
+ * Helpers that dress a nav item (see getDefaultMenuItems in shopify.js) with
+ * catalogue content for the mega-menu: images for its child collections, the
+ * newest products in its collections and a featured product. Merchandisers
+ * pick the featured product by tagging it `featured`.
+ */
+
+const FEATURED_TAG = "featured";
+
+/* Every collection handle in an item's subtree, the item's own first */
+export function menuCollectionHandles(item) {
+  if (!item) return [];
+  const own = item.handle ? [String(item.handle).toLowerCase()] : [];
+  return [...own, ...(item.children ?? []).flatMap(menuCollectionHandles)];
+}
+
+/* Collection items anywhere in a menu; they carry their own image */
+export function menuCollectionItems(items = []) {
+  return items.flatMap((item) => [
+    ...(item.kind === "collection" ? [item] : []),
+    ...menuCollectionItems(item.children ?? []),
+  ]);
+}
+
+/* handle -> { url, alt }; takes raw Storefront nodes, mapped collections or menu items */
+export function collectionImageMap(...collectionLists) {
+  const images = new Map();
+  collectionLists.flat().forEach((collection) => {
+    const handle = String(collection?.handle ?? "").toLowerCase();
+    const url = collection?.image?.url;
+    if (!handle || !url || images.has(handle)) return;
+    images.set(handle, {
+      url,
+      alt: collection.image.alt ?? collection.image.altText ?? collection.title ?? "",
+    });
+  });
+  return images;
+}
+
+const inCollections = (product, handles) =>
+  (product?.collections ?? []).some((collection) =>
+    handles.includes(String(collection?.handle ?? "").toLowerCase()),
+  );
+
+// Falls back to the whole catalogue when nothing is assigned to the item's collections.
+const productsForItem = (products, item) => {
+  const handles = menuCollectionHandles(item);
+  const matching = handles.length
+    ? products.filter((product) => inCollections(product, handles))
+    : [];
+  return matching.length ? matching : products;
+};
+
+const publishedTime = (product) => Date.parse(product?.publishedAt ?? "") || 0;
+
+export function newInProducts(products = [], item, limit = 4) {
+  return productsForItem(products, item)
+    .slice()
+    .sort((a, b) => publishedTime(b) - publishedTime(a))
+    .slice(0, limit);
+}
+
+/* A `featured`-tagged product, else the first one in stock not already in `exclude` */
+export function featuredMenuProduct(products = [], item, exclude = []) {
+  const candidates = productsForItem(products, item);
+  const excluded = new Set(exclude.map((product) => product?.id));
+  const isAvailable = (product) =>
+    (product.variants ?? []).some((variant) => variant.availableForSale);
+
+  return (
+    candidates.find((product) =>
+      (product.tags ?? []).some((tag) => String(tag).toLowerCase() === FEATURED_TAG),
+    ) ??
+    candidates.find((product) => !excluded.has(product.id) && isAvailable(product)) ??
+    candidates.find((product) => !excluded.has(product.id)) ??
+    null
+  );
+}
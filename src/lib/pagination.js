@@ -0,0 +1,66 @@
+/* ================= LISTING PAGINATION =================
+ * Product listings grow a page at a time ("Load more" or infinite scroll).
+ * The number of pages shown lives in the `page` search param so a deep link
+ * or a return from the product page reloads the same slice, and the scroll
+ * offset is kept per history entry in sessionStorage so it can be put back.
+ */
+
+export const LISTING_PAGE_SIZE = 24;
+// Storefront caps `first` at 250, so deep links are loaded in chunks of this size.
+export const MAX_STOREFRONT_PAGE_SIZE = 250;
+
+export const infiniteScrollEnabled = import.meta.env.VITE_INFINITE_SCROLL === "true";
+
+export function pageFromSearchParams(searchParams) {
+  const value = Number.parseInt(searchParams.get("page") ?? "", 10);
+  return Number.isFinite(value) && value > 1 ? value : 1;
+}
+
+export function withPageParam(searchParams, page) {
+  const next = new URLSearchParams(searchParams);
+  if (page > 1) {
+    next.set("page", String(page));
+  } else {
+    next.delete("page");
+  }
+  return next;
+}
+
+/* ===== SCROLL POSITIONS ===== */
+const scrollStorageKey = "evrydae-listing-scroll-v1";
+// Only the most recent entries are worth keeping around.
+const MAX_SCROLL_ENTRIES = 20;
+
+const readScrollPositions = () => {
+  if (typeof window === "undefined") return {};
+  try {
+    const parsed = JSON.parse(window.sessionStorage.getItem(scrollStorageKey) ?? "{}");
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+};
+
+const writeScrollPositions = (positions) => {
+  try {
+    window.sessionStorage.setItem(scrollStorageKey, JSON.stringify(positions));
+  } catch {
+    // no-op: fail silently if storage is unavailable
+  }
+};
+
+export function rememberScrollPosition(locationKey, top) {
+  if (!locationKey) return;
+  const { [locationKey]: _previous, ...rest } = readScrollPositions();
+  const entries = Object.entries(rest).slice(-(MAX_SCROLL_ENTRIES - 1));
+  writeScrollPositions({ ...Object.fromEntries(entries), [locationKey]: Math.round(top) });
+}
+
+/* Returns the saved offset once and forgets it, or null when there is none */
+export function takeScrollPosition(locationKey) {
+  const positions = readScrollPositions();
+  if (!locationKey || !(locationKey in positions)) return null;
+  const { [locationKey]: top, ...rest } = positions;
+  writeScrollPositions(rest);
+  return Number.isFinite(top) ? top : null;
+}
@@ -0,0 +1,123 @@
+/* ================= PRODUCT REVIEWS =================
+ * Reviews live in the product metafield reviews.json. The app that writes it
+ * has changed shape over time, so the parser accepts either a bare array of
+ * reviews or an object with a `reviews` array, and several field aliases.
+ */
+
+export const REVIEW_SORTS = [
+  { value: "newest", label: "Newest" },
+  { value: "oldest", label: "Oldest" },
+  { value: "highest", label: "Highest Rated" },
+  { value: "lowest", label: "Lowest Rated" },
+];
+
+const emptySummary = {
+  average: 0,
+  count: 0,
+  histogram: { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 },
+  items: [],
+};
+
+const firstDefined = (entry, keys) => {
+  for (const key of keys) {
+    const value = entry?.[key];
+    if (value != null && value !== "") return value;
+  }
+  return null;
+};
+
+const toPhotoUrl = (photo) => {
+  if (typeof photo === "string") return photo;
+  return photo?.url ?? photo?.src ?? photo?.image?.url ?? null;
+};
+
+const normaliseReview = (entry, index) => {
+  if (!entry || typeof entry !== "object") return null;
+  const rating = Number(firstDefined(entry, ["rating", "stars", "score"]));
+  if (!Number.isFinite(rating) || rating <= 0) return null;
+
+  const createdAt = firstDefined(entry, ["created_at", "createdAt", "date", "published_at"]);
+  const timestamp = Date.parse(createdAt ?? "");
+  const rawPhotos = firstDefined(entry, ["photos", "images", "media"]);
+  const photos = Array.isArray(rawPhotos) ? rawPhotos.map(toPhotoUrl).filter(Boolean) : [];
+
+  return {
+    id: String(firstDefined(entry, ["id", "review_id"]) ?? `review-${index}`),
+    rating: Math.min(Math.max(Math.round(rating), 1), 5),
+    title: String(firstDefined(entry, ["title", "headline"]) ?? ""),
+    body: String(firstDefined(entry, ["body", "content", "text", "review"]) ?? ""),
+    author: String(firstDefined(entry, ["author", "name", "reviewer"]) ?? "Anonymous"),
+    verified: Boolean(firstDefined(entry, ["verified", "verified_buyer", "verifiedBuyer"])),
+    createdAt: Number.isFinite(timestamp) ? new Date(timestamp).toISOString() : null,
+    photos,
+  };
+};
+
+/* Parses the raw metafield value into { average, count, histogram, items } */
+export function parseReviews(raw) {
+  if (!raw) return emptySummary;
+  let parsed = raw;
+  if (typeof raw === "string") {
+    try {
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      console.warn("Unable to parse reviews metafield", error);
+      return emptySummary;
+    }
+  }
+
+  const list = Array.isArray(parsed) ? parsed : parsed?.reviews;
+  if (!Array.isArray(list)) return emptySummary;
+
+  const items = list.map(normaliseReview).filter(Boolean);
+  if (!items.length) return emptySummary;
+
+  const histogram = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+  let total = 0;
+  items.forEach((review) => {
+    histogram[review.rating] += 1;
+    total += review.rating;
+  });
+
+  return {
+    average: Math.round((total / items.length) * 10) / 10,
+    count: items.length,
+    histogram,
+    items,
+  };
+}
+
+const reviewTime = (review) => (review.createdAt ? Date.parse(review.createdAt) : 0);
+const byDate = (a, b) => reviewTime(a) - reviewTime(b);
+
+export function sortReviews(items, sort = "newest") {
+  const list = [...items];
+  switch (sort) {
+    case "oldest":
+      return list.sort(byDate);
+    case "highest":
+      return list.sort((a, b) => b.rating - a.rating || byDate(b, a));
+    case "lowest":
+      return list.sort((a, b) => a.rating - b.rating || byDate(b, a));
+    case "newest":
+    default:
+      return list.sort((a, b) => byDate(b, a));
+  }
+}
+
+/* Filters, sorts and slices reviews for one page of the list */
+export function queryReviews(
+  items,
+  { sort = "newest", withPhotos = false, page = 1, pageSize = 5 } = {},
+) {
+  const filtered = withPhotos ? items.filter((review) => review.photos.length) : items;
+  const sorted = sortReviews(filtered, sort);
+  const pageCount = Math.max(1, Math.ceil(sorted.length / pageSize));
+  const current = Math.min(Math.max(page, 1), pageCount);
+  return {
+    items: sorted.slice((current - 1) * pageSize, current * pageSize),
+    total: sorted.length,
+    page: current,
+    pageCount,
+  };
+}
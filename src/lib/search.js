@@ -0,0 +1,332 @@
+/* ================= SEARCH ENGINE =================
+ * An inverted index over the loaded catalogue. Every product field is split
+ * into terms and each term points at the products containing it, weighted by
+ * the most important field it came from (title > tags > description), so a
+ * query only touches the products that can match it.
+ *
+ * A product matches when every query token matches one of its terms, either
+ * exactly, as a prefix, inside a longer term or within a small edit distance
+ * (in that order of strength). Tokens are also tried through the synonym map,
+ * so "tee" finds t-shirts. Results come back best first: [{ product, score }].
+ */
+
+export const searchConfig = {
+  // query term -> what else it should match; multi-word values match as a phrase.
+  // Write values as whole words: "t-shirt" would tokenize to a bare "t".
+  synonyms: {
+    tee: ["tshirt"],
+    tees: ["tshirt"],
+    tshirts: ["tshirt"],
+    trainers: ["sneakers"],
+    trainer: ["sneakers"],
+    kicks: ["sneakers"],
+    denim: ["jeans"],
+    pants: ["trousers", "jeans"],
+    slides: ["sandals"],
+    flip: ["sandals"],
+    moccasins: ["loafers"],
+    hoodie: ["hoodies", "sweatshirt"],
+  },
+};
+
+export const SEARCH_FIELD_WEIGHTS = {
+  title: 10,
+  productType: 6,
+  tags: 5,
+  collections: 4,
+  vendor: 4,
+  options: 3,
+  handle: 2,
+  sku: 2,
+  description: 1,
+};
+
+const MATCH_STRENGTH = {
+  exact: 1,
+  prefix: 0.7,
+  fuzzy: 0.45,
+  partial: 0.35,
+};
+
+// Synonyms score a little under what the shopper actually typed.
+const SYNONYM_STRENGTH = 0.9;
+
+// Single letters in an expansion would prefix-match half the catalogue.
+const MIN_SYNONYM_TOKEN_LENGTH = 2;
+
+// Bonus for a title that equals or starts with the whole query.
+const TITLE_EXACT_BONUS = 40;
+const TITLE_PREFIX_BONUS = 20;
+
+export const normalizeSearchText = (value) =>
+  String(value ?? "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+export const tokenize = (value) => normalizeSearchText(value).split(" ").filter(Boolean);
+
+// "T-Shirt" is also indexed as "tshirt", the way shoppers tend to type it.
+const compoundTerms = (value) =>
+  (
+    String(value ?? "")
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .match(/[a-z0-9]+(?:-[a-z0-9]+)+/g) ?? []
+  ).map((word) => word.replace(/-/g, ""));
+
+const productFields = (product) => ({
+  title: [product?.title],
+  productType: [product?.productType],
+  tags: product?.tags ?? [],
+  collections: (product?.collections ?? []).flatMap((collection) => [
+    collection?.title,
+    collection?.handle,
+  ]),
+  vendor: [product?.vendor],
+  options: [
+    ...(product?.options ?? []).flatMap((option) => [option?.name, ...(option?.values ?? [])]),
+    ...(product?.variants ?? []).flatMap((variant) => [
+      variant?.title,
+      ...(variant?.selectedOptions ?? []).map((opt) => opt?.value),
+    ]),
+  ],
+  handle: [product?.handle],
+  sku: (product?.variants ?? []).map((variant) => variant?.sku),
+  description: [product?.description],
+});
+
+/* products -> { documents, postings: Map<term, Map<docIndex, weight>>, terms } */
+export function buildSearchIndex(products = []) {
+  const documents = [];
+  const postings = new Map();
+
+  products.forEach((product) => {
+    if (!product) return;
+    const docIndex = documents.length;
+    documents.push({ product, title: normalizeSearchText(product.title) });
+
+    Object.entries(productFields(product)).forEach(([field, values]) => {
+      const weight = SEARCH_FIELD_WEIGHTS[field] ?? 1;
+      values.forEach((value) => {
+        // Handles are hyphenated throughout, so joining their words only adds noise.
+        const compounds = field === "handle" ? [] : compoundTerms(value);
+        [...tokenize(value), ...compounds].forEach((term) => {
+          const docs = postings.get(term) ?? new Map();
+          docs.set(docIndex, Math.max(docs.get(docIndex) ?? 0, weight));
+          postings.set(term, docs);
+        });
+      });
+    });
+  });
+
+  return { documents, postings, terms: Array.from(postings.keys()) };
+}
+
+/* Optimal string alignment distance (a swap of two letters counts as one edit),
+ * giving up once it is certain to exceed `max` */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const next = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      next.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = next;
+  }
+  return row[b.length];
+}
+
+// Short words are left exact: "tee" one edit away from "tea" is a different word.
+const allowedEdits = (token) => (token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0);
+
+const matchStrength = (term, token) => {
+  if (term === token) return MATCH_STRENGTH.exact;
+  if (term.startsWith(token)) return MATCH_STRENGTH.prefix;
+  const edits = allowedEdits(token);
+  if (edits && editDistance(term, token, edits) <= edits) return MATCH_STRENGTH.fuzzy;
+  if (token.length > 1 && term.includes(token)) return MATCH_STRENGTH.partial;
+  return 0;
+};
+
+/* docIndex -> best score for one term as typed */
+const scoreTerm = (index, token) => {
+  const scores = new Map();
+  index.terms.forEach((term) => {
+    const strength = matchStrength(term, token);
+    if (!strength) return;
+    index.postings.get(term).forEach((weight, docIndex) => {
+      scores.set(docIndex, Math.max(scores.get(docIndex) ?? 0, weight * strength));
+    });
+  });
+  return scores;
+};
+
+/* Documents matching every token of `tokens`, with their summed scores */
+const scoreAll = (index, tokens, scoreOne) => {
+  let totals = null;
+  tokens.forEach((token) => {
+    const scores = scoreOne(token);
+    const next = new Map();
+    (totals ?? scores).forEach((_, docIndex) => {
+      if (!scores.has(docIndex)) return;
+      next.set(docIndex, (totals?.get(docIndex) ?? 0) + scores.get(docIndex));
+    });
+    totals = next;
+  });
+  return totals ?? new Map();
+};
+
+/* docIndex -> best score for a query token or any of its synonyms */
+const scoreToken = (index, token, synonyms) => {
+  const scores = scoreTerm(index, token);
+  (synonyms[token] ?? []).forEach((synonym) => {
+    const phrase = tokenize(synonym).filter((part) => part.length >= MIN_SYNONYM_TOKEN_LENGTH);
+    if (!phrase.length) return;
+    const phraseScores = scoreAll(index, phrase, (part) => scoreTerm(index, part));
+    phraseScores.forEach((score, docIndex) => {
+      const value = (score / phrase.length) * SYNONYM_STRENGTH;
+      scores.set(docIndex, Math.max(scores.get(docIndex) ?? 0, value));
+    });
+  });
+  return scores;
+};
+
+const normalizedSynonyms = (synonyms) =>
+  Object.fromEntries(
+    Object.entries(synonyms ?? {}).map(([term, values]) => [normalizeSearchText(term), values]),
+  );
+
+export function searchIndex(
+  index,
+  query,
+  { limit = Infinity, synonyms = searchConfig.synonyms } = {},
+) {
+  const tokens = Array.from(new Set(tokenize(query)));
+  if (!index || !tokens.length) return [];
+
+  const synonymMap = normalizedSynonyms(synonyms);
+  const totals = scoreAll(index, tokens, (token) => scoreToken(index, token, synonymMap));
+
+  const phrase = tokens.join(" ");
+  return Array.from(totals.entries())
+    .map(([docIndex, score]) => {
+      const { product, title } = index.documents[docIndex];
+      const bonus =
+        title === phrase ? TITLE_EXACT_BONUS : title.startsWith(phrase) ? TITLE_PREFIX_BONUS : 0;
+      return { product, score: score + bonus, docIndex };
+    })
+    .sort((a, b) => b.score - a.score || a.docIndex - b.docIndex)
+    .slice(0, limit)
+    .map(({ product, score }) => ({ product, score }));
+}
+
+/* "Did you mean": the query with each token that isn't an indexed word
+ * swapped for the closest one (more common terms win ties), or null when
+ * nothing better is found. It doesn't care whether fuzzy matching already
+ * found something here, since a storefront search that only knows exact words
+ * can still miss "jens" when this index matched it to "jeans". Looks a little
+ * further than matching does, so it can still help after a miss. */
+export function suggestCorrection(index, query, { synonyms = searchConfig.synonyms } = {}) {
+  const tokens = tokenize(query);
+  if (!index?.terms.length || !tokens.length) return null;
+
+  let changed = false;
+  const corrected = tokens.map((token) => {
+    if (index.postings.has(token)) return token;
+    const maxEdits = Math.max(2, allowedEdits(token) + 1);
+    let best = null;
+    index.terms.forEach((term) => {
+      if (term.length < 3) return;
+      const distance = editDistance(term, token, maxEdits);
+      if (distance > maxEdits) return;
+      const frequency = index.postings.get(term).size;
+      if (
+        !best ||
+        distance < best.distance ||
+        (distance === best.distance && frequency > best.frequency)
+      ) {
+        best = { term, distance, frequency };
+      }
+    });
+    if (!best) return token;
+    changed = true;
+    return best.term;
+  });
+
+  if (!changed) return null;
+  const suggestion = corrected.join(" ");
+  return searchIndex(index, suggestion, { limit: 1, synonyms }).length ? suggestion : null;
+}
+
+/* Product titles for the suggestion list: best matches for a query, or the first few without one */
+export function suggestSearches(index, query, limit = 6) {
+  const titles = tokenize(query).length
+    ? searchIndex(index, query).map(({ product }) => product.title)
+    : (index?.documents ?? []).map(({ product }) => product.title);
+
+  const seen = new Set();
+  const out = [];
+  for (const title of titles) {
+    const normalized = normalizeSearchText(title);
+    if (!normalized || seen.has(normalized)) continue;
+    seen.add(normalized);
+    out.push(title);
+    if (out.length >= limit) break;
+  }
+  return out;
+}
+
+/* ===== RECENT SEARCHES ===== */
+const recentSearchKey = "evrydae-recent-searches-v1";
+const MAX_RECENT_SEARCHES = 8;
+
+export const readRecentSearches = () => {
+  if (typeof window === "undefined") return [];
+  try {
+    const raw = window.localStorage.getItem(recentSearchKey);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed.filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+};
+
+export const writeRecentSearches = (terms) => {
+  if (typeof window === "undefined") return;
+  try {
+    window.localStorage.setItem(recentSearchKey, JSON.stringify(terms));
+  } catch {
+    // no-op: fail silently if storage is unavailable
+  }
+};
+
+/* Most recent first, de-duplicated ignoring case and accents */
+export function addRecentSearch(terms, term) {
+  const trimmed = String(term ?? "").trim();
+  if (!trimmed) return terms;
+  const normalized = normalizeSearchText(trimmed);
+  return [trimmed, ...terms.filter((item) => normalizeSearchText(item) !== normalized)].slice(
+    0,
+    MAX_RECENT_SEARCHES,
+  );
+}
+
+export function removeRecentSearch(terms, term) {
+  const normalized = normalizeSearchText(term);
+  return terms.filter((item) => normalizeSearchText(item) !== normalized);
+}
@@ -1,9 +1,14 @@
+import { parseReviews } from "./reviews";
+import { getProductBadges } from "./badges";
+
+export { MAX_LINE_QUANTITY, lowStockQuantity, maxPurchasableQuantity } from "./inventory";
+
 const domain = import.meta.env.VITE_SHOPIFY_DOMAIN;
 const token = import.meta.env.VITE_SHOPIFY_STOREFRONT_TOKEN;
 const apiVersion = import.meta.env.VITE_SHOPIFY_API_VERSION || "2024-07";
 const endpoint = `https://${domain}/api/${apiVersion}/graphql.json`;
 
-async function graphql(query, variables = {}) {
+async function graphql(query, variables = {}, { signal } = {}) {
   if (!domain || !token) {
     throw new Error(
       "Missing Shopify env: VITE_SHOPIFY_DOMAIN or VITE_SHOPIFY_STOREFRONT_TOKEN"
@@ -19,9 +24,11 @@ async function graphql(query, variables = {}) {
         "X-Shopify-Storefront-Access-Token": token,
       },
       body: JSON.stringify({ query, variables }),
+      signal,
     });
   } catch (e) {
-    console.error("Network error calling Shopify:", e);
+    // An aborted request was cancelled on purpose, not a network failure.
+    if (e?.name !== "AbortError") console.error("Network error calling Shopify:", e);
     throw e;
   }
 
@@ -70,6 +77,20 @@ const parseAmount = (amount) => {
   return Number.isFinite(numeric) ? numeric : 0;
 };
 
+const normaliseMoney = (money) => ({
+  amount: parseAmount(money?.amount),
+  currencyCode: money?.currencyCode || defaultCurrencyCode,
+});
+
+/* A compare-at price only marks a sale when it is above the selling price */
+const saleCompareAt = (price, compareAtAmount) => {
+  const compareAt = parseAmount(compareAtAmount);
+  return compareAt > price ? compareAt : null;
+};
+
+export const discountPercent = (price, compareAtPrice) =>
+  compareAtPrice > price ? Math.round((1 - price / compareAtPrice) * 100) : 0;
+
 export function formatMoney(
   amount,
   currencyCode = defaultCurrencyCode,
@@ -168,7 +189,12 @@ export function normalizeProductNode(node) {
       sku: variant.sku ?? null,
       quantityAvailable: variant.quantityAvailable ?? null,
       price: parseAmount(variant.price?.amount ?? price),
+      compareAtPrice: saleCompareAt(
+        parseAmount(variant.price?.amount ?? price),
+        variant.compareAtPrice?.amount,
+      ),
       currencyCode: variant.price?.currencyCode || currencyCode,
+      image: normaliseImage(variant.image, node.title),
       selectedOptions:
         variant.selectedOptions?.map((opt) => ({
           name: opt?.name ?? "",
@@ -176,6 +202,13 @@ export function normalizeProductNode(node) {
         })) ?? [],
     })) ?? [];
 
+  // The card price is the cheapest variant, so its compare-at is the one to strike
+  // through; listings fetched without variants fall back to the product range.
+  const cheapestVariant = variants.find((variant) => variant.price === price);
+  const compareAtPrice = cheapestVariant
+    ? cheapestVariant.compareAtPrice
+    : saleCompareAt(price, node.compareAtPriceRange?.maxVariantPrice?.amount);
+
   const collections =
     node.collections?.nodes?.map((collection) => ({
       id: collection?.id ?? null,
@@ -198,9 +231,12 @@ export function normalizeProductNode(node) {
     description: node.description ?? "",
     descriptionHtml: node.descriptionHtml ?? "",
     tags: node.tags ?? [],
+    publishedAt: node.publishedAt ?? null,
     featuredImage,
     images,
     price,
+    compareAtPrice,
+    discountPercent: discountPercent(price, compareAtPrice),
     currencyCode,
     priceRange: node.priceRange ?? null,
     variants,
@@ -208,6 +244,7 @@ export function normalizeProductNode(node) {
     optionValues: optionLookup,
     collections,
     metafields: node.metafields ?? [],
+    reviews: parseReviews(node.metafield?.value),
     seo: node.seo ?? null,
   };
 }
@@ -222,9 +259,15 @@ export function toProductCard(product) {
   return {
     title: product.title,
     price: formatMoney(product.price, currency),
+    compareAtPrice: product.compareAtPrice
+      ? formatMoney(product.compareAtPrice, currency)
+      : null,
     img: image,
     hoverImg: secondaryImage,
-    badge: product.tags?.includes("new") ? "New" : undefined,
+    badges: getProductBadges(product),
+    rating: product.reviews?.count
+      ? { average: product.reviews.average, count: product.reviews.count }
+      : null,
     href: `/product/${product.handle}`,
   };
 }
@@ -253,8 +296,9 @@ export function findVariantForSize(product, size) {
     return token === 'size' || token.includes('size');
   };
 
+  // Without a size only a single-variant product is unambiguous; never guess between several.
   if (!size) {
-    return variants[0] ?? null;
+    return variants.length === 1 ? variants[0] : null;
   }
 
   const target = normaliseTokenValue(size);
@@ -279,8 +323,115 @@ export function findVariantForSize(product, size) {
           ?.split('/')
           ?.map((token) => token.trim()) ?? [];
       return tokens.includes(target);
-    }) ?? variants[0]
+    }) ?? null
+  );
+}
+
+const isDefaultTitleOption = (option) =>
+  option?.values?.length === 1 && /default\s*title/i.test(String(option.values[0]));
+
+/* Options a shopper actually chooses between (Shopify's "Default Title" placeholder excluded) */
+export function getSelectableOptions(product) {
+  return (product?.options ?? [])
+    .filter((option) => option?.name && option.values?.length && !isDefaultTitleOption(option))
+    .map((option) => ({ name: option.name, values: option.values }));
+}
+
+const variantMatches = (variant, selection) =>
+  Object.entries(selection).every(([name, value]) =>
+    variant.selectedOptions?.some(
+      (option) =>
+        normaliseTokenValue(option?.name) === normaliseTokenValue(name) &&
+        normaliseTokenValue(option?.value) === normaliseTokenValue(value),
+    ),
   );
+
+const selectionFromVariant = (product, variant) => {
+  const selection = {};
+  getSelectableOptions(product).forEach(({ name }) => {
+    const match = variant?.selectedOptions?.find(
+      (option) => normaliseTokenValue(option?.name) === normaliseTokenValue(name),
+    );
+    if (match?.value) selection[name] = match.value;
+  });
+  return selection;
+};
+
+/* The variant matching every selected option, or null when the combination doesn't exist */
+export function findVariantByOptions(product, selection = {}) {
+  const variants = product?.variants ?? [];
+  const options = getSelectableOptions(product);
+  if (!options.length) return variants[0] ?? null;
+  if (options.some(({ name }) => !selection[name])) return null;
+  return variants.find((variant) => variantMatches(variant, selection)) ?? null;
+}
+
+/* Whether picking `value` for `name` (keeping the other choices) lands on a real, in-stock variant */
+export function getOptionValueState(product, selection, name, value) {
+  const variant = findVariantByOptions(product, { ...selection, [name]: value });
+  return {
+    exists: Boolean(variant),
+    available: Boolean(variant?.availableForSale),
+  };
+}
+
+/* Applies one option change, moving the other options onto the nearest real variant if needed */
+export function selectOptionValue(product, selection, name, value) {
+  const next = { ...selection, [name]: value };
+  if (findVariantByOptions(product, next)) return next;
+  const candidates = (product?.variants ?? []).filter((variant) =>
+    variantMatches(variant, { [name]: value }),
+  );
+  const fallback = candidates.find((variant) => variant.availableForSale) ?? candidates[0];
+  return fallback ? selectionFromVariant(product, fallback) : next;
+}
+
+/* Starting selection: preferred values where they exist, otherwise the first in-stock variant */
+export function initialOptionSelection(product, preferred = {}) {
+  const options = getSelectableOptions(product);
+  const variants = product?.variants ?? [];
+  const wanted = {};
+  options.forEach(({ name, values }) => {
+    const key = Object.keys(preferred).find(
+      (entry) => normaliseTokenValue(entry) === normaliseTokenValue(name),
+    );
+    const value = key
+      ? values.find((entry) => normaliseTokenValue(entry) === normaliseTokenValue(preferred[key]))
+      : null;
+    if (value) wanted[name] = value;
+  });
+
+  const matching = variants.filter((variant) => variantMatches(variant, wanted));
+  const base =
+    matching.find((variant) => variant.availableForSale) ??
+    matching[0] ??
+    variants.find((variant) => variant.availableForSale) ??
+    variants[0];
+  return { ...selectionFromVariant(product, base), ...wanted };
+}
+
+/* Query-string key for an option, e.g. "Shoe Size" -> "shoe-size" */
+export const optionSearchKey = (name) => normaliseTokenValue(name).replace(/\s+/g, "-");
+
+/* Reads ?size=M&color=black back into a partial selection; unknown keys are ignored */
+export function optionsFromSearchParams(product, searchParams) {
+  const selection = {};
+  getSelectableOptions(product).forEach(({ name }) => {
+    const value = searchParams.get(optionSearchKey(name));
+    if (value) selection[name] = value;
+  });
+  return selection;
+}
+
+/* "?size=M&color=Black" for a variant's selected options ("" for single-variant products) */
+export function variantSearch(selectedOptions = []) {
+  const params = new URLSearchParams();
+  selectedOptions.forEach((option) => {
+    if (!option?.name || !option.value || /default\s*title/i.test(option.value)) return;
+    params.set(optionSearchKey(option.name), option.value);
+  });
+  const query = params.toString();
+  return query ? `?${query}` : "";
 }
 
 export const getProductImageUrl = (product) =>
@@ -288,14 +439,26 @@ export const getProductImageUrl = (product) =>
 
 /* ================= NAVIGATION ================= */
 
+/* Menu items: { id, label, to, kind, handle?, external?, children: [] }.
+ * The defaults mirror the storefront's original hard-coded nav and are used
+ * whenever the Shopify menu is missing, empty or fails to load. */
+const shoeMenuItem = (handle, label) => ({
+  id: `collection-${handle}`,
+  label,
+  to: `/shoes/${handle}`,
+  handle,
+  kind: "collection",
+  children: [],
+});
+
 const defaultMenuItems = [
-  { id: "all-products", label: "All Products", to: "/products", kind: "all" },
   {
     id: "collection-t-shirts",
     label: "T-Shirts",
     to: "/products?category=t-shirts",
     handle: "t-shirts",
     kind: "collection",
+    children: [],
   },
   {
     id: "collection-jeans",
@@ -303,6 +466,20 @@ const defaultMenuItems = [
     to: "/products?category=jeans",
     handle: "jeans",
     kind: "collection",
+    children: [],
+  },
+  {
+    id: "collection-shoes",
+    label: "Shoes",
+    to: "/shoes",
+    handle: "shoes",
+    kind: "collection",
+    children: [
+      shoeMenuItem("loafers", "Loafers"),
+      shoeMenuItem("boots", "Boots"),
+      shoeMenuItem("sneakers", "Sneakers"),
+      shoeMenuItem("sandals", "Sandals"),
+    ],
   },
 ];
 
@@ -376,6 +553,7 @@ function mapMenuItems(items = []) {
       const id = item?.id || `menu-${index}`;
       const label = String(item?.title || "").trim() || "Menu Item";
       const resource = item?.resource;
+      const children = mapMenuItems(item?.items || []);
 
       if (resource?.__typename === "Collection" && resource.handle) {
         return {
@@ -384,6 +562,10 @@ function mapMenuItems(items = []) {
           to: `/products?category=${resource.handle}`,
           handle: resource.handle,
           kind: "collection",
+          image: resource.image?.url
+            ? { url: resource.image.url, alt: resource.image.altText ?? label }
+            : null,
+          children,
         };
       }
 
@@ -394,6 +576,7 @@ function mapMenuItems(items = []) {
           to: `/product/${resource.handle}`,
           handle: resource.handle,
           kind: "product",
+          children,
         };
       }
 
@@ -408,30 +591,42 @@ function mapMenuItems(items = []) {
         to: resolved,
         kind: isExternal ? "external" : "link",
         external: isExternal,
+        children,
       };
     })
     .filter(Boolean);
 }
 
+// Shopify menus nest at most three levels deep.
 const NAVIGATION_QUERY = `#graphql
+  fragment MenuItemFields on MenuItem {
+    id
+    title
+    url
+    resource {
+      __typename
+      ... on Collection { handle image { url altText } }
+      ... on Product { handle }
+    }
+  }
+
   query NavigationMenu($handle: String!) {
     menu(handle: $handle) {
       items {
-        id
-        title
-        url
-        resource {
-          __typename
-          ... on Collection { handle }
-          ... on Product { handle }
+        ...MenuItemFields
+        items {
+          ...MenuItemFields
+          items { ...MenuItemFields }
         }
       }
     }
   }
 `;
 
+const cloneMenuItem = (item) => ({ ...item, children: (item.children ?? []).map(cloneMenuItem) });
+
 export function getDefaultMenuItems() {
-  return defaultMenuItems.map((item) => ({ ...item }));
+  return defaultMenuItems.map(cloneMenuItem);
 }
 
 export async function fetchNavigationMenu(handle = null) {
@@ -446,17 +641,7 @@ export async function fetchNavigationMenu(handle = null) {
     const data = await graphql(NAVIGATION_QUERY, { handle: menuHandle });
     const items = mapMenuItems(data?.menu?.items || []);
 
-    if (!items.length) {
-      return getDefaultMenuItems();
-    }
-
-    const includesAll = items.some((item) => item.kind === "all");
-    if (!includesAll) {
-      const defaults = getDefaultMenuItems();
-      return [defaults[0], ...items];
-    }
-
-    return items;
+    return items.length ? items : getDefaultMenuItems();
   } catch (error) {
     console.error(`Failed to fetch Shopify menu "${menuHandle}"`, error);
     return getDefaultMenuItems();
@@ -479,22 +664,27 @@ const ALL_PRODUCTS_QUERY = `#graphql
         tags
         featuredImage { url altText }
         images(first: 12) { nodes { url altText } }
+        publishedAt
         priceRange {
           minVariantPrice { amount currencyCode }
           maxVariantPrice { amount currencyCode }
         }
+        compareAtPriceRange { maxVariantPrice { amount currencyCode } }
         options { name values }
         variants(first: 100) {
           nodes {
             id
             title
             availableForSale
+            quantityAvailable
             sku
             price { amount currencyCode }
+            compareAtPrice { amount currencyCode }
             selectedOptions { name value }
           }
         }
         collections(first: 10) { nodes { id handle title } }
+        metafield(namespace:"reviews", key:"json") { value }
       }
     }
   }
@@ -545,19 +735,24 @@ export async function fetchCollectionByHandle(handle, limit = 24) {
           productType
           featuredImage { url altText }
           images(first: 12) { nodes { url altText } }
+          publishedAt
           priceRange { minVariantPrice { amount currencyCode } }
+          compareAtPriceRange { maxVariantPrice { amount currencyCode } }
           tags
           options { name values }
           variants(first: 50) {
             nodes {
               id
               availableForSale
+              quantityAvailable
               selectedOptions { name value }
               price { amount currencyCode }
+              compareAtPrice { amount currencyCode }
               sku
             }
           }
           collections(first: 5) { nodes { id handle title } }
+          metafield(namespace:"reviews", key:"json") { value }
         }
       }
     }
@@ -592,18 +787,23 @@ export async function fetchProductByHandle(handle) {
       images(first: 10) { nodes { url altText } }
       collections(first: 5) { nodes { id handle title } }
 
+      publishedAt
       priceRange { minVariantPrice { amount currencyCode } }
+      compareAtPriceRange { maxVariantPrice { amount currencyCode } }
 
       options { name values }
 
-      variants(first:20) {
+      variants(first:100) {
         nodes {
           id
           title
           availableForSale
+          quantityAvailable
           sku
           selectedOptions { name value }
           price { amount currencyCode }
+          compareAtPrice { amount currencyCode }
+          image { url altText }
         }
       }
 
@@ -756,6 +956,78 @@ export async function searchProducts(query, limit = 20) {
   return filterVisibleNodes(data?.products?.nodes || []);
 }
 
+/* Storefront predictive search for type-ahead UIs. Pass an AbortSignal to
+ * cancel a request superseded by newer keystrokes. Returns
+ * { products (normalized), collections, articles, queries: [{ text, styledText }] } */
+export async function predictiveSearch(query, { limit = 6, signal } = {}) {
+  const term = String(query ?? "").trim();
+  if (!term) return { products: [], collections: [], articles: [], queries: [] };
+
+  const q = `#graphql
+  query PredictiveSearch($query:String!, $limit:Int!) {
+    predictiveSearch(
+      query:$query,
+      limit:$limit,
+      limitScope:EACH,
+      types:[PRODUCT, COLLECTION, ARTICLE, QUERY]
+    ) {
+      products {
+        id
+        handle
+        title
+        vendor
+        productType
+        tags
+        featuredImage { url altText }
+        publishedAt
+        priceRange { minVariantPrice { amount currencyCode } }
+        compareAtPriceRange { maxVariantPrice { amount currencyCode } }
+      }
+      collections {
+        id
+        handle
+        title
+        image { url altText }
+      }
+      articles {
+        id
+        handle
+        title
+        onlineStoreUrl
+        image { url altText }
+        blog { handle }
+      }
+      queries { text styledText }
+    }
+  }`;
+  const data = await graphql(q, { query: term, limit }, { signal });
+  const result = data?.predictiveSearch ?? {};
+
+  return {
+    products: filterVisibleNodes(result.products ?? [])
+      .map(normalizeProductNode)
+      .filter(Boolean),
+    collections: (result.collections ?? [])
+      .map(mapCollectionNode)
+      .filter(Boolean)
+      .map((collection) => ({ ...collection, to: `/products?category=${collection.handle}` })),
+    // There are no blog routes in the app, so articles open on the online store.
+    articles: (result.articles ?? [])
+      .filter((article) => article?.onlineStoreUrl)
+      .map((article) => ({
+        id: article.id,
+        handle: article.handle,
+        title: article.title,
+        blogHandle: article.blog?.handle ?? null,
+        image: normaliseImage(article.image, article.title),
+        url: article.onlineStoreUrl,
+      })),
+    queries: (result.queries ?? [])
+      .filter((suggestion) => suggestion?.text)
+      .map((suggestion) => ({ text: suggestion.text, styledText: suggestion.styledText })),
+  };
+}
+
 /* ---------- FULL FIELDS (for cards & fallbacks) ---------- */
 export async function searchProductsWithOptions(term, limit = 20) {
   const q = `#graphql
@@ -775,6 +1047,7 @@ export async function searchProductsWithOptions(term, limit = 20) {
           nodes {
             id
             availableForSale
+            quantityAvailable
             selectedOptions { name value }
             price { amount currencyCode }
           }
@@ -802,59 +1075,162 @@ export async function fetchProductsByTag(tag, limit = 20, withOptions = true) {
 
 /* ================= CART ================= */
 
-export async function cartCreate(lines = []) {
+const DISCOUNT_ALLOCATION_FIELDS = `
+  discountedAmount { amount currencyCode }
+  ... on CartCodeDiscountAllocation { code }
+  ... on CartAutomaticDiscountAllocation { title }
+  ... on CartCustomDiscountAllocation { title }
+`;
+
+const CART_FIELDS = `
+  id
+  checkoutUrl
+  totalQuantity
+  cost {
+    subtotalAmount { amount currencyCode }
+    totalAmount { amount currencyCode }
+  }
+  discountCodes { code applicable }
+  discountAllocations { ${DISCOUNT_ALLOCATION_FIELDS} }
+  lines(first: 100) {
+    nodes {
+      id
+      quantity
+      cost {
+        amountPerQuantity { amount currencyCode }
+        compareAtAmountPerQuantity { amount currencyCode }
+        subtotalAmount { amount currencyCode }
+        totalAmount { amount currencyCode }
+      }
+      discountAllocations { ${DISCOUNT_ALLOCATION_FIELDS} }
+      merchandise {
+        __typename
+        ... on ProductVariant {
+          id
+          title
+          sku
+          product { id handle title featuredImage { url altText } }
+          image { url altText }
+          price { amount currencyCode }
+          compareAtPrice { amount currencyCode }
+          selectedOptions { name value }
+          availableForSale
+          quantityAvailable
+        }
+      }
+    }
+  }
+`;
+
+const normaliseDiscountAllocations = (allocations = []) =>
+  (allocations ?? []).map((allocation) => ({
+    code: allocation?.code ?? null,
+    label: allocation?.code || allocation?.title || "Discount",
+    amount: normaliseMoney(allocation?.discountedAmount),
+  }));
+
+export function normalizeCart(cart) {
+  if (!cart?.id) return null;
+
+  const lines =
+    cart.lines?.nodes
+      ?.filter((line) => line?.merchandise?.__typename === "ProductVariant")
+      ?.map((line) => {
+        const variant = line.merchandise;
+        const product = variant.product ?? {};
+        const unitPrice = normaliseMoney(line.cost?.amountPerQuantity ?? variant.price);
+        const compareAt = line.cost?.compareAtAmountPerQuantity ?? variant.compareAtPrice;
+        return {
+          id: line.id,
+          quantity: line.quantity ?? 0,
+          merchandiseId: variant.id,
+          variantTitle: variant.title ?? "",
+          sku: variant.sku ?? null,
+          handle: product.handle ?? "",
+          title: product.title ?? "",
+          image:
+            normaliseImage(variant.image, product.title) ??
+            normaliseImage(product.featuredImage, product.title),
+          selectedOptions:
+            variant.selectedOptions?.map((opt) => ({
+              name: opt?.name ?? "",
+              value: opt?.value ?? "",
+            })) ?? [],
+          availableForSale: Boolean(variant.availableForSale),
+          quantityAvailable: variant.quantityAvailable ?? null,
+          unitPrice,
+          // Markdown from the compare-at price, per unit; null when the line isn't on sale.
+          compareAtUnitPrice: saleCompareAt(unitPrice.amount, compareAt?.amount)
+            ? normaliseMoney(compareAt)
+            : null,
+          subtotal: normaliseMoney(line.cost?.subtotalAmount),
+          lineTotal: normaliseMoney(line.cost?.totalAmount),
+          discounts: normaliseDiscountAllocations(line.discountAllocations),
+        };
+      }) ?? [];
+
+  const discounts = normaliseDiscountAllocations(cart.discountAllocations);
+  const total = normaliseMoney(cart.cost?.totalAmount);
+  const discountAmount = [...lines.flatMap((line) => line.discounts), ...discounts].reduce(
+    (acc, allocation) => acc + allocation.amount.amount,
+    0,
+  );
+
+  const grossAmount = lines.reduce((acc, line) => acc + line.subtotal.amount, 0);
+
+  return {
+    id: cart.id,
+    checkoutUrl: cart.checkoutUrl ?? null,
+    totalQuantity: cart.totalQuantity ?? 0,
+    subtotal: normaliseMoney(cart.cost?.subtotalAmount),
+    grossSubtotal: { amount: grossAmount, currencyCode: total.currencyCode },
+    total,
+    discountCodes:
+      cart.discountCodes?.map((entry) => ({
+        code: entry?.code ?? "",
+        applicable: Boolean(entry?.applicable),
+      })) ?? [],
+    discounts,
+    discountTotal: { amount: discountAmount, currencyCode: total.currencyCode },
+    lines,
+  };
+}
+
+const unwrapCartPayload = (payload) => {
+  const errors = payload?.userErrors || [];
+  if (errors.length) {
+    throw new Error(errors.map((e) => e.message).join("; "));
+  }
+  return payload?.cart || null;
+};
+
+export async function cartCreate(
+  lines = [],
+  { discountCodes = [], buyerIdentity = {} } = {},
+) {
   const q = `#graphql
   mutation($input: CartInput!) {
     cartCreate(input: $input) {
-      cart { id checkoutUrl }
+      cart { ${CART_FIELDS} }
       userErrors { field message }
     }
   }`;
   const input = {
     lines,
+    discountCodes,
     buyerIdentity: {
       countryCode: (import.meta.env.VITE_SHOPIFY_COUNTRY || "US").toUpperCase(),
+      ...buyerIdentity,
     },
   };
   const data = await graphql(q, { input });
-  const errors = data?.cartCreate?.userErrors || [];
-  if (errors.length) {
-    throw new Error(errors.map((e) => e.message).join("; "));
-  }
-  return data?.cartCreate?.cart || null;
+  return unwrapCartPayload(data?.cartCreate);
 }
 
 export async function cartQuery(id) {
   const q = `#graphql
   query($id: ID!) {
-    cart(id:$id) {
-      id
-      checkoutUrl
-      totalQuantity
-      cost {
-        subtotalAmount { amount currencyCode }
-        totalAmount { amount currencyCode }
-      }
-      lines(first: 100) {
-        nodes {
-          id
-          quantity
-          cost { totalAmount { amount currencyCode } }
-          merchandise {
-            __typename
-            ... on ProductVariant {
-              id
-              title
-              sku
-              product { id handle title featuredImage { url altText } }
-              price { amount currencyCode }
-              selectedOptions { name value }
-              availableForSale
-            }
-          }
-        }
-      }
-    }
+    cart(id:$id) { ${CART_FIELDS} }
   }`;
   const data = await graphql(q, { id });
   return data?.cart || null;
@@ -864,48 +1240,140 @@ export async function cartLinesAdd(cartId, lines) {
   const q = `#graphql
   mutation($cartId:ID!, $lines:[CartLineInput!]!){
     cartLinesAdd(cartId:$cartId, lines:$lines){
-      cart{ id }
+      cart{ ${CART_FIELDS} }
       userErrors{ field message }
     }
   }`;
-  return (await graphql(q, { cartId, lines })).cartLinesAdd;
+  return unwrapCartPayload((await graphql(q, { cartId, lines })).cartLinesAdd);
 }
 
 export async function cartLinesUpdate(cartId, lines) {
   const q = `#graphql
   mutation($cartId:ID!, $lines:[CartLineUpdateInput!]!){
     cartLinesUpdate(cartId:$cartId, lines:$lines){
-      cart{ id }
+      cart{ ${CART_FIELDS} }
       userErrors{ field message }
     }
   }`;
-  return (await graphql(q, { cartId, lines })).cartLinesUpdate;
+  return unwrapCartPayload(
+    (await graphql(q, { cartId, lines })).cartLinesUpdate,
+  );
 }
 
 export async function cartLinesRemove(cartId, lineIds) {
   const q = `#graphql
   mutation($cartId:ID!, $lineIds:[ID!]!){
     cartLinesRemove(cartId:$cartId, lineIds:$lineIds){
-      cart{ id }
+      cart{ ${CART_FIELDS} }
       userErrors{ field message }
     }
   }`;
-  return (await graphql(q, { cartId, lineIds })).cartLinesRemove;
+  return unwrapCartPayload(
+    (await graphql(q, { cartId, lineIds })).cartLinesRemove,
+  );
 }
 
 export async function cartDiscountCodesUpdate(cartId, discountCodes) {
   const q = `#graphql
-  mutation($cartId:ID!, $discountCodes:[String!]!]{
+  mutation($cartId:ID!, $discountCodes:[String!]!){
     cartDiscountCodesUpdate(cartId:$cartId, discountCodes:$discountCodes){
-      cart{ id }
+      cart{ ${CART_FIELDS} }
       userErrors{ field message }
     }
   }`;
-  return (await graphql(q, { cartId, discountCodes })).cartDiscountCodesUpdate;
+  return unwrapCartPayload(
+    (await graphql(q, { cartId, discountCodes })).cartDiscountCodesUpdate,
+  );
+}
+
+export async function cartBuyerIdentityUpdate(cartId, buyerIdentity) {
+  const q = `#graphql
+  mutation($cartId:ID!, $buyerIdentity:CartBuyerIdentityInput!){
+    cartBuyerIdentityUpdate(cartId:$cartId, buyerIdentity:$buyerIdentity){
+      cart{ ${CART_FIELDS} }
+      userErrors{ field message }
+    }
+  }`;
+  return unwrapCartPayload(
+    (await graphql(q, { cartId, buyerIdentity })).cartBuyerIdentityUpdate,
+  );
 }
 
 /* ================= CUSTOMERS (AUTH) ================= */
 
+const ADDRESS_FIELDS = `
+  id
+  firstName
+  lastName
+  company
+  address1
+  address2
+  city
+  province
+  provinceCode
+  zip
+  country
+  countryCodeV2
+  phone
+  formatted(withName: true)
+`;
+
+const addressInputKeys = [
+  "firstName",
+  "lastName",
+  "company",
+  "address1",
+  "address2",
+  "city",
+  "province",
+  "zip",
+  "country",
+  "phone",
+];
+
+/* Strips a MailingAddress down to the fields MailingAddressInput accepts */
+export function toMailingAddressInput(address) {
+  const input = {};
+  addressInputKeys.forEach((key) => {
+    const value = String(address?.[key] ?? "").trim();
+    if (value) input[key] = value;
+  });
+  return input;
+}
+
+/* Cart buyerIdentity for a signed-in customer, pre-filled from their default address */
+export function customerBuyerIdentity(customer, accessToken) {
+  if (!customer || !accessToken) return {};
+  const identity = { customerAccessToken: accessToken };
+  if (customer.email) identity.email = customer.email;
+  const address = customer.defaultAddress;
+  if (address) {
+    if (address.countryCodeV2) identity.countryCode = address.countryCodeV2;
+    identity.deliveryAddressPreferences = [
+      { deliveryAddress: toMailingAddressInput(address) },
+    ];
+  }
+  return identity;
+}
+
+/* Splits Shopify userErrors into per-field messages and form-level messages */
+export function groupUserErrors(userErrors = []) {
+  const fields = {};
+  const general = [];
+  (userErrors ?? []).forEach((error) => {
+    const message = error?.message;
+    if (!message) return;
+    const path = Array.isArray(error.field) ? error.field : [];
+    const field = path[path.length - 1];
+    if (field && field !== "input" && !fields[field]) {
+      fields[field] = message;
+    } else {
+      general.push(message);
+    }
+  });
+  return { fields, general };
+}
+
 export async function customerCreate({ email, password, firstName, lastName }) {
   const q = `#graphql
   mutation customerCreate($input: CustomerCreateInput!) {
@@ -935,7 +1403,11 @@ export async function customerQuery(accessToken) {
       id
       firstName
       lastName
+      displayName
       email
+      phone
+      createdAt
+      defaultAddress { ${ADDRESS_FIELDS} }
     }
   }`;
   return graphql(q, { token: accessToken });
@@ -953,6 +1425,299 @@ export async function customerAccessTokenDelete(accessToken) {
   return graphql(q, { accessToken });
 }
 
+/* Account emails link to /account/{reset,activate}/<numeric id>/<token> */
+export const toCustomerGid = (id) =>
+  String(id).startsWith("gid://") ? String(id) : `gid://shopify/Customer/${id}`;
+
+export async function customerRecover(email) {
+  const q = `#graphql
+  mutation customerRecover($email: String!) {
+    customerRecover(email: $email) {
+      customerUserErrors { code field message }
+    }
+  }`;
+  return graphql(q, { email });
+}
+
+export async function customerReset(id, { resetToken, password }) {
+  const q = `#graphql
+  mutation customerReset($id: ID!, $input: CustomerResetInput!) {
+    customerReset(id: $id, input: $input) {
+      customerAccessToken { accessToken expiresAt }
+      customerUserErrors { code field message }
+    }
+  }`;
+  return graphql(q, { id: toCustomerGid(id), input: { resetToken, password } });
+}
+
+export async function customerActivate(id, { activationToken, password }) {
+  const q = `#graphql
+  mutation customerActivate($id: ID!, $input: CustomerActivateInput!) {
+    customerActivate(id: $id, input: $input) {
+      customerAccessToken { accessToken expiresAt }
+      customerUserErrors { code field message }
+    }
+  }`;
+  return graphql(q, { id: toCustomerGid(id), input: { activationToken, password } });
+}
+
+/* ================= CUSTOMER ADDRESSES ================= */
+
+export async function customerAddresses(accessToken, limit = 50) {
+  const q = `#graphql
+  query CustomerAddresses($token:String!, $limit:Int!) {
+    customer(customerAccessToken:$token) {
+      defaultAddress { id }
+      addresses(first:$limit) { nodes { ${ADDRESS_FIELDS} } }
+    }
+  }`;
+  const data = await graphql(q, { token: accessToken, limit });
+  const customer = data?.customer;
+  return {
+    defaultAddressId: customer?.defaultAddress?.id ?? null,
+    addresses: customer?.addresses?.nodes ?? [],
+  };
+}
+
+export async function customerAddressCreate(accessToken, address) {
+  const q = `#graphql
+  mutation($token:String!, $address:MailingAddressInput!){
+    customerAddressCreate(customerAccessToken:$token, address:$address){
+      customerAddress { ${ADDRESS_FIELDS} }
+      customerUserErrors { code field message }
+    }
+  }`;
+  const data = await graphql(q, {
+    token: accessToken,
+    address: toMailingAddressInput(address),
+  });
+  return data?.customerAddressCreate;
+}
+
+export async function customerAddressUpdate(accessToken, id, address) {
+  const q = `#graphql
+  mutation($token:String!, $id:ID!, $address:MailingAddressInput!){
+    customerAddressUpdate(customerAccessToken:$token, id:$id, address:$address){
+      customerAddress { ${ADDRESS_FIELDS} }
+      customerUserErrors { code field message }
+    }
+  }`;
+  const data = await graphql(q, {
+    token: accessToken,
+    id,
+    address: toMailingAddressInput(address),
+  });
+  return data?.customerAddressUpdate;
+}
+
+export async function customerAddressDelete(accessToken, id) {
+  const q = `#graphql
+  mutation($token:String!, $id:ID!){
+    customerAddressDelete(customerAccessToken:$token, id:$id){
+      deletedCustomerAddressId
+      customerUserErrors { code field message }
+    }
+  }`;
+  const data = await graphql(q, { token: accessToken, id });
+  return data?.customerAddressDelete;
+}
+
+export async function customerDefaultAddressUpdate(accessToken, addressId) {
+  const q = `#graphql
+  mutation($token:String!, $addressId:ID!){
+    customerDefaultAddressUpdate(customerAccessToken:$token, addressId:$addressId){
+      customer { id defaultAddress { id } }
+      customerUserErrors { code field message }
+    }
+  }`;
+  const data = await graphql(q, { token: accessToken, addressId });
+  return data?.customerDefaultAddressUpdate;
+}
+
+/* ================= CUSTOMER ORDERS ================= */
+
+const ORDER_SUMMARY_FIELDS = `
+  id
+  name
+  orderNumber
+  processedAt
+  financialStatus
+  fulfillmentStatus
+  totalPrice { amount currencyCode }
+  lineItems(first: 3) {
+    nodes {
+      title
+      quantity
+      variant { image { url altText } }
+    }
+  }
+`;
+
+const ORDER_DETAIL_FIELDS = `
+  id
+  name
+  orderNumber
+  processedAt
+  financialStatus
+  fulfillmentStatus
+  statusUrl
+  subtotalPrice { amount currencyCode }
+  totalShippingPrice { amount currencyCode }
+  totalTax { amount currencyCode }
+  totalPrice { amount currencyCode }
+  shippingAddress { name formatted(withName: false) }
+  lineItems(first: 100) {
+    nodes {
+      title
+      quantity
+      originalTotalPrice { amount currencyCode }
+      discountedTotalPrice { amount currencyCode }
+      variant {
+        id
+        title
+        image { url altText }
+        selectedOptions { name value }
+        product {
+          id
+          handle
+          title
+          featuredImage { url altText }
+          priceRange { minVariantPrice { amount currencyCode } }
+        }
+      }
+    }
+  }
+  successfulFulfillments(first: 20) {
+    trackingCompany
+    trackingInfo(first: 10) { number url }
+    fulfillmentLineItems(first: 100) {
+      nodes {
+        quantity
+        lineItem { title }
+      }
+    }
+  }
+`;
+
+const humaniseEnum = (value) => {
+  if (!value) return "";
+  const text = String(value).replace(/_/g, " ").toLowerCase();
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+export function formatDate(value, locale = defaultLanguage) {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return "";
+  try {
+    return new Intl.DateTimeFormat(locale, { dateStyle: "medium" }).format(date);
+  } catch {
+    return date.toISOString().slice(0, 10);
+  }
+}
+
+/* Order GIDs carry an access key ("gid://shopify/Order/1?key=…"), so routes keep the tail */
+export const toOrderRouteId = (orderId) =>
+  encodeURIComponent(String(orderId ?? "").split("/").pop());
+
+export const fromOrderRouteId = (routeId) =>
+  `gid://shopify/Order/${decodeURIComponent(String(routeId ?? ""))}`;
+
+function normalizeOrderNode(node) {
+  if (!node?.id) return null;
+
+  const lineItems =
+    node.lineItems?.nodes?.map((item) => {
+      const variant = item?.variant ?? null;
+      const product = normalizeProductNode(variant?.product ?? null);
+      return {
+        title: item?.title ?? product?.title ?? "",
+        quantity: item?.quantity ?? 0,
+        variantTitle:
+          variant?.title && !/default\s*title/i.test(variant.title) ? variant.title : "",
+        selectedOptions: variant?.selectedOptions ?? [],
+        image:
+          normaliseImage(variant?.image, item?.title) ?? product?.featuredImage ?? null,
+        product,
+        originalTotal: item?.originalTotalPrice
+          ? normaliseMoney(item.originalTotalPrice)
+          : null,
+        total: item?.discountedTotalPrice
+          ? normaliseMoney(item.discountedTotalPrice)
+          : null,
+      };
+    }) ?? [];
+
+  const fulfillments =
+    node.successfulFulfillments?.map((fulfillment) => ({
+      company: fulfillment?.trackingCompany ?? "",
+      tracking:
+        fulfillment?.trackingInfo
+          ?.filter((info) => info?.number || info?.url)
+          ?.map((info) => ({ number: info.number ?? "", url: info.url ?? null })) ?? [],
+      items:
+        fulfillment?.fulfillmentLineItems?.nodes?.map((entry) => ({
+          title: entry?.lineItem?.title ?? "",
+          quantity: entry?.quantity ?? 0,
+        })) ?? [],
+    })) ?? [];
+
+  return {
+    id: node.id,
+    routeId: toOrderRouteId(node.id),
+    name: node.name ?? `#${node.orderNumber ?? ""}`,
+    orderNumber: node.orderNumber ?? null,
+    processedAt: node.processedAt ?? null,
+    financialStatus: node.financialStatus ?? null,
+    financialStatusLabel: humaniseEnum(node.financialStatus),
+    fulfillmentStatus: node.fulfillmentStatus ?? null,
+    fulfillmentStatusLabel: humaniseEnum(node.fulfillmentStatus),
+    statusUrl: node.statusUrl ?? null,
+    subtotal: node.subtotalPrice ? normaliseMoney(node.subtotalPrice) : null,
+    shipping: node.totalShippingPrice ? normaliseMoney(node.totalShippingPrice) : null,
+    tax: node.totalTax ? normaliseMoney(node.totalTax) : null,
+    total: normaliseMoney(node.totalPrice),
+    shippingAddress: node.shippingAddress
+      ? {
+          name: node.shippingAddress.name ?? "",
+          lines: node.shippingAddress.formatted ?? [],
+        }
+      : null,
+    itemCount: lineItems.reduce((acc, item) => acc + item.quantity, 0),
+    lineItems,
+    fulfillments,
+  };
+}
+
+export async function customerOrdersPage(accessToken, limit = 10, after = null) {
+  const q = `#graphql
+  query CustomerOrders($token:String!, $limit:Int!, $after:String) {
+    customer(customerAccessToken:$token) {
+      orders(first:$limit, after:$after, sortKey:PROCESSED_AT, reverse:true) {
+        pageInfo { hasNextPage endCursor }
+        nodes { ${ORDER_SUMMARY_FIELDS} }
+      }
+    }
+  }`;
+  const data = await graphql(q, { token: accessToken, limit, after });
+  const edge = data?.customer?.orders;
+  return {
+    nodes: (edge?.nodes || []).map(normalizeOrderNode).filter(Boolean),
+    endCursor: edge?.pageInfo?.endCursor || null,
+    hasNextPage: !!edge?.pageInfo?.hasNextPage,
+  };
+}
+
+export async function fetchCustomerOrder(orderId) {
+  const q = `#graphql
+  query CustomerOrder($id: ID!) {
+    node(id: $id) {
+      ... on Order { ${ORDER_DETAIL_FIELDS} }
+    }
+  }`;
+  const data = await graphql(q, { id: orderId });
+  return normalizeOrderNode(data?.node ?? null);
+}
+
 /* ================= HELPERS FOR DYNAMIC SECTIONS ================= */
 
 export async function fetchProductsFromCollection(handle, limit = 12) {
@@ -1208,8 +1973,11 @@ export async function fetchRecommendedProducts(productOrId, limit = 8) {
       handle
       title
       featuredImage { url altText }
+      publishedAt
       priceRange { minVariantPrice { amount currencyCode } }
+      compareAtPriceRange { maxVariantPrice { amount currencyCode } }
       tags
+      metafield(namespace:"reviews", key:"json") { value }
     }
   }`;
 
@@ -1285,61 +2053,175 @@ export async function fetchRecommendedProducts(productOrId, limit = 8) {
   return dedupeAndTrim(products);
 }
 
-export async function searchProductsPage(query, limit = 24, after = null) {
+/* One page of storefront search results for a shopper's query, optionally
+ * narrowed by ProductFilter inputs. `sortKey` is a SearchSortKeys value
+ * (RELEVANCE or PRICE); `filters` are the facets for the matching set and
+ * `totalCount` the number of matches. Sold-out products are listed last. */
+export async function searchProductsPage(
+  query,
+  limit = 24,
+  after = null,
+  { filters = [], sortKey = "RELEVANCE", reverse = false } = {}
+) {
   const q = `#graphql
-  query SearchPage($query:String!, $limit:Int!, $after:String) {
-    products(first:$limit, query:$query, after:$after) {
+  query SearchPage($query:String!, $limit:Int!, $after:String, $filters:[ProductFilter!], $sortKey:SearchSortKeys, $reverse:Boolean) {
+    search(query:$query, first:$limit, after:$after, types:[PRODUCT], productFilters:$filters, sortKey:$sortKey, reverse:$reverse, unavailableProducts:LAST) {
+      totalCount
       pageInfo { hasNextPage endCursor }
-      nodes {
+      productFilters {
         id
-        handle
-        title
-        featuredImage { url altText }
-        images(first: 2) { nodes { url altText } }
-        priceRange { minVariantPrice { amount currencyCode } }
-        options { name values }
-        tags
+        label
+        type
+        values { id label count input }
+      }
+      nodes {
+        ... on Product {
+          id
+          handle
+          title
+          vendor
+          productType
+          featuredImage { url altText }
+          images(first: 2) { nodes { url altText } }
+          publishedAt
+          priceRange { minVariantPrice { amount currencyCode } }
+          compareAtPriceRange { maxVariantPrice { amount currencyCode } }
+          options { name values }
+          tags
+          variants(first: 50) {
+            nodes {
+              id
+              availableForSale
+              quantityAvailable
+              selectedOptions { name value }
+              price { amount currencyCode }
+              compareAtPrice { amount currencyCode }
+            }
+          }
+          collections(first: 5) { nodes { id handle title } }
+          metafield(namespace:"reviews", key:"json") { value }
+        }
       }
     }
   }`;
-  const data = await graphql(q, { query, limit, after });
-  const edge = data?.products;
+  const data = await graphql(q, { query, limit, after, filters, sortKey, reverse });
+  const edge = data?.search;
   return {
-    nodes: filterVisibleNodes(edge?.nodes || []),
+    nodes: filterVisibleNodes((edge?.nodes || []).filter((node) => node?.id)),
     endCursor: edge?.pageInfo?.endCursor || null,
     hasNextPage: !!edge?.pageInfo?.hasNextPage,
+    filters: edge?.productFilters ?? [],
+    totalCount: edge?.totalCount ?? null,
   };
 }
 
+/* One page of a collection, optionally narrowed by Storefront ProductFilter inputs
+ * and ordered by a ProductCollectionSortKeys value.
+ * `filters` are the collection's facets (with counts for the filtered set). */
 export async function collectionProductsPage(
   handle,
   limit = 24,
-  after = null
+  after = null,
+  { filters = [], sortKey = "COLLECTION_DEFAULT", reverse = false } = {}
 ) {
   const q = `#graphql
-  query CollectionPage($handle:String!, $limit:Int!, $after:String) {
+  query CollectionPage($handle:String!, $limit:Int!, $after:String, $filters:[ProductFilter!], $sortKey:ProductCollectionSortKeys, $reverse:Boolean) {
     collection(handle:$handle) {
-      products(first:$limit, after:$after) {
+      products(first:$limit, after:$after, filters:$filters, sortKey:$sortKey, reverse:$reverse) {
         pageInfo { hasNextPage endCursor }
+        filters {
+          id
+          label
+          type
+          values { id label count input }
+        }
         nodes {
           id
           handle
           title
+          vendor
+          productType
           featuredImage { url altText }
           images(first: 2) { nodes { url altText } }
+          publishedAt
           priceRange { minVariantPrice { amount currencyCode } }
+          compareAtPriceRange { maxVariantPrice { amount currencyCode } }
           options { name values }
           tags
+          variants(first: 50) {
+            nodes {
+              id
+              availableForSale
+              quantityAvailable
+              selectedOptions { name value }
+              price { amount currencyCode }
+              compareAtPrice { amount currencyCode }
+            }
+          }
+          collections(first: 5) { nodes { id handle title } }
+          metafield(namespace:"reviews", key:"json") { value }
         }
       }
     }
   }`;
-  const data = await graphql(q, { handle, limit, after });
+  const data = await graphql(q, { handle, limit, after, filters, sortKey, reverse });
   const edge = data?.collection?.products;
   return {
     nodes: filterVisibleNodes(edge?.nodes || []),
     endCursor: edge?.pageInfo?.endCursor || null,
     hasNextPage: !!edge?.pageInfo?.hasNextPage,
+    filters: edge?.filters ?? [],
+    missing: !data?.collection,
+  };
+}
+
+/* One page of the whole catalogue, newest first unless `sortKey` (a
+ * ProductSortKeys value) says otherwise. `query` takes Storefront product
+ * search syntax (product_type:Jeans, available_for_sale:true, …). */
+export async function productsPage(
+  limit = 24,
+  after = null,
+  { query = null, sortKey = "CREATED_AT", reverse = true } = {}
+) {
+  const q = `#graphql
+  query ProductsPage($limit:Int!, $after:String, $query:String, $sortKey:ProductSortKeys, $reverse:Boolean) {
+    products(first:$limit, after:$after, query:$query, sortKey:$sortKey, reverse:$reverse) {
+      pageInfo { hasNextPage endCursor }
+      nodes {
+        id
+        handle
+        title
+        vendor
+        productType
+        featuredImage { url altText }
+        images(first: 2) { nodes { url altText } }
+        publishedAt
+        priceRange { minVariantPrice { amount currencyCode } }
+        compareAtPriceRange { maxVariantPrice { amount currencyCode } }
+        options { name values }
+        tags
+        variants(first: 50) {
+          nodes {
+            id
+            availableForSale
+            quantityAvailable
+            selectedOptions { name value }
+            price { amount currencyCode }
+            compareAtPrice { amount currencyCode }
+          }
+        }
+        collections(first: 5) { nodes { id handle title } }
+        metafield(namespace:"reviews", key:"json") { value }
+      }
+    }
+  }`;
+  const data = await graphql(q, { limit, after, query, sortKey, reverse });
+  const edge = data?.products;
+  return {
+    nodes: filterVisibleNodes(edge?.nodes || []),
+    endCursor: edge?.pageInfo?.endCursor || null,
+    hasNextPage: !!edge?.pageInfo?.hasNextPage,
+    filters: [],
   };
 }
 
@@ -1463,6 +2345,7 @@ export async function searchProductsDeep(query, limit = 24) {
           nodes {
             id
             availableForSale
+            quantityAvailable
             selectedOptions { name value }
             price { amount currencyCode }
           }
@@ -0,0 +1,149 @@
+/* ================= PRODUCT SORTING =================
+ * One list of sort options for every product listing. Each option maps to
+ * the Storefront sort key for collections (ProductCollectionSortKeys), for the
+ * whole catalogue (ProductSortKeys) and for search results (SearchSortKeys,
+ * which only knows RELEVANCE and PRICE), so paginated listings are sorted by
+ * Shopify rather than over whatever happens to be loaded. An option without
+ * a mapping for a context is not offered there, except one Shopify can't sort
+ * by anywhere (Biggest Discount): the listing then loads in full and is
+ * sorted in memory with `compare`. Views merged locally (the "local" context)
+ * sort everything with `compare`.
+ *
+ * The choice is kept in the `sort_by` search param using Shopify's theme
+ * values (price-ascending, created-descending, …).
+ */
+
+export const SORT_PARAM = "sort_by";
+
+const byPrice = (a, b) => (a.price ?? 0) - (b.price ?? 0);
+const byTitle = (a, b) => String(a.title ?? "").localeCompare(String(b.title ?? ""));
+const byPublished = (a, b) =>
+  (Date.parse(a.publishedAt ?? "") || 0) - (Date.parse(b.publishedAt ?? "") || 0);
+const reversed = (compare) => (a, b) => compare(b, a);
+
+export const SORT_OPTIONS = [
+  {
+    value: "relevance",
+    label: "Relevance",
+    collection: null,
+    products: null,
+    search: { sortKey: "RELEVANCE", reverse: false },
+    compare: null,
+  },
+  {
+    value: "featured",
+    label: "Featured",
+    collection: { sortKey: "COLLECTION_DEFAULT", reverse: false },
+    products: null,
+    search: null,
+    compare: () => 0,
+  },
+  {
+    value: "best-selling",
+    label: "Best Selling",
+    collection: { sortKey: "BEST_SELLING", reverse: false },
+    products: { sortKey: "BEST_SELLING", reverse: false },
+    search: null,
+    compare: null,
+  },
+  {
+    value: "created-descending",
+    label: "Newest",
+    collection: { sortKey: "CREATED", reverse: true },
+    products: { sortKey: "CREATED_AT", reverse: true },
+    search: null,
+    compare: reversed(byPublished),
+  },
+  {
+    value: "price-ascending",
+    label: "Price, Low to High",
+    collection: { sortKey: "PRICE", reverse: false },
+    products: { sortKey: "PRICE", reverse: false },
+    search: { sortKey: "PRICE", reverse: false },
+    compare: byPrice,
+  },
+  {
+    value: "price-descending",
+    label: "Price, High to Low",
+    collection: { sortKey: "PRICE", reverse: true },
+    products: { sortKey: "PRICE", reverse: true },
+    search: { sortKey: "PRICE", reverse: true },
+    compare: reversed(byPrice),
+  },
+  {
+    value: "discount-descending",
+    label: "Biggest Discount",
+    collection: null,
+    products: null,
+    search: null,
+    compare: (a, b) => (b.discountPercent ?? 0) - (a.discountPercent ?? 0),
+  },
+  {
+    value: "title-ascending",
+    label: "Alphabetical, A-Z",
+    collection: { sortKey: "TITLE", reverse: false },
+    products: { sortKey: "TITLE", reverse: false },
+    search: null,
+    compare: byTitle,
+  },
+  {
+    value: "title-descending",
+    label: "Alphabetical, Z-A",
+    collection: { sortKey: "TITLE", reverse: true },
+    products: { sortKey: "TITLE", reverse: true },
+    search: null,
+    compare: reversed(byTitle),
+  },
+];
+
+const DEFAULT_SORT = {
+  collection: "featured",
+  // The catalogue has no merchandised order; newest first is how it always loaded.
+  products: "created-descending",
+  search: "relevance",
+  // Merged views keep the order their products were gathered in.
+  local: "featured",
+};
+
+const sortsOnlyInMemory = (option) =>
+  !option.collection && !option.products && !option.search && Boolean(option.compare);
+
+// Search results aren't loaded in full, so they only get Shopify's own sorts.
+const isOfferedIn = (option, context) => {
+  if (context === "local") return Boolean(option.compare);
+  return Boolean(option[context]) || (context !== "search" && sortsOnlyInMemory(option));
+};
+
+/* True when the option has no Storefront sort key here and must sort loaded products */
+export const sortsInMemory = (option, context) =>
+  Boolean(option?.compare) && (context === "local" || !option[context]);
+
+/* context: "collection" | "products" | "search" | "local" */
+export const sortOptionsFor = (context) =>
+  SORT_OPTIONS.filter((option) => isOfferedIn(option, context));
+
+/* The option in the URL, or the context's default when it is missing or not offered */
+export function sortFromSearchParams(searchParams, context) {
+  const value = searchParams.get(SORT_PARAM);
+  const option = SORT_OPTIONS.find((candidate) => candidate.value === value);
+  if (option && isOfferedIn(option, context)) return option;
+  return SORT_OPTIONS.find((candidate) => candidate.value === DEFAULT_SORT[context]);
+}
+
+export function withSortParam(searchParams, value, context) {
+  const next = new URLSearchParams(searchParams);
+  if (!value || value === DEFAULT_SORT[context]) {
+    next.delete(SORT_PARAM);
+  } else {
+    next.set(SORT_PARAM, value);
+  }
+  return next;
+}
+
+/* { sortKey, reverse } for the Storefront query, or {} to use Shopify's default */
+export const storefrontSort = (option, context) => option?.[context] ?? {};
+
+export function sortProductsLocally(products, option) {
+  if (!option?.compare) return products;
+  return products.slice().sort(option.compare);
+}
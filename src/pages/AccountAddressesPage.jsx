@@ -0,0 +1,332 @@
+// src/pages/AccountAddressesPage.jsx
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { FormErrors, FormField, SubmitButton } from '../components/AccountForm';
+import { useAuth } from '../contexts/auth-context';
+import {
+  customerAddressCreate,
+  customerAddressDelete,
+  customerAddressUpdate,
+  customerAddresses,
+  customerDefaultAddressUpdate,
+  groupUserErrors,
+} from '../lib/shopify';
+
+const emptyAddress = {
+  firstName: '',
+  lastName: '',
+  company: '',
+  address1: '',
+  address2: '',
+  city: '',
+  province: '',
+  zip: '',
+  country: '',
+  phone: '',
+};
+
+const toFormValues = (address) =>
+  Object.fromEntries(
+    Object.keys(emptyAddress).map((key) => [key, address?.[key] ?? '']),
+  );
+
+const noErrors = { fields: {}, general: [] };
+
+const AddressForm = ({ initialValues, showDefaultToggle, submitLabel, onSubmit, onCancel }) => {
+  const [values, setValues] = useState(() => toFormValues(initialValues));
+  const [makeDefault, setMakeDefault] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [errors, setErrors] = useState(noErrors);
+
+  const field = (key, label, options = {}) => (
+    <FormField
+      id={`address-${key}`}
+      label={label}
+      value={values[key]}
+      onChange={(value) => setValues((prev) => ({ ...prev, [key]: value }))}
+      error={errors.fields[key]}
+      {...options}
+    />
+  );
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (submitting) return;
+    setErrors(noErrors);
+    setSubmitting(true);
+    try {
+      const userErrors = await onSubmit(values, { makeDefault });
+      if (userErrors?.length) setErrors(groupUserErrors(userErrors));
+    } catch (error) {
+      console.error('Failed to save address', error);
+      setErrors({ fields: {}, general: ['We could not save this address. Please try again.'] });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-5 rounded-3xl border border-neutral-200 p-6" noValidate>
+      <FormErrors messages={errors.general} />
+      <div className="grid gap-5 sm:grid-cols-2">
+        {field('firstName', 'First Name', { autoComplete: 'given-name', required: false })}
+        {field('lastName', 'Last Name', { autoComplete: 'family-name', required: false })}
+      </div>
+      {field('company', 'Company', { autoComplete: 'organization', required: false })}
+      {field('address1', 'Address', { autoComplete: 'address-line1' })}
+      {field('address2', 'Apartment, suite, etc.', {
+        autoComplete: 'address-line2',
+        required: false,
+      })}
+      <div className="grid gap-5 sm:grid-cols-2">
+        {field('city', 'City', { autoComplete: 'address-level2' })}
+        {field('province', 'State / Province', {
+          autoComplete: 'address-level1',
+          required: false,
+        })}
+      </div>
+      <div className="grid gap-5 sm:grid-cols-2">
+        {field('zip', 'Postal Code', { autoComplete: 'postal-code' })}
+        {field('country', 'Country', { autoComplete: 'country-name' })}
+      </div>
+      {field('phone', 'Phone', { type: 'tel', autoComplete: 'tel', required: false })}
+
+      {showDefaultToggle && (
+        <label className="flex items-center gap-3 text-[11px] uppercase tracking-[0.2em] text-neutral-600">
+          <input
+            type="checkbox"
+            checked={makeDefault}
+            onChange={(event) => setMakeDefault(event.target.checked)}
+            className="h-4 w-4 rounded-sm border border-neutral-300 text-neutral-900 focus:ring-neutral-900"
+          />
+          Set as default address
+        </label>
+      )}
+
+      <div className="flex flex-col gap-3 sm:flex-row">
+        <SubmitButton loading={submitting} loadingLabel="Saving…">
+          {submitLabel}
+        </SubmitButton>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="w-full rounded-full border border-neutral-300 py-4 text-[11px] uppercase tracking-[0.35em] text-neutral-700 transition hover:border-neutral-900 hover:text-neutral-900"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const AccountAddressesPage = () => {
+  const { accessToken, refreshCustomer } = useAuth();
+  const [addresses, setAddresses] = useState([]);
+  const [defaultAddressId, setDefaultAddressId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [actionErrors, setActionErrors] = useState([]);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await customerAddresses(accessToken);
+      setAddresses(result.addresses);
+      setDefaultAddressId(result.defaultAddressId);
+    } catch (e) {
+      console.error('Failed to load customer addresses', e);
+      setError(e);
+    } finally {
+      setLoading(false);
+    }
+  }, [accessToken]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // The default address feeds the cart's buyerIdentity, so keep the auth profile fresh.
+  const afterChange = async () => {
+    setEditing(null);
+    await Promise.all([load(), refreshCustomer()]);
+  };
+
+  const handleCreate = async (values, { makeDefault }) => {
+    const payload = await customerAddressCreate(accessToken, values);
+    if (payload?.customerUserErrors?.length) return payload.customerUserErrors;
+    const created = payload?.customerAddress;
+    if (created?.id && (makeDefault || addresses.length === 0)) {
+      const result = await customerDefaultAddressUpdate(accessToken, created.id);
+      if (result?.customerUserErrors?.length) return result.customerUserErrors;
+    }
+    await afterChange();
+    return [];
+  };
+
+  const handleUpdate = (id) => async (values) => {
+    const payload = await customerAddressUpdate(accessToken, id, values);
+    if (payload?.customerUserErrors?.length) return payload.customerUserErrors;
+    await afterChange();
+    return [];
+  };
+
+  const runAction = async (id, action) => {
+    setBusyId(id);
+    setActionErrors([]);
+    try {
+      const payload = await action();
+      const userErrors = payload?.customerUserErrors ?? [];
+      if (userErrors.length) {
+        setActionErrors(userErrors.map((entry) => entry.message));
+        return;
+      }
+      await afterChange();
+    } catch (e) {
+      console.error('Address update failed', e);
+      setActionErrors(['We could not update your addresses. Please try again.']);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = (address) => {
+    if (!window.confirm('Delete this address?')) return;
+    runAction(address.id, () => customerAddressDelete(accessToken, address.id));
+  };
+
+  const handleSetDefault = (address) => {
+    runAction(address.id, () => customerDefaultAddressUpdate(accessToken, address.id));
+  };
+
+  const sortedAddresses = [...addresses].sort(
+    (a, b) => Number(b.id === defaultAddressId) - Number(a.id === defaultAddressId),
+  );
+
+  return (
+    <section className="mx-auto w-full max-w-4xl px-4 py-16 sm:px-6 lg:px-8">
+      <div className="mb-8 flex flex-wrap items-end justify-between gap-4 border-b border-neutral-200 pb-4">
+        <h1 className="text-2xl font-semibold uppercase tracking-[0.3em] text-neutral-900">
+          Addresses
+        </h1>
+        <Link
+          to="/account"
+          className="text-[11px] uppercase tracking-[0.3em] text-neutral-500 underline-offset-4 transition hover:text-neutral-900 hover:underline"
+        >
+          Back to Account
+        </Link>
+      </div>
+
+      <div className="space-y-6">
+        <FormErrors messages={actionErrors} />
+
+        {editing === 'new' ? (
+          <AddressForm
+            initialValues={emptyAddress}
+            showDefaultToggle={addresses.length > 0}
+            submitLabel="Add Address"
+            onSubmit={handleCreate}
+            onCancel={() => setEditing(null)}
+          />
+        ) : (
+          <button
+            type="button"
+            onClick={() => setEditing('new')}
+            className="rounded-full border border-neutral-900 px-6 py-3 text-[11px] uppercase tracking-[0.32em] transition hover:bg-neutral-900 hover:text-white"
+          >
+            Add New Address
+          </button>
+        )}
+
+        {loading && (
+          <p className="text-sm uppercase tracking-[0.35em] text-neutral-500">Loading addresses…</p>
+        )}
+
+        {error && !loading && (
+          <p className="rounded-2xl border border-red-400 bg-red-50 px-4 py-3 text-xs leading-relaxed tracking-[0.2em] text-red-700">
+            We could not load your addresses. Please refresh the page.
+          </p>
+        )}
+
+        {!loading && !error && addresses.length === 0 && editing !== 'new' && (
+          <p className="text-sm uppercase tracking-[0.3em] text-neutral-600">
+            You have no saved addresses yet.
+          </p>
+        )}
+
+        <ul className="grid gap-4 sm:grid-cols-2">
+          {sortedAddresses.map((address) => {
+            const isDefault = address.id === defaultAddressId;
+            const busy = busyId === address.id;
+
+            if (editing === address.id) {
+              return (
+                <li key={address.id} className="sm:col-span-2">
+                  <AddressForm
+                    initialValues={address}
+                    submitLabel="Save Address"
+                    onSubmit={handleUpdate(address.id)}
+                    onCancel={() => setEditing(null)}
+                  />
+                </li>
+              );
+            }
+
+            return (
+              <li
+                key={address.id}
+                className="flex flex-col justify-between gap-4 rounded-2xl border border-neutral-200 p-5"
+              >
+                <div className="space-y-2">
+                  {isDefault && (
+                    <span className="inline-flex rounded-full bg-neutral-900 px-3 py-1 text-[10px] uppercase tracking-[0.25em] text-white">
+                      Default
+                    </span>
+                  )}
+                  <address className="space-y-1 text-xs not-italic uppercase leading-relaxed tracking-[0.2em] text-neutral-800">
+                    {(address.formatted ?? []).map((line) => (
+                      <p key={line}>{line}</p>
+                    ))}
+                    {address.phone && <p>{address.phone}</p>}
+                  </address>
+                </div>
+                <div className="flex flex-wrap gap-4 text-[10px] uppercase tracking-[0.28em] text-neutral-500">
+                  <button
+                    type="button"
+                    onClick={() => setEditing(address.id)}
+                    disabled={busy}
+                    className="underline-offset-4 transition hover:text-neutral-900 hover:underline"
+                  >
+                    Edit
+                  </button>
+                  {!isDefault && (
+                    <button
+                      type="button"
+                      onClick={() => handleSetDefault(address)}
+                      disabled={busy}
+                      className="underline-offset-4 transition hover:text-neutral-900 hover:underline"
+                    >
+                      Set as Default
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(address)}
+                    disabled={busy}
+                    className="underline-offset-4 transition hover:text-red-700 hover:underline"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </section>
+  );
+};
+
+export default AccountAddressesPage;
@@ -0,0 +1,101 @@
+// src/pages/AccountLoginPage.jsx
+import React, { useState } from 'react';
+import { Link, Navigate, useLocation, useNavigate } from 'react-router-dom';
+import {
+  AccountShell,
+  FormErrors,
+  FormField,
+  SubmitButton,
+} from '../components/AccountForm';
+import { useAuth } from '../contexts/auth-context';
+import { groupUserErrors } from '../lib/shopify';
+
+const AccountLoginPage = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { status, login } = useAuth();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [errors, setErrors] = useState({ fields: {}, general: [] });
+
+  const redirectTo = location.state?.from?.pathname ?? '/account';
+
+  if (status === 'authenticated') {
+    return <Navigate to={redirectTo} replace />;
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (submitting) return;
+
+    setErrors({ fields: {}, general: [] });
+    setSubmitting(true);
+
+    try {
+      const result = await login({ email: email.trim(), password });
+      if (!result.ok) {
+        setErrors(groupUserErrors(result.userErrors));
+        return;
+      }
+      navigate(redirectTo, { replace: true });
+    } catch (error) {
+      console.error('Shopify login failed', error);
+      setErrors({
+        fields: {},
+        general: ['We could not sign you in right now. Please try again in a moment.'],
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <AccountShell
+      title="Sign In"
+      subtitle="Access your orders, addresses and saved cart."
+      footer={
+        <>
+          <p>
+            <Link to="/account/recover" className="text-neutral-900 underline underline-offset-4">
+              Forgot your password?
+            </Link>
+          </p>
+          <p>
+            New here?{' '}
+            <Link to="/account/register" className="text-neutral-900 underline underline-offset-4">
+              Create an account
+            </Link>
+          </p>
+        </>
+      }
+    >
+      <form onSubmit={handleSubmit} className="space-y-5" noValidate>
+        <FormErrors messages={errors.general} />
+        <FormField
+          id="email"
+          label="Email"
+          type="email"
+          value={email}
+          onChange={setEmail}
+          autoComplete="email"
+          error={errors.fields.email}
+        />
+        <FormField
+          id="password"
+          label="Password"
+          type="password"
+          value={password}
+          onChange={setPassword}
+          autoComplete="current-password"
+          error={errors.fields.password}
+        />
+        <SubmitButton loading={submitting} loadingLabel="Signing In…">
+          Sign In
+        </SubmitButton>
+      </form>
+    </AccountShell>
+  );
+};
+
+export default AccountLoginPage;
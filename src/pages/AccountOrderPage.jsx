@@ -0,0 +1,239 @@
+// src/pages/AccountOrderPage.jsx
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import {
+  fetchCustomerOrder,
+  formatDate,
+  formatMoney,
+  fromOrderRouteId,
+} from '../lib/shopify';
+
+const moneyLabel = (money) => (money ? formatMoney(money.amount, money.currencyCode) : null);
+
+const AccountOrderPage = () => {
+  const { id } = useParams();
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function load() {
+      setLoading(true);
+      setError(null);
+      try {
+        const result = await fetchCustomerOrder(fromOrderRouteId(id));
+        if (!cancelled) setOrder(result);
+      } catch (e) {
+        console.error(`Failed to load order "${id}"`, e);
+        if (!cancelled) {
+          setError(e);
+          setOrder(null);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  if (loading) {
+    return (
+      <section className="mx-auto flex max-w-3xl flex-col items-center gap-6 px-4 py-24 text-center">
+        <p className="text-sm uppercase tracking-[0.35em] text-neutral-500">Loading order…</p>
+      </section>
+    );
+  }
+
+  if (!order || error) {
+    return (
+      <section className="mx-auto flex max-w-3xl flex-col items-center gap-6 px-4 py-24 text-center">
+        <h1 className="text-xl font-semibold uppercase tracking-[0.35em] text-neutral-900">
+          Order Not Found
+        </h1>
+        <Link
+          to="/account/orders"
+          className="rounded-full border border-neutral-900 px-6 py-3 text-[11px] uppercase tracking-[0.32em] transition hover:bg-neutral-900 hover:text-white"
+        >
+          Back to Orders
+        </Link>
+      </section>
+    );
+  }
+
+  const totals = [
+    { label: 'Subtotal', value: moneyLabel(order.subtotal) },
+    { label: 'Shipping', value: moneyLabel(order.shipping) },
+    { label: 'Tax', value: moneyLabel(order.tax) },
+  ].filter((entry) => entry.value);
+
+  return (
+    <section className="mx-auto w-full max-w-5xl px-4 py-16 sm:px-6 lg:px-8">
+      <div className="mb-8 flex flex-wrap items-end justify-between gap-4 border-b border-neutral-200 pb-4">
+        <div className="space-y-2">
+          <h1 className="text-2xl font-semibold uppercase tracking-[0.3em] text-neutral-900">
+            Order {order.name}
+          </h1>
+          <p className="text-[11px] uppercase tracking-[0.25em] text-neutral-500">
+            Placed {formatDate(order.processedAt)}
+            {order.fulfillmentStatusLabel && ` · ${order.fulfillmentStatusLabel}`}
+            {order.financialStatusLabel && ` · ${order.financialStatusLabel}`}
+          </p>
+        </div>
+        <Link
+          to="/account/orders"
+          className="text-[11px] uppercase tracking-[0.3em] text-neutral-500 underline-offset-4 transition hover:text-neutral-900 hover:underline"
+        >
+          Back to Orders
+        </Link>
+      </div>
+
+      <div className="gap-12 lg:grid lg:grid-cols-[minmax(0,3fr)_minmax(0,2fr)]">
+        <div className="space-y-4">
+          {order.lineItems.map((item, index) => {
+            const href = item.product?.handle ? `/product/${item.product.handle}` : null;
+            const totalLabel = moneyLabel(item.total);
+            const originalLabel = moneyLabel(item.originalTotal);
+
+            return (
+              <div
+                key={`${item.title}-${index}`}
+                className="grid grid-cols-[88px_minmax(0,1fr)] gap-4 rounded-2xl border border-neutral-200 p-4"
+              >
+                <div className="overflow-hidden rounded-xl bg-neutral-100">
+                  {item.image?.url ? (
+                    <img
+                      src={item.image.url}
+                      alt={item.image.alt || item.title}
+                      className="h-full w-full object-cover"
+                      loading="lazy"
+                    />
+                  ) : (
+                    <div className="flex h-full min-h-[88px] w-full items-center justify-center text-[10px] uppercase tracking-[0.3em] text-neutral-400">
+                      No Image
+                    </div>
+                  )}
+                </div>
+                <div className="flex flex-col justify-between gap-2 text-xs uppercase tracking-[0.25em]">
+                  <div className="space-y-1">
+                    {href ? (
+                      <Link to={href} className="font-semibold text-neutral-900 hover:underline">
+                        {item.title}
+                      </Link>
+                    ) : (
+                      <p className="font-semibold text-neutral-900">{item.title}</p>
+                    )}
+                    {item.variantTitle && <p className="text-neutral-500">{item.variantTitle}</p>}
+                    <p className="text-neutral-500">Qty {item.quantity}</p>
+                  </div>
+                  <p className="flex gap-2 text-neutral-900">
+                    {originalLabel && originalLabel !== totalLabel && (
+                      <span className="text-neutral-400 line-through">{originalLabel}</span>
+                    )}
+                    {totalLabel && <span className="font-semibold">{totalLabel}</span>}
+                  </p>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        <aside className="mt-10 space-y-6 lg:mt-0">
+          <div className="space-y-4 rounded-3xl border border-neutral-200 p-6">
+            <h2 className="text-sm uppercase tracking-[0.32em] text-neutral-600">Summary</h2>
+            <dl className="space-y-3 text-sm tracking-[0.2em] text-neutral-600">
+              {totals.map((entry) => (
+                <div key={entry.label} className="flex justify-between">
+                  <dt>{entry.label}</dt>
+                  <dd className="text-neutral-900">{entry.value}</dd>
+                </div>
+              ))}
+              <div className="flex justify-between">
+                <dt className="font-semibold text-neutral-900">Total</dt>
+                <dd className="font-semibold text-neutral-900">{moneyLabel(order.total)}</dd>
+              </div>
+            </dl>
+          </div>
+
+          {order.shippingAddress && (
+            <div className="space-y-3 rounded-3xl border border-neutral-200 p-6">
+              <h2 className="text-sm uppercase tracking-[0.32em] text-neutral-600">
+                Shipping Address
+              </h2>
+              <address className="space-y-1 text-xs not-italic uppercase leading-relaxed tracking-[0.2em] text-neutral-800">
+                {order.shippingAddress.name && <p>{order.shippingAddress.name}</p>}
+                {order.shippingAddress.lines.map((line) => (
+                  <p key={line}>{line}</p>
+                ))}
+              </address>
+            </div>
+          )}
+
+          <div className="space-y-4 rounded-3xl border border-neutral-200 p-6">
+            <h2 className="text-sm uppercase tracking-[0.32em] text-neutral-600">Fulfillment</h2>
+            {order.fulfillments.length === 0 ? (
+              <p className="text-xs uppercase tracking-[0.2em] text-neutral-500">
+                {order.fulfillmentStatusLabel || 'Not yet shipped'}
+              </p>
+            ) : (
+              order.fulfillments.map((fulfillment, index) => (
+                <div
+                  key={`fulfillment-${index}`}
+                  className={`space-y-2 text-xs uppercase tracking-[0.2em] text-neutral-700 ${
+                    index > 0 ? 'border-t border-neutral-200 pt-4' : ''
+                  }`}
+                >
+                  <p className="font-semibold text-neutral-900">
+                    Shipment {index + 1}
+                    {fulfillment.company && ` · ${fulfillment.company}`}
+                  </p>
+                  {fulfillment.items.length > 0 && (
+                    <ul className="space-y-1 text-neutral-500">
+                      {fulfillment.items.map((entry, itemIndex) => (
+                        <li key={`${entry.title}-${itemIndex}`}>
+                          {entry.quantity} × {entry.title}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  {fulfillment.tracking.map((info) =>
+                    info.url ? (
+                      <a
+                        key={info.url}
+                        href={info.url}
+                        target="_blank"
+                        rel="noreferrer"
+                        className="block text-neutral-900 underline underline-offset-4"
+                      >
+                        Track {info.number || 'shipment'}
+                      </a>
+                    ) : (
+                      <p key={info.number}>Tracking {info.number}</p>
+                    ),
+                  )}
+                </div>
+              ))
+            )}
+            {order.statusUrl && (
+              <a
+                href={order.statusUrl}
+                target="_blank"
+                rel="noreferrer"
+                className="inline-flex rounded-full border border-neutral-900 px-4 py-2 text-[10px] uppercase tracking-[0.32em] text-neutral-900 transition hover:bg-neutral-900 hover:text-white"
+              >
+                View Order Status
+              </a>
+            )}
+          </div>
+        </aside>
+      </div>
+    </section>
+  );
+};
+
+export default AccountOrderPage;
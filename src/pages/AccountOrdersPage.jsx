@@ -0,0 +1,146 @@
+// src/pages/AccountOrdersPage.jsx
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/auth-context';
+import { customerOrdersPage, formatDate, formatMoney } from '../lib/shopify';
+
+const PAGE_SIZE = 10;
+
+const AccountOrdersPage = () => {
+  const { accessToken } = useAuth();
+  const [orders, setOrders] = useState([]);
+  const [pageInfo, setPageInfo] = useState({ endCursor: null, hasNextPage: false });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadPage = useCallback(
+    async (after = null) => {
+      setLoading(true);
+      setError(null);
+      try {
+        const page = await customerOrdersPage(accessToken, PAGE_SIZE, after);
+        setOrders((prev) => (after ? [...prev, ...page.nodes] : page.nodes));
+        setPageInfo({ endCursor: page.endCursor, hasNextPage: page.hasNextPage });
+      } catch (e) {
+        console.error('Failed to load customer orders', e);
+        setError(e);
+      } finally {
+        setLoading(false);
+      }
+    },
+    [accessToken],
+  );
+
+  useEffect(() => {
+    loadPage(null);
+  }, [loadPage]);
+
+  return (
+    <section className="mx-auto w-full max-w-4xl px-4 py-16 sm:px-6 lg:px-8">
+      <div className="mb-8 flex flex-wrap items-end justify-between gap-4 border-b border-neutral-200 pb-4">
+        <h1 className="text-2xl font-semibold uppercase tracking-[0.3em] text-neutral-900">
+          Order History
+        </h1>
+        <Link
+          to="/account"
+          className="text-[11px] uppercase tracking-[0.3em] text-neutral-500 underline-offset-4 transition hover:text-neutral-900 hover:underline"
+        >
+          Back to Account
+        </Link>
+      </div>
+
+      {!loading && !error && orders.length === 0 && (
+        <div className="flex flex-col items-center gap-6 rounded-3xl border border-dashed border-neutral-200 px-6 py-16 text-center">
+          <p className="text-sm uppercase tracking-[0.3em] text-neutral-600">
+            You haven&apos;t placed any orders yet
+          </p>
+          <Link
+            to="/products"
+            className="rounded-full border border-neutral-900 px-6 py-3 text-[11px] uppercase tracking-[0.32em] transition hover:bg-neutral-900 hover:text-white"
+          >
+            Start Shopping
+          </Link>
+        </div>
+      )}
+
+      {orders.length > 0 && (
+        <ul className="space-y-4">
+          {orders.map((order) => (
+            <li key={order.id}>
+              <Link
+                to={`/account/orders/${order.routeId}`}
+                className="grid gap-4 rounded-2xl border border-neutral-200 p-4 transition hover:border-neutral-900 sm:grid-cols-[minmax(0,1fr)_auto] sm:items-center"
+              >
+                <div className="space-y-2">
+                  <p className="text-sm font-semibold uppercase tracking-[0.25em] text-neutral-900">
+                    Order {order.name}
+                  </p>
+                  <p className="text-[11px] uppercase tracking-[0.25em] text-neutral-500">
+                    {formatDate(order.processedAt)} · {order.itemCount}{' '}
+                    {order.itemCount === 1 ? 'item' : 'items'}
+                  </p>
+                  <div className="flex flex-wrap gap-2 text-[10px] uppercase tracking-[0.22em]">
+                    {order.fulfillmentStatusLabel && (
+                      <span className="rounded-full border border-neutral-300 px-3 py-1 text-neutral-700">
+                        {order.fulfillmentStatusLabel}
+                      </span>
+                    )}
+                    {order.financialStatusLabel && (
+                      <span className="rounded-full border border-neutral-200 px-3 py-1 text-neutral-500">
+                        {order.financialStatusLabel}
+                      </span>
+                    )}
+                  </div>
+                </div>
+                <div className="flex items-center gap-4 sm:justify-end">
+                  <div className="flex -space-x-3">
+                    {order.lineItems
+                      .filter((item) => item.image?.url)
+                      .map((item) => (
+                        <img
+                          key={`${order.id}-${item.title}`}
+                          src={item.image.url}
+                          alt={item.image.alt || item.title}
+                          className="h-12 w-12 rounded-full border-2 border-white bg-neutral-100 object-cover"
+                          loading="lazy"
+                        />
+                      ))}
+                  </div>
+                  <span className="text-sm font-semibold tracking-[0.2em] text-neutral-900">
+                    {formatMoney(order.total.amount, order.total.currencyCode)}
+                  </span>
+                </div>
+              </Link>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && (
+        <p className="mt-6 rounded-2xl border border-red-400 bg-red-50 px-4 py-3 text-xs leading-relaxed tracking-[0.2em] text-red-700">
+          We could not load your orders. Please try again.
+        </p>
+      )}
+
+      {loading && (
+        <p className="mt-6 text-center text-sm uppercase tracking-[0.35em] text-neutral-500">
+          Loading orders…
+        </p>
+      )}
+
+      {!loading && (pageInfo.hasNextPage || error) && (
+        <div className="mt-8 flex justify-center">
+          <button
+            type="button"
+            onClick={() => loadPage(error && !orders.length ? null : pageInfo.endCursor)}
+            className="rounded-full border border-neutral-900 px-6 py-3 text-[11px] uppercase tracking-[0.32em] transition hover:bg-neutral-900 hover:text-white"
+          >
+            {error ? 'Try Again' : 'Load More Orders'}
+          </button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default AccountOrdersPage;
@@ -0,0 +1,72 @@
+// src/pages/AccountPage.jsx
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { AccountShell } from '../components/AccountForm';
+import { useAuth } from '../contexts/auth-context';
+
+const AccountPage = () => {
+  const navigate = useNavigate();
+  const { customer, logout } = useAuth();
+  const [signingOut, setSigningOut] = useState(false);
+
+  const fullName =
+    [customer.firstName, customer.lastName].filter(Boolean).join(' ') ||
+    customer.displayName ||
+    customer.email;
+
+  const details = [
+    { label: 'Name', value: fullName },
+    { label: 'Email', value: customer.email },
+    { label: 'Phone', value: customer.phone },
+  ].filter((entry) => entry.value);
+
+  const sections = [
+    { to: '/account/orders', label: 'Order History' },
+    { to: '/account/addresses', label: 'Addresses' },
+  ];
+
+  const handleLogout = async () => {
+    setSigningOut(true);
+    await logout();
+    navigate('/', { replace: true });
+  };
+
+  return (
+    <AccountShell title="My Account" subtitle={`Welcome back, ${customer.firstName || fullName}.`}>
+      <dl className="space-y-4 rounded-3xl border border-neutral-200 p-6 text-sm tracking-[0.2em]">
+        {details.map((entry) => (
+          <div key={entry.label} className="flex flex-col gap-1">
+            <dt className="text-[10px] uppercase tracking-[0.28em] text-neutral-500">
+              {entry.label}
+            </dt>
+            <dd className="break-words text-neutral-900">{entry.value}</dd>
+          </div>
+        ))}
+      </dl>
+
+      <nav className="divide-y divide-neutral-200 rounded-3xl border border-neutral-200">
+        {sections.map((section) => (
+          <Link
+            key={section.to}
+            to={section.to}
+            className="flex items-center justify-between px-6 py-4 text-[11px] uppercase tracking-[0.3em] text-neutral-700 transition hover:text-neutral-900"
+          >
+            {section.label}
+            <span aria-hidden>→</span>
+          </Link>
+        ))}
+      </nav>
+
+      <button
+        type="button"
+        onClick={handleLogout}
+        disabled={signingOut}
+        className="w-full rounded-full border border-neutral-900 py-4 text-[11px] uppercase tracking-[0.35em] text-neutral-900 transition hover:bg-neutral-900 hover:text-white disabled:cursor-not-allowed disabled:opacity-40"
+      >
+        {signingOut ? 'Signing Out…' : 'Sign Out'}
+      </button>
+    </AccountShell>
+  );
+};
+
+export default AccountPage;
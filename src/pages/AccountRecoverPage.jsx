@@ -0,0 +1,90 @@
+// src/pages/AccountRecoverPage.jsx
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  AccountShell,
+  FormErrors,
+  FormField,
+  FormNotice,
+  SubmitButton,
+} from '../components/AccountForm';
+import { useAuth } from '../contexts/auth-context';
+import { groupUserErrors } from '../lib/shopify';
+
+const AccountRecoverPage = () => {
+  const { recover } = useAuth();
+  const [email, setEmail] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [sentTo, setSentTo] = useState(null);
+  const [errors, setErrors] = useState({ fields: {}, general: [] });
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (submitting) return;
+
+    const trimmed = email.trim();
+    if (!trimmed) {
+      setErrors({ fields: { email: 'Enter the email you signed up with.' }, general: [] });
+      return;
+    }
+
+    setErrors({ fields: {}, general: [] });
+    setSubmitting(true);
+
+    try {
+      const result = await recover(trimmed);
+      if (!result.ok) {
+        setErrors(groupUserErrors(result.userErrors));
+        return;
+      }
+      setSentTo(trimmed);
+    } catch (error) {
+      console.error('Shopify password recovery failed', error);
+      setErrors({
+        fields: {},
+        general: ['We could not send the reset email right now. Please try again in a moment.'],
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <AccountShell
+      title="Reset Password"
+      subtitle="We will email you a link to choose a new password."
+      footer={
+        <p>
+          Remembered it?{' '}
+          <Link to="/account/login" className="text-neutral-900 underline underline-offset-4">
+            Back to sign in
+          </Link>
+        </p>
+      }
+    >
+      {sentTo ? (
+        <FormNotice>
+          If an account exists for {sentTo}, a reset link is on its way. Check your inbox.
+        </FormNotice>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-5" noValidate>
+          <FormErrors messages={errors.general} />
+          <FormField
+            id="email"
+            label="Email"
+            type="email"
+            value={email}
+            onChange={setEmail}
+            autoComplete="email"
+            error={errors.fields.email}
+          />
+          <SubmitButton loading={submitting} loadingLabel="Sending…">
+            Send Reset Link
+          </SubmitButton>
+        </form>
+      )}
+    </AccountShell>
+  );
+};
+
+export default AccountRecoverPage;
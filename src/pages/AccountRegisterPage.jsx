@@ -0,0 +1,124 @@
+// src/pages/AccountRegisterPage.jsx
+import React, { useState } from 'react';
+import { Link, Navigate, useNavigate } from 'react-router-dom';
+import {
+  AccountShell,
+  FormErrors,
+  FormField,
+  SubmitButton,
+} from '../components/AccountForm';
+import { useAuth } from '../contexts/auth-context';
+import { groupUserErrors } from '../lib/shopify';
+
+const initialForm = {
+  firstName: '',
+  lastName: '',
+  email: '',
+  password: '',
+};
+
+const AccountRegisterPage = () => {
+  const navigate = useNavigate();
+  const { status, register } = useAuth();
+  const [form, setForm] = useState(initialForm);
+  const [submitting, setSubmitting] = useState(false);
+  const [errors, setErrors] = useState({ fields: {}, general: [] });
+
+  if (status === 'authenticated') {
+    return <Navigate to="/account" replace />;
+  }
+
+  const setField = (key) => (value) => setForm((prev) => ({ ...prev, [key]: value }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (submitting) return;
+
+    setErrors({ fields: {}, general: [] });
+    setSubmitting(true);
+
+    try {
+      const result = await register({
+        firstName: form.firstName.trim(),
+        lastName: form.lastName.trim(),
+        email: form.email.trim(),
+        password: form.password,
+      });
+      if (!result.ok) {
+        setErrors(groupUserErrors(result.userErrors));
+        return;
+      }
+      navigate('/account', { replace: true });
+    } catch (error) {
+      console.error('Shopify registration failed', error);
+      setErrors({
+        fields: {},
+        general: ['We could not create your account right now. Please try again in a moment.'],
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <AccountShell
+      title="Create Account"
+      subtitle="Track orders and check out faster."
+      footer={
+        <p>
+          Already registered?{' '}
+          <Link to="/account/login" className="text-neutral-900 underline underline-offset-4">
+            Sign in
+          </Link>
+        </p>
+      }
+    >
+      <form onSubmit={handleSubmit} className="space-y-5" noValidate>
+        <FormErrors messages={errors.general} />
+        <div className="grid gap-5 sm:grid-cols-2">
+          <FormField
+            id="firstName"
+            label="First Name"
+            value={form.firstName}
+            onChange={setField('firstName')}
+            autoComplete="given-name"
+            error={errors.fields.firstName}
+            required={false}
+          />
+          <FormField
+            id="lastName"
+            label="Last Name"
+            value={form.lastName}
+            onChange={setField('lastName')}
+            autoComplete="family-name"
+            error={errors.fields.lastName}
+            required={false}
+          />
+        </div>
+        <FormField
+          id="email"
+          label="Email"
+          type="email"
+          value={form.email}
+          onChange={setField('email')}
+          autoComplete="email"
+          error={errors.fields.email}
+        />
+        <FormField
+          id="password"
+          label="Password"
+          type="password"
+          value={form.password}
+          onChange={setField('password')}
+          autoComplete="new-password"
+          error={errors.fields.password}
+        />
+        <SubmitButton loading={submitting} loadingLabel="Creating Account…">
+          Create Account
+        </SubmitButton>
+      </form>
+    </AccountShell>
+  );
+};
+
+export default AccountRegisterPage;
@@ -0,0 +1,127 @@
+// src/pages/AccountResetPage.jsx
+import React, { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import {
+  AccountShell,
+  FormErrors,
+  FormField,
+  SubmitButton,
+} from '../components/AccountForm';
+import { useAuth } from '../contexts/auth-context';
+import { groupUserErrors } from '../lib/shopify';
+
+// Shopify rejects passwords shorter than this.
+const MIN_PASSWORD_LENGTH = 5;
+
+const copy = {
+  reset: {
+    title: 'Choose a New Password',
+    subtitle: 'Enter a new password for your account.',
+    submit: 'Reset Password',
+    loading: 'Resetting…',
+    failure: 'We could not reset your password right now. Please try again in a moment.',
+  },
+  activate: {
+    title: 'Activate Account',
+    subtitle: 'Set a password to finish creating your account.',
+    submit: 'Activate Account',
+    loading: 'Activating…',
+    failure: 'We could not activate your account right now. Please try again in a moment.',
+  },
+};
+
+const AccountResetPage = ({ mode = 'reset' }) => {
+  const navigate = useNavigate();
+  const { id, token } = useParams();
+  const { resetPassword, activateAccount } = useAuth();
+  const [password, setPassword] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [errors, setErrors] = useState({ fields: {}, general: [] });
+
+  const text = copy[mode] ?? copy.reset;
+
+  const validate = () => {
+    const fields = {};
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      fields.password = `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+    }
+    if (confirmation !== password) {
+      fields.passwordConfirmation = 'Passwords do not match.';
+    }
+    return fields;
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (submitting) return;
+
+    const fields = validate();
+    if (Object.keys(fields).length) {
+      setErrors({ fields, general: [] });
+      return;
+    }
+
+    setErrors({ fields: {}, general: [] });
+    setSubmitting(true);
+
+    try {
+      const result =
+        mode === 'activate'
+          ? await activateAccount({ id, activationToken: token, password })
+          : await resetPassword({ id, resetToken: token, password });
+      if (!result.ok) {
+        setErrors(groupUserErrors(result.userErrors));
+        return;
+      }
+      navigate('/account', { replace: true });
+    } catch (error) {
+      console.error(`Shopify account ${mode} failed`, error);
+      setErrors({ fields: {}, general: [text.failure] });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <AccountShell
+      title={text.title}
+      subtitle={text.subtitle}
+      footer={
+        <p>
+          Link expired?{' '}
+          <Link to="/account/recover" className="text-neutral-900 underline underline-offset-4">
+            Request a new one
+          </Link>
+        </p>
+      }
+    >
+      <form onSubmit={handleSubmit} className="space-y-5" noValidate>
+        <FormErrors messages={errors.general} />
+        <FormField
+          id="password"
+          label="New Password"
+          type="password"
+          value={password}
+          onChange={setPassword}
+          autoComplete="new-password"
+          error={errors.fields.password}
+        />
+        <FormField
+          id="passwordConfirmation"
+          label="Confirm Password"
+          type="password"
+          value={confirmation}
+          onChange={setConfirmation}
+          autoComplete="new-password"
+          error={errors.fields.passwordConfirmation}
+        />
+        <SubmitButton loading={submitting} loadingLabel={text.loading}>
+          {text.submit}
+        </SubmitButton>
+      </form>
+    </AccountShell>
+  );
+};
+
+export default AccountResetPage;
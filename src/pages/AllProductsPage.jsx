@@ -1,38 +1,50 @@
 // src/pages/AllProductsPage.jsx
-import React, { useEffect, useMemo, useRef, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import { Link, useLocation, useSearchParams } from 'react-router-dom';
-import { ChevronDown, Star } from 'lucide-react';
+import { ChevronDown } from 'lucide-react';
 import ProductCard from '../components/ProductCard';
+import LoadMore from '../components/LoadMore';
+import ProductFilters from '../components/ProductFilters';
+import RatingStars from '../components/RatingStars';
 import { useCatalog } from '../contexts/catalog-context';
-import { extractOptionValues, normaliseTokenValue, toProductCard } from '../lib/shopify';
+import { useListingScrollRestoration, usePagedProducts } from '../hooks/use-product-listing';
+import { collectionProductsPage, productsPage, toProductCard } from '../lib/shopify';
+import { sortReviews } from '../lib/reviews';
+import {
+  applyFiltersLocally,
+  buildLocalFacets,
+  clearFilterParams,
+  filterParamsKey,
+  filtersFromSearchParams,
+  productSearchQuery,
+  resolveFilterInputs,
+} from '../lib/filters';
+import {
+  LISTING_PAGE_SIZE,
+  infiniteScrollEnabled,
+  pageFromSearchParams,
+  withPageParam,
+} from '../lib/pagination';
+import {
+  sortFromSearchParams,
+  sortOptionsFor,
+  sortProductsLocally,
+  sortsInMemory,
+  storefrontSort,
+  withSortParam,
+} from '../lib/sorting';
 
 // --- Static Data & Configuration ---
-const toneReviews = [
-  {
-    initials: 'KS',
-    name: 'Karan S.',
-    role: 'Verified Drop Member',
-    quote: 'Every drop feels limited and intentional. Fabric weight on the tees is exactly what I want for daily rotation.',
-  },
-  {
-    initials: 'AA',
-    name: 'Anaya A.',
-    role: 'Studio Stylist',
-    quote: 'The hoodies hold their shape even after long shifts on set. Love the detailing and clean branding.',
-  },
-  {
-    initials: 'RM',
-    name: 'Rhea M.',
-    role: 'Creative Consultant',
-    quote: 'Colour stories across the collection are so cohesive. Easy to build layered looks without overthinking.',
-  },
-  {
-    initials: 'DV',
-    name: 'Dhruv V.',
-    role: 'Retail Partner',
-    quote: 'Customers ask for these fits by name. The oversized profiles and finishing feel premium straight off the rack.',
-  },
-];
+const FEATURED_REVIEW_LIMIT = 4;
+
+const initialsOf = (name) =>
+  name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((part) => part[0])
+    .join('')
+    .toUpperCase();
 
 const collectionsMeta = {
   't-shirts': 'T-Shirts',
@@ -44,21 +56,9 @@ const collectionsMeta = {
   sandals: 'Sandals',
 };
 
+// Gathered into one view when the store has no usable "shoes" collection.
 const shoeHandles = ['shoes', 'loafers', 'boots', 'sneakers', 'sandals'];
 
-const availabilityOptions = [
-  { value: 'in-stock', label: 'In Stock' },
-  { value: 'out-of-stock', label: 'Out of Stock' },
-];
-
-const sortOptions = [
-  { value: 'featured', label: 'Featured' },
-  { value: 'price-asc', label: 'Price, Low to High' },
-  { value: 'price-desc', label: 'Price, High to Low' },
-  { value: 'title-asc', label: 'Alphabetical, A-Z' },
-  { value: 'title-desc', label: 'Alphabetical, Z-A' },
-];
-
 const hiddenHandles = new Set(['home-page', 'homepage', 'frontpage', 'front-page', 'home', 'home page']);
 
 const categoryAliases = {
@@ -85,7 +85,8 @@ const useActiveCategory = (initialCategory = 'all') => {
   const normalizedInitial = normalizeCategory(initialCategory);
 
   const updateCategory = (value) => {
-    const next = new URLSearchParams(searchParams);
+    // Facets differ per collection, so filters don't carry across categories.
+    const next = withPageParam(clearFilterParams(searchParams), 1);
     const normalizedValue = normalizeCategory(value);
     if (!normalizedValue || normalizedValue === normalizedInitial) {
       next.delete('category');
@@ -105,18 +106,12 @@ const AllProductsPage = ({ initialCategory = 'all' } = {}) => {
   const isShoesRoot = /^\/shoes\/?$/.test(location.pathname);
   const pathCategory = isShoesRoot ? 'shoes' : initialCategory;
   const { active, updateCategory } = useActiveCategory(pathCategory);
-  const {
-    products: catalogProducts,
-    collections,
-    loading: catalogLoading,
-    ensureCollectionProducts,
-  } = useCatalog();
+  const { products: catalogProducts, collections, ensureCollectionProducts } = useCatalog();
 
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [shoesMerged, setShoesMerged] = useState(false);
   const [collectionProducts, setCollectionProducts] = useState({});
   const [collectionLoading, setCollectionLoading] = useState(false);
-  const [selectedSizes, setSelectedSizes] = useState([]);
-  const [availabilityFilter, setAvailabilityFilter] = useState('all');
-  const [sortBy, setSortBy] = useState('featured');
 
   const collectionHandles = useMemo(
     () =>
@@ -127,75 +122,74 @@ const AllProductsPage = ({ initialCategory = 'all' } = {}) => {
   );
   const activeCollectionHandle = resolveCollectionHandle(active, collectionHandles);
 
-  // UI State for dropdowns
-  const [sizeFilterOpen, setSizeFilterOpen] = useState(false);
-  const [availabilityFilterOpen, setAvailabilityFilterOpen] = useState(false);
-  const [currentReview, setCurrentReview] = useState(0);
-  const sizePopoverRef = useRef(null);
-  const availabilityPopoverRef = useRef(null);
-
-  // Auto-advance the review carousel
-  useEffect(() => {
-    const timer = setInterval(
-      () => setCurrentReview((prev) => (prev + 1) % toneReviews.length),
-      3000,
-    );
-    return () => clearInterval(timer);
-  }, []);
-
-  // 2. Data Logic
-  const navItems = useMemo(() => {
-    const items = [{ value: 'all', label: 'View All' }];
-    Object.entries(collectionsMeta).forEach(([value, label]) => {
-      items.push({ value: normalizeCategory(value), label });
-    });
-    (collections ?? [])
-      .filter(
-        (collection) =>
-          collection?.handle &&
-          collection?.title &&
-          !hiddenHandles.has(String(collection.handle).toLowerCase()),
-      )
-      .forEach((collection) => {
-        const normalizedValue = normalizeCategory(collection.handle);
-        if (!items.some((item) => item.value === normalizedValue)) {
-          items.push({
-            value: normalizedValue,
-            label: collectionsMeta[normalizedValue] ?? collection.title,
-          });
-        }
+  const filterKey = filterParamsKey(searchParams);
+  const filterParams = useMemo(() => new URLSearchParams(filterKey), [filterKey]);
+  const activeFilters = useMemo(() => filtersFromSearchParams(filterParams), [filterParams]);
+  // Collections (Shoes is its parent collection) are filtered, sorted and paged
+  // by Shopify. "All" pages through the products query, which has no facets:
+  // filters it can search on go into its query, and any other filter (a size)
+  // loads every page and filters locally, keeping Shopify's order. Without a
+  // "shoes" collection, Shoes merges its sub-collections and works locally.
+  const isAll = active === 'all';
+  const usesMergedShoes = active === 'shoes' && shoesMerged;
+  const usesShopifyFilters = !isAll && !usesMergedShoes;
+  const sortContext = usesMergedShoes ? 'local' : isAll ? 'products' : 'collection';
+  const catalogQuery = useMemo(() => productSearchQuery(activeFilters), [activeFilters]);
+  const filtersInMemory = usesMergedShoes || (isAll && catalogQuery == null);
+  const sortOption = sortFromSearchParams(searchParams, sortContext);
+  // Biggest Discount has no Storefront sort key, so it sorts the whole listing in memory.
+  const sortInMemory = sortsInMemory(sortOption, sortContext);
+  const loadsWholeListing = filtersInMemory || sortInMemory;
+  const page = pageFromSearchParams(searchParams);
+  const visibleLimit = page * LISTING_PAGE_SIZE;
+
+  const fetchListingPage = useCallback(
+    async (limit, after) => {
+      if (isAll) {
+        return productsPage(limit, after, {
+          query: catalogQuery || null,
+          ...storefrontSort(sortOption, 'products'),
+        });
+      }
+      const filters = await resolveFilterInputs(
+        filterParams,
+        async () => (await collectionProductsPage(activeCollectionHandle, 1)).filters,
+      );
+      return collectionProductsPage(activeCollectionHandle, limit, after, {
+        filters,
+        ...storefrontSort(sortOption, 'collection'),
       });
-    return items;
-  }, [collections]);
-
-  const hasCollectionProducts = collectionProducts[activeCollectionHandle];
+    },
+    [isAll, catalogQuery, activeCollectionHandle, filterParams, sortOption],
+  );
+  const {
+    listing,
+    facets: shopifyFacets,
+    loading: pageLoading,
+  } = usePagedProducts({
+    enabled: !usesMergedShoes,
+    key: isAll
+      ? `all?${catalogQuery ?? ''}&sort=${sortOption.value}`
+      : `${activeCollectionHandle}?${filterKey}&sort=${sortOption.value}`,
+    facetScope: isAll ? 'all' : activeCollectionHandle,
+    visibleLimit: loadsWholeListing ? Infinity : visibleLimit,
+    fetchPage: fetchListingPage,
+    label: isAll ? 'products' : `collection "${activeCollectionHandle}"`,
+  });
+
+  const shoesCollectionMissing =
+    active === 'shoes' &&
+    Boolean(listing) &&
+    (listing.missing ||
+      (!listing.products.length && !listing.hasNextPage && !activeFilters.length));
 
   useEffect(() => {
-    if (active === 'all' || hasCollectionProducts) return;
-    let cancelled = false;
-    setCollectionLoading(true);
-
-    ensureCollectionProducts(activeCollectionHandle, { limit: 60 })
-      .then((productsForCollection) => {
-        if (cancelled || !productsForCollection) return;
-        setCollectionProducts((prev) => ({
-          ...prev,
-          [activeCollectionHandle]: productsForCollection,
-        }));
-      })
-      .catch((error) =>
-        console.error(`Failed to load collection "${activeCollectionHandle}"`, error),
-      )
-      .finally(() => {
-        if (!cancelled) setCollectionLoading(false);
-      });
-
-    return () => { cancelled = true; };
-  }, [active, activeCollectionHandle, hasCollectionProducts, ensureCollectionProducts]);
+    if (shoesCollectionMissing) setShoesMerged(true);
+  }, [shoesCollectionMissing]);
 
-  // Ensure shoe sub-collections are loaded when viewing Shoes
+  // Load the shoe sub-collections for the merged view
   useEffect(() => {
-    if (active !== 'shoes') return;
+    if (!usesMergedShoes) return;
     let cancelled = false;
 
     const handlesToFetch = shoeHandles.filter((handle) => !collectionProducts[handle]);
@@ -215,10 +209,8 @@ const AllProductsPage = ({ initialCategory = 'all' } = {}) => {
         setCollectionProducts((prev) => {
           const next = { ...prev };
           results.forEach((productsForHandle, idx) => {
-            const handle = handlesToFetch[idx];
-            if (productsForHandle) {
-              next[handle] = productsForHandle;
-            }
+            // An empty list still marks the handle as loaded.
+            next[handlesToFetch[idx]] = productsForHandle ?? [];
           });
           return next;
         });
@@ -230,132 +222,165 @@ const AllProductsPage = ({ initialCategory = 'all' } = {}) => {
     return () => {
       cancelled = true;
     };
-  }, [active, collectionProducts, ensureCollectionProducts]);
-
-  const filteredProducts = useMemo(() => {
-    if (active === 'all') return catalogProducts ?? [];
-    if (active === 'shoes') {
-      const merged = [];
-      const seen = new Set();
-
-      const addProduct = (product) => {
-        if (!product?.id || seen.has(product.id)) return;
-        seen.add(product.id);
-        merged.push(product);
-      };
-
-      shoeHandles.forEach((handle) => {
-        (collectionProducts[handle] ?? []).forEach(addProduct);
-      });
+  }, [usesMergedShoes, collectionProducts, ensureCollectionProducts]);
 
-      // Fallback: include any catalog products tagged to shoe collections
-      (catalogProducts ?? []).forEach((product) => {
-        const handles =
-          product?.collections?.map((c) => String(c.handle || '').toLowerCase()) ?? [];
-        if (handles.some((h) => shoeHandles.includes(h))) {
-          addProduct(product);
-        }
-      });
+  const mergedShoeProducts = useMemo(() => {
+    if (!usesMergedShoes) return [];
+    const merged = [];
+    const seen = new Set();
 
-      return merged;
-    }
-    return collectionProducts[activeCollectionHandle] ?? [];
-  }, [active, activeCollectionHandle, catalogProducts, collectionProducts]);
-
-  const collectSizes = (product) => {
-    const values = new Set();
-    (product?.options ?? []).forEach((opt) => {
-      if (opt?.name?.toLowerCase().includes('size')) {
-        (opt.values ?? []).forEach((v) => v && values.add(v));
+    const addProduct = (product) => {
+      if (!product?.id || seen.has(product.id)) return;
+      seen.add(product.id);
+      merged.push(product);
+    };
+
+    shoeHandles.forEach((handle) => {
+      (collectionProducts[handle] ?? []).forEach(addProduct);
+    });
+
+    // Fallback: include any catalog products tagged to shoe collections
+    (catalogProducts ?? []).forEach((product) => {
+      const handles =
+        product?.collections?.map((c) => String(c.handle || '').toLowerCase()) ?? [];
+      if (handles.some((h) => shoeHandles.includes(h))) {
+        addProduct(product);
       }
     });
-    (product?.variants ?? []).forEach((variant) => {
-      (variant?.selectedOptions ?? []).forEach((opt) => {
-        if (opt?.name?.toLowerCase().includes('size') && opt?.value) {
-          values.add(opt.value);
+
+    return merged;
+  }, [usesMergedShoes, collectionProducts, catalogProducts]);
+
+  const [currentReview, setCurrentReview] = useState(0);
+
+  // 2. Data Logic
+  const navItems = useMemo(() => {
+    const items = [{ value: 'all', label: 'View All' }];
+    Object.entries(collectionsMeta).forEach(([value, label]) => {
+      items.push({ value: normalizeCategory(value), label });
+    });
+    (collections ?? [])
+      .filter(
+        (collection) =>
+          collection?.handle &&
+          collection?.title &&
+          !hiddenHandles.has(String(collection.handle).toLowerCase()),
+      )
+      .forEach((collection) => {
+        const normalizedValue = normalizeCategory(collection.handle);
+        if (!items.some((item) => item.value === normalizedValue)) {
+          items.push({
+            value: normalizedValue,
+            label: collectionsMeta[normalizedValue] ?? collection.title,
+          });
         }
       });
+    return items;
+  }, [collections]);
+
+  const filteredProducts = useMemo(
+    () => (usesMergedShoes ? mergedShoeProducts : listing?.products ?? []),
+    [usesMergedShoes, mergedShoeProducts, listing],
+  );
+
+  // Until every page of "All" is in, its facets come from the preloaded catalogue.
+  const facets = useMemo(() => {
+    if (usesShopifyFilters) return shopifyFacets;
+    const source = loadsWholeListing ? filteredProducts : catalogProducts ?? [];
+    return buildLocalFacets(source, activeFilters);
+  }, [
+    usesShopifyFilters,
+    shopifyFacets,
+    loadsWholeListing,
+    filteredProducts,
+    catalogProducts,
+    activeFilters,
+  ]);
+
+  const handleFiltersChange = (next) => {
+    setSearchParams(withPageParam(next, 1), {
+      state: { preserveScroll: true },
+      preventScrollReset: true,
     });
-    // Fallback to legacy helper
-    extractOptionValues(product, 'size').forEach((v) => v && values.add(v));
-    return Array.from(values);
   };
 
-  const sizeOptions = useMemo(() => {
-    const values = new Set();
-    filteredProducts.forEach((product) => {
-      collectSizes(product).forEach((size) => values.add(size));
+  const handleSortChange = (value) => {
+    setSearchParams(withPageParam(withSortParam(searchParams, value, sortContext), 1), {
+      state: { preserveScroll: true },
+      preventScrollReset: true,
     });
-    return Array.from(values).sort((a, b) => a.localeCompare(b));
-  }, [filteredProducts]);
+  };
 
+  // Shopify has already filtered and sorted the pages unless one of these is in memory.
   const filteredAndSortedProducts = useMemo(() => {
-    const selectedTokens = selectedSizes.map((size) => normaliseTokenValue(size));
-    const hasSizeFilter = selectedTokens.length > 0;
-    
-    const matchesSize = (product) => {
-      if (!hasSizeFilter) return true;
-      const productSizes = collectSizes(product).map((value) => normaliseTokenValue(value));
-      if (!productSizes.length) return false;
-      return selectedTokens.some((token) => productSizes.includes(token));
-    };
+    const filtered = filtersInMemory
+      ? applyFiltersLocally(filteredProducts, activeFilters)
+      : filteredProducts;
+    return sortInMemory ? sortProductsLocally(filtered, sortOption) : filtered;
+  }, [filteredProducts, filtersInMemory, activeFilters, sortInMemory, sortOption]);
 
-    const matchesAvailability = (product) => {
-      if (availabilityFilter === 'all') return true;
-      const productInStock = product.variants?.some((variant) => variant.availableForSale);
-      if (availabilityFilter === 'in-stock') return productInStock;
-      if (availabilityFilter === 'out-of-stock') return product.variants?.every((variant) => !variant.availableForSale);
-      return true;
-    };
+  const productCards = useMemo(
+    () => filteredAndSortedProducts.slice(0, visibleLimit).map(toProductCard).filter(Boolean),
+    [filteredAndSortedProducts, visibleLimit],
+  );
 
-    const compareFns = {
-      featured: () => 0,
-      'price-asc': (a, b) => (a.price ?? 0) - (b.price ?? 0),
-      'price-desc': (a, b) => (b.price ?? 0) - (a.price ?? 0),
-      'title-asc': (a, b) => a.title.localeCompare(b.title),
-      'title-desc': (a, b) => b.title.localeCompare(a.title),
-    };
+  const hasMoreProducts =
+    filteredAndSortedProducts.length > visibleLimit || Boolean(listing?.hasNextPage);
 
-    const comparator = compareFns[sortBy] ?? compareFns.featured;
-    return filteredProducts
-      .filter((product) => matchesSize(product) && matchesAvailability(product))
-      .slice()
-      .sort(comparator);
-  }, [filteredProducts, selectedSizes, availabilityFilter, sortBy]);
+  // Replace rather than push, so Back leaves the listing instead of un-loading pages.
+  const handleLoadMore = () => {
+    if (pageLoading) return;
+    setSearchParams(withPageParam(searchParams, page + 1), {
+      replace: true,
+      state: { preserveScroll: true },
+      preventScrollReset: true,
+    });
+  };
 
-  const productCards = useMemo(
-    () => filteredAndSortedProducts.map(toProductCard).filter(Boolean),
-    [filteredAndSortedProducts],
-  );
+  // Best written reviews across the products in view, for the notes carousel.
+  const featuredReviews = useMemo(() => {
+    const withProduct = filteredProducts.flatMap((product) =>
+      (product.reviews?.items ?? [])
+        .filter((review) => review.body)
+        .map((review) => ({ ...review, productTitle: product.title })),
+    );
+    return sortReviews(withProduct, 'highest').slice(0, FEATURED_REVIEW_LIMIT);
+  }, [filteredProducts]);
 
-  const totalCount = filteredAndSortedProducts.length;
-  const isLoading =
-    catalogLoading ||
-    (active !== 'all' && !collectionProducts[activeCollectionHandle] && collectionLoading);
+  const reviewAverage = useMemo(() => {
+    const totals = filteredProducts.reduce(
+      (acc, product) => ({
+        sum: acc.sum + (product.reviews?.average ?? 0) * (product.reviews?.count ?? 0),
+        count: acc.count + (product.reviews?.count ?? 0),
+      }),
+      { sum: 0, count: 0 },
+    );
+    return totals.count ? totals.sum / totals.count : 0;
+  }, [filteredProducts]);
+
+  const reviewCount = featuredReviews.length;
 
-  // Click outside handler
   useEffect(() => {
-    const handleClickOutside = (event) => {
-      if (sizeFilterOpen && sizePopoverRef.current && !sizePopoverRef.current.contains(event.target)) {
-        setSizeFilterOpen(false);
-      }
-      if (availabilityFilterOpen && availabilityPopoverRef.current && !availabilityPopoverRef.current.contains(event.target)) {
-        setAvailabilityFilterOpen(false);
-      }
-    };
-    document.addEventListener('mousedown', handleClickOutside);
-    return () => document.removeEventListener('mousedown', handleClickOutside);
-  }, [sizeFilterOpen, availabilityFilterOpen]);
+    setCurrentReview(0);
+  }, [featuredReviews]);
 
-  // Reset filters on category change
+  // Auto-advance the review carousel
   useEffect(() => {
-    setSizeFilterOpen(false);
-    setAvailabilityFilterOpen(false);
-  }, [active]);
+    if (reviewCount < 2) return undefined;
+    const timer = setInterval(
+      () => setCurrentReview((prev) => (prev + 1) % reviewCount),
+      3000,
+    );
+    return () => clearInterval(timer);
+  }, [reviewCount]);
+
+  const totalCount = filteredAndSortedProducts.length;
+  const isLoading = usesMergedShoes
+    ? collectionLoading && !filteredProducts.length
+    : !listing || shoesCollectionMissing;
+
+  useListingScrollRestoration(!isLoading && !pageLoading);
 
-  const toggleSize = (size) => {
-    setSelectedSizes((prev) => prev.includes(size) ? prev.filter((v) => v !== size) : [...prev, size]);
-  };
 
   // 3. Render
   return (
@@ -409,84 +434,31 @@ const AllProductsPage = ({ initialCategory = 'all' } = {}) => {
       <div className="flex flex-col justify-between gap-4 px-4 py-6 text-[11px] uppercase tracking-wide sm:px-6 lg:flex-row lg:items-center lg:px-10 lg:mt-1 mt-2">
         
         {/* Left: Filters */}
-        <div className="flex flex-wrap items-center gap-4 sm:gap-6">
-          <span className="font-bold">Filter:</span>
-          
-          {/* Size Filter */}
-          <div className="relative" ref={sizePopoverRef}>
-            <button
-              onClick={() => setSizeFilterOpen(!sizeFilterOpen)}
-              className="flex items-center gap-1 uppercase hover:text-neutral-600"
-            >
-              Size {selectedSizes.length > 0 && `(${selectedSizes.length})`}
-              <ChevronDown className={`h-3 w-3 transition-transform ${sizeFilterOpen ? 'rotate-180' : ''}`} />
-            </button>
-
-            {sizeFilterOpen && sizeOptions.length > 0 && (
-                <div className="absolute left-0 z-30 mt-2 w-64 rounded-md border border-neutral-200 bg-white p-4 shadow-xl">
-                    <div className="mb-3 flex justify-between text-[10px]">
-                        <span>{selectedSizes.length} Selected</span>
-                        <button onClick={() => setSelectedSizes([])} className="underline">Reset</button>
-                    </div>
-                    <div className="grid grid-cols-4 gap-2">
-                        {sizeOptions.map((size) => (
-                            <button
-                                key={size}
-                                onClick={() => toggleSize(size)}
-                                className={`border py-1 text-center transition ${selectedSizes.includes(size) ? 'bg-black text-white border-black' : 'border-neutral-200 hover:border-black'}`}
-                            >
-                                {size}
-                            </button>
-                        ))}
-                    </div>
-                </div>
-            )}
-          </div>
-
-          {/* Availability Filter */}
-          <div className="relative" ref={availabilityPopoverRef}>
-            <button
-              onClick={() => setAvailabilityFilterOpen(!availabilityFilterOpen)}
-              className="flex items-center gap-1 uppercase hover:text-neutral-600"
-            >
-              Availability
-              <ChevronDown className={`h-3 w-3 transition-transform ${availabilityFilterOpen ? 'rotate-180' : ''}`} />
-            </button>
-            
-            {availabilityFilterOpen && (
-               <div className="absolute left-0 z-30 mt-2 w-48 rounded-md border border-neutral-200 bg-white p-4 shadow-xl">
-                   {availabilityOptions.map((option) => (
-                       <label key={option.value} className="flex cursor-pointer items-center gap-3 py-1">
-                           <input 
-                             type="checkbox" 
-                             checked={availabilityFilter === option.value}
-                             onChange={() => setAvailabilityFilter(prev => prev === option.value ? 'all' : option.value)}
-                             className="accent-black"
-                           />
-                           <span>{option.label}</span>
-                       </label>
-                   ))}
-               </div>
-            )}
-          </div>
-        </div>
+        <ProductFilters
+          facets={facets}
+          searchParams={searchParams}
+          onChange={handleFiltersChange}
+        />
 
         {/* Right: Sort & Count */}
         <div className="flex flex-wrap items-center gap-4 sm:gap-6">
            <span className="text-neutral-500">Sort By:</span>
            <div className="relative">
              <select
-               value={sortBy}
-               onChange={(e) => setSortBy(e.target.value)}
+               value={sortOption.value}
+               onChange={(e) => handleSortChange(e.target.value)}
                className="cursor-pointer appearance-none bg-transparent pr-4 font-bold uppercase focus:outline-none"
              >
-               {sortOptions.map((opt) => (
+               {sortOptionsFor(sortContext).map((opt) => (
                  <option key={opt.value} value={opt.value}>{opt.label}</option>
                ))}
              </select>
              <ChevronDown className="pointer-events-none absolute right-0 top-1/2 h-3 w-3 -translate-y-1/2" />
            </div>
-           <span className="text-neutral-400">{totalCount} Styles</span>
+           <span className="text-neutral-400">
+             {totalCount}
+             {listing?.hasNextPage ? '+' : ''} Styles
+           </span>
         </div>
       </div>
 
@@ -507,6 +479,15 @@ const AllProductsPage = ({ initialCategory = 'all' } = {}) => {
             )}
           </div>
         )}
+        {!isLoading && (
+          <LoadMore
+            hasMore={hasMoreProducts}
+            loading={pageLoading && Boolean(listing)}
+            onLoadMore={handleLoadMore}
+            auto={infiniteScrollEnabled}
+            shownCount={productCards.length}
+          />
+        )}
       </div>
 
       {/* --- FOOTER SECTION --- */}
@@ -518,82 +499,87 @@ const AllProductsPage = ({ initialCategory = 'all' } = {}) => {
              </Link>
         </div>
 
-        <div className="border-t border-neutral-300 pt-12 text-left">
-          <div className="mb-8 flex flex-col items-start justify-between gap-4 sm:flex-row sm:items-end">
-            <div>
-              <p className="text-[10px] uppercase tracking-widest text-neutral-500">Collective Notes</p>
-              <h3 className="mt-2 text-xl font-bold uppercase tracking-wide">Trusted by the Crew</h3>
-            </div>
-            <div className="flex gap-1">
-              {[...Array(5)].map((_, i) => (
-                <Star key={i} className="h-4 w-4 fill-black text-black" />
-              ))}
-            </div>
-          </div>
-
-          <div className="relative">
-            <div className="overflow-hidden rounded-2xl border border-neutral-200 bg-white shadow-sm">
-              <div
-                className="flex transition-transform duration-500"
-                style={{ transform: `translateX(-${currentReview * 100}%)` }}
-              >
-                {toneReviews.map((review, i) => (
-                  <article key={i} className="min-w-full px-6 py-8 sm:px-10 sm:py-10">
-                    <div className="flex items-center gap-3">
-                      <div className="flex h-10 w-10 items-center justify-center rounded-full bg-black text-[10px] uppercase text-white sm:h-12 sm:w-12">
-                        {review.initials}
-                      </div>
-                      <div className="text-xs uppercase tracking-[0.24em] text-neutral-500">
-                        <p className="text-neutral-900">{review.name}</p>
-                        <p>{review.role}</p>
-                      </div>
-                    </div>
-                    <p className="mt-6 text-sm leading-relaxed text-neutral-700">"{review.quote}"</p>
-                  </article>
-                ))}
+        {reviewCount > 0 && (
+          <div className="border-t border-neutral-300 pt-12 text-left">
+            <div className="mb-8 flex flex-col items-start justify-between gap-4 sm:flex-row sm:items-end">
+              <div>
+                <p className="text-[10px] uppercase tracking-widest text-neutral-500">Collective Notes</p>
+                <h3 className="mt-2 text-xl font-bold uppercase tracking-wide">Trusted by the Crew</h3>
               </div>
+              <RatingStars rating={reviewAverage} className="h-4 w-4" />
             </div>
 
-            <div className="mt-4 flex flex-wrap items-center justify-between gap-3">
-              <div className="flex items-center gap-3">
-                <button
-                  type="button"
-                  onClick={() =>
-                    setCurrentReview((prev) => (prev - 1 + toneReviews.length) % toneReviews.length)
-                  }
-                  className="h-9 w-9 rounded-full border border-neutral-300 text-neutral-700 transition hover:border-neutral-900 hover:text-neutral-900"
-                  aria-label="Previous review"
+            <div className="relative">
+              <div className="overflow-hidden rounded-2xl border border-neutral-200 bg-white shadow-sm">
+                <div
+                  className="flex transition-transform duration-500"
+                  style={{ transform: `translateX(-${currentReview * 100}%)` }}
                 >
-                  ‹
-                </button>
-                <button
-                  type="button"
-                  onClick={() => setCurrentReview((prev) => (prev + 1) % toneReviews.length)}
-                  className="h-9 w-9 rounded-full border border-neutral-300 text-neutral-700 transition hover:border-neutral-900 hover:text-neutral-900"
-                  aria-label="Next review"
-                >
-                  ›
-                </button>
+                  {featuredReviews.map((review) => (
+                    <article
+                      key={`${review.productTitle}-${review.id}`}
+                      className="min-w-full px-6 py-8 sm:px-10 sm:py-10"
+                    >
+                      <div className="flex items-center gap-3">
+                        <div className="flex h-10 w-10 items-center justify-center rounded-full bg-black text-[10px] uppercase text-white sm:h-12 sm:w-12">
+                          {initialsOf(review.author)}
+                        </div>
+                        <div className="text-xs uppercase tracking-[0.24em] text-neutral-500">
+                          <p className="text-neutral-900">{review.author}</p>
+                          <p>
+                            {review.verified ? 'Verified Buyer · ' : ''}
+                            {review.productTitle}
+                          </p>
+                        </div>
+                        <RatingStars rating={review.rating} className="ml-auto h-3 w-3" />
+                      </div>
+                      <p className="mt-6 text-sm leading-relaxed text-neutral-700">"{review.body}"</p>
+                    </article>
+                  ))}
+                </div>
               </div>
-              <div className="flex items-center gap-2">
-                {toneReviews.map((_, index) => (
+
+              <div className="mt-4 flex flex-wrap items-center justify-between gap-3">
+                <div className="flex items-center gap-3">
+                  <button
+                    type="button"
+                    onClick={() =>
+                      setCurrentReview((prev) => (prev - 1 + reviewCount) % reviewCount)
+                    }
+                    className="h-9 w-9 rounded-full border border-neutral-300 text-neutral-700 transition hover:border-neutral-900 hover:text-neutral-900"
+                    aria-label="Previous review"
+                  >
+                    ‹
+                  </button>
                   <button
-                    key={index}
                     type="button"
-                    onClick={() => setCurrentReview(index)}
-                    className={`h-2 w-6 rounded-full transition ${
-                      currentReview === index
-                        ? 'bg-neutral-900'
-                        : 'bg-neutral-300 hover:bg-neutral-500'
-                    }`}
-                    aria-label={`Go to review ${index + 1}`}
-                    aria-pressed={currentReview === index}
-                  />
-                ))}
+                    onClick={() => setCurrentReview((prev) => (prev + 1) % reviewCount)}
+                    className="h-9 w-9 rounded-full border border-neutral-300 text-neutral-700 transition hover:border-neutral-900 hover:text-neutral-900"
+                    aria-label="Next review"
+                  >
+                    ›
+                  </button>
+                </div>
+                <div className="flex items-center gap-2">
+                  {featuredReviews.map((_, index) => (
+                    <button
+                      key={index}
+                      type="button"
+                      onClick={() => setCurrentReview(index)}
+                      className={`h-2 w-6 rounded-full transition ${
+                        currentReview === index
+                          ? 'bg-neutral-900'
+                          : 'bg-neutral-300 hover:bg-neutral-500'
+                      }`}
+                      aria-label={`Go to review ${index + 1}`}
+                      aria-pressed={currentReview === index}
+                    />
+                  ))}
+                </div>
               </div>
             </div>
           </div>
-        </div>
+        )}
       </footer>
     </div>
   );
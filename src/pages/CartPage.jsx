@@ -1,143 +1,34 @@
 // src/pages/CartPage.jsx
-import React, { useEffect, useMemo, useState } from 'react';
+import React, { useMemo, useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import ProductCard from '../components/ProductCard';
+import DiscountCodeForm from '../components/DiscountCodeForm';
+import DeliveryEstimate from '../components/DeliveryEstimate';
 import { useCart } from '../contexts/cart-context';
-import {
-  cartCreate,
-  fetchProductByHandle,
-  formatMoney,
-  toProductCard,
-  findVariantForSize,
-  getProductImageUrl,
-} from '../lib/shopify';
+import { formatMoney, lowStockQuantity, toProductCard, variantSearch } from '../lib/shopify';
 import { useCatalog } from '../contexts/catalog-context';
 
 const CartPage = () => {
   const navigate = useNavigate();
-  const { items, updateQuantity, removeItem } = useCart();
-  const { products: catalogProducts, getProduct } = useCatalog();
+  const { items, lines, cart, syncing, syncError, updateQuantity, removeItem, getCheckoutUrl } =
+    useCart();
+  const { products: catalogProducts } = useCatalog();
   const [isCheckingOut, setIsCheckingOut] = useState(false);
   const [checkoutError, setCheckoutError] = useState(null);
-  const [externalProducts, setExternalProducts] = useState({});
 
+  const readyItems = useMemo(() => lines.filter((entry) => entry.line), [lines]);
+  const missingItems = useMemo(() => lines.filter((entry) => entry.missing), [lines]);
+  const pendingCount = lines.length - readyItems.length - missingItems.length;
+  const hasUnavailable = readyItems.some((entry) => !entry.line.availableForSale);
 
-
-  const cartHandles = useMemo(
-    () => Array.from(new Set(items.map((item) => item.slug).filter(Boolean))),
-    [items],
-  );
-
-  useEffect(() => {
-    const missingHandles = cartHandles.filter(
-      (handle) => !getProduct(handle) && !externalProducts[handle],
-    );
-    if (!missingHandles.length) return;
-
-    let cancelled = false;
-
-    (async () => {
-      const fetchedProducts = {};
-      const failures = [];
-
-      for (const handle of missingHandles) {
-        try {
-          const product = await fetchProductByHandle(handle);
-          if (product) {
-            fetchedProducts[handle] = product;
-          } else {
-            failures.push(handle);
-          }
-        } catch (error) {
-          console.error(`Failed to load Shopify product "${handle}"`, error);
-          failures.push(handle);
-        }
-      }
-
-      if (cancelled) return;
-
-      if (Object.keys(fetchedProducts).length) {
-        setExternalProducts((prev) => ({ ...prev, ...fetchedProducts }));
-      }
-
-      if (failures.length) {
-
-        failures.forEach((handle) => {
-          removeItem(handle);
-        });
-      }
-
-
-    })();
-
-    return () => {
-      cancelled = true;
-    };
-  }, [cartHandles, getProduct, externalProducts, removeItem]);
-
-  const cartItems = useMemo(
-    () =>
-      items.map((item) => {
-        const handle = item.slug;
-        const product = getProduct(handle) ?? externalProducts[handle];
-        const quantity = item.quantity ?? 1;
-
-        if (!product) {
-          return {
-            id: item.id,
-            handle,
-            quantity,
-            size: item.size ?? null,
-            loading: true,
-          };
-        }
-
-        const variant = findVariantForSize(product, item.size);
-        const unitPriceAmount = variant?.price ?? product.price ?? 0;
-        const currencyCode = variant?.currencyCode ?? product.currencyCode;
-
-        return {
-          id: item.id,
-          handle,
-          product,
-          variant,
-          quantity,
-          size: item.size ?? null,
-          loading: false,
-          unitPrice: {
-            amount: unitPriceAmount,
-            currency: currencyCode,
-          },
-          lineTotal: {
-            amount: unitPriceAmount * quantity,
-            currency: currencyCode,
-          },
-        };
-      }),
-    [items, getProduct, externalProducts],
+  const subtotalLabel = formatMoney(
+    cart?.grossSubtotal.amount ?? 0,
+    cart?.grossSubtotal.currencyCode,
   );
-
-  const readyItems = useMemo(
-    () => cartItems.filter((item) => !item.loading && item.product),
-    [cartItems],
-  );
-
-  const monetisedItems = readyItems;
-
-  const subtotalAmount = monetisedItems.reduce(
-    (acc, item) => acc + (item.lineTotal?.amount ?? 0),
-    0,
-  );
-  const subtotalCurrency = monetisedItems[0]?.lineTotal?.currency;
-  const deliveryAmount = monetisedItems.length > 0 ? 0 : 0;
-  const totalAmount = subtotalAmount + deliveryAmount;
-
-  const subtotalLabel = formatMoney(subtotalAmount, subtotalCurrency);
-  const deliveryLabel =
-    deliveryAmount === 0
-      ? 'Complimentary'
-      : formatMoney(deliveryAmount, subtotalCurrency);
-  const totalLabel = formatMoney(totalAmount, subtotalCurrency);
+  const discountAmount = cart?.discountTotal.amount ?? 0;
+  const discountLabel = formatMoney(discountAmount, cart?.discountTotal.currencyCode);
+  const deliveryLabel = 'Complimentary';
+  const totalLabel = formatMoney(cart?.total.amount ?? 0, cart?.total.currencyCode);
 
   const isEmpty = items.length === 0;
 
@@ -151,111 +42,20 @@ const CartPage = () => {
       .slice(0, 4);
   }, [catalogProducts, items]);
 
-  const resolveVariantId = (product, size) =>
-    findVariantForSize(product, size)?.id ?? null;
-
   const handleCheckout = async () => {
     if (!items.length || isCheckingOut) return;
 
     setCheckoutError(null);
-    setIsCheckingOut(true);
-
-    try {
-      const productMap = new Map();
-
-      cartItems.forEach((item) => {
-        if (!item.loading && item.product) {
-          productMap.set(item.handle, item.product);
-        }
-      });
-
-      const handlesToFetch = cartHandles.filter((handle) => !productMap.has(handle));
-      const fetchErrors = [];
-
-      await Promise.all(
-        handlesToFetch.map(async (handle) => {
-          try {
-            const product = await fetchProductByHandle(handle);
-            if (product) {
-              productMap.set(handle, product);
-            } else {
-              fetchErrors.push(handle);
-            }
-          } catch (error) {
-            console.error(`Failed to fetch Shopify product "${handle}"`, error);
-            fetchErrors.push(handle);
-          }
-        }),
-      );
-
-      if (fetchErrors.length) {
-        setCheckoutError(
-          `Some products are not available in Shopify (handles: ${fetchErrors.join(
-            ', ',
-          )}). Update the handles in your catalog or publish those products before checking out.`,
-        );
-        return;
-      }
-
-      const missingVariants = [];
-      const lines = [];
-
-      for (const lineItem of cartItems) {
-        if (lineItem.loading || !lineItem.product) {
-          missingVariants.push({ handle: lineItem.handle, reason: 'product' });
-          continue;
-        }
 
-        const product = productMap.get(lineItem.handle);
-        if (!product) {
-          missingVariants.push({ handle: lineItem.handle, reason: 'product' });
-          continue;
-        }
-
-        const merchandiseId = resolveVariantId(product, lineItem.size);
-        if (!merchandiseId) {
-          missingVariants.push({
-            handle: lineItem.handle,
-            size: lineItem.size ?? null,
-            reason: 'variant',
-          });
-          continue;
-        }
-
-        const quantity = Number(lineItem.quantity ?? 1);
-        if (!Number.isFinite(quantity) || quantity < 1) continue;
-
-        lines.push({
-          merchandiseId,
-          quantity: Math.min(Math.floor(quantity), 99),
-        });
-      }
-
-      if (missingVariants.length) {
-        const messages = missingVariants.map((entry) =>
-          entry.reason === 'product'
-            ? `Product "${entry.handle}" is unavailable in Shopify.`
-            : `Variant for "${entry.handle}" with size "${entry.size ?? 'default'}" was not found.`,
-        );
-        setCheckoutError(messages.join(' '));
-        return;
-      }
-
-      if (!lines.length) {
-        setCheckoutError(
-          'Unable to prepare checkout for your items. Please refresh the page or contact support.',
-        );
-        return;
-      }
-
-      const cart = await cartCreate(lines);
-      const checkoutUrl = cart?.checkoutUrl;
+    if (hasUnavailable) {
+      setCheckoutError('Some items are no longer available. Remove them to continue.');
+      return;
+    }
 
-      if (!checkoutUrl) {
-        setCheckoutError('Checkout link unavailable. Please try again in a moment.');
-        return;
-      }
+    setIsCheckingOut(true);
 
+    try {
+      const checkoutUrl = await getCheckoutUrl();
       window.location.assign(checkoutUrl);
     } catch (error) {
       console.error('Shopify checkout failed', error);
@@ -292,120 +92,187 @@ const CartPage = () => {
       ) : (
         <div className="gap-12 lg:grid lg:grid-cols-[minmax(0,3fr)_minmax(0,2fr)]">
           <div className="space-y-6">
-            {cartItems
-              .filter((item) => !item.loading && item.product)
-              .map((item) => {
-                const imageUrl = getProductImageUrl(item.product);
-                const unitPriceLabel = formatMoney(
-                  item.unitPrice.amount,
-                  item.unitPrice.currency,
-                );
-                const lineTotalLabel = formatMoney(
-                  item.lineTotal.amount,
-                  item.lineTotal.currency,
-                );
-
-                return (
-                  <div
-                    key={item.id}
-                    className="grid grid-cols-[120px_minmax(0,1fr)] gap-4 rounded-2xl border border-neutral-200 p-4 sm:gap-6"
+            {readyItems.map((item) => {
+              const imageUrl = item.line.image?.url ?? '';
+              const unitPriceLabel = formatMoney(
+                item.line.unitPrice.amount,
+                item.line.unitPrice.currencyCode,
+              );
+              const lineTotalLabel = formatMoney(
+                item.line.lineTotal.amount,
+                item.line.lineTotal.currencyCode,
+              );
+              const stockLeft = lowStockQuantity(item.line);
+              const compareAt = item.line.compareAtUnitPrice;
+              const saleSavings = compareAt
+                ? (compareAt.amount - item.line.unitPrice.amount) * item.quantity
+                : 0;
+
+              return (
+                <div
+                  key={item.id}
+                  className="grid grid-cols-[120px_minmax(0,1fr)] gap-4 rounded-2xl border border-neutral-200 p-4 sm:gap-6"
+                >
+                  <Link
+                    to={`/product/${item.slug}`}
+                    className="relative block overflow-hidden rounded-xl bg-neutral-100"
                   >
-                    <Link
-                      to={`/product/${item.handle}`}
-                      className="relative block overflow-hidden rounded-xl bg-neutral-100"
-                    >
-                      {imageUrl ? (
-                        <img
-                          src={imageUrl}
-                          alt={item.product.title}
-                          className="h-full w-full object-cover"
-                          loading="lazy"
-                        />
-                      ) : (
-                        <div className="flex h-full w-full items-center justify-center text-[10px] uppercase tracking-[0.3em] text-neutral-400">
-                          No Image
-                        </div>
-                      )}
-                    </Link>
-
-                    <div className="flex flex-col justify-between">
-                      <div className="space-y-3">
-                        <div className="flex flex-wrap items-center gap-3">
-                          <Link
-                            to={`/product/${item.handle}`}
-                            className="text-sm font-semibold uppercase tracking-[0.25em] text-neutral-900 transition hover:underline"
+                    {imageUrl ? (
+                      <img
+                        src={imageUrl}
+                        alt={item.line.title}
+                        className="h-full w-full object-cover"
+                        loading="lazy"
+                      />
+                    ) : (
+                      <div className="flex h-full w-full items-center justify-center text-[10px] uppercase tracking-[0.3em] text-neutral-400">
+                        No Image
+                      </div>
+                    )}
+                  </Link>
+
+                  <div className="flex flex-col justify-between">
+                    <div className="space-y-3">
+                      <div className="flex flex-wrap items-center gap-3">
+                        <Link
+                          to={`/product/${item.slug}`}
+                          className="text-sm font-semibold uppercase tracking-[0.25em] text-neutral-900 transition hover:underline"
+                        >
+                          {item.line.title}
+                        </Link>
+                        {item.size && (
+                          <span className="rounded-full border border-neutral-200 px-3 py-1 text-[10px] uppercase tracking-[0.25em] text-neutral-600">
+                            {item.size}
+                          </span>
+                        )}
+                        {!item.line.availableForSale && (
+                          <span className="rounded-full border border-red-300 px-3 py-1 text-[10px] uppercase tracking-[0.25em] text-red-600">
+                            Sold Out
+                          </span>
+                        )}
+                        {stockLeft && (
+                          <span className="rounded-full border border-amber-300 px-3 py-1 text-[10px] uppercase tracking-[0.25em] text-amber-700">
+                            Only {stockLeft} left
+                          </span>
+                        )}
+                      </div>
+                      <div className="flex flex-wrap items-center gap-4 text-xs uppercase tracking-[0.25em] text-neutral-500">
+                        <div className="flex items-center rounded-full border border-neutral-200">
+                          <button
+                            type="button"
+                            aria-label="Decrease quantity"
+                            className="px-3 py-1 text-neutral-500 transition hover:text-neutral-900"
+                            onClick={() =>
+                              updateQuantity(
+                                item.slug,
+                                item.size ?? null,
+                                item.quantity - 1,
+                              )
+                            }
                           >
-                            {item.product.title}
-                          </Link>
-                          {item.size && (
-                            <span className="rounded-full border border-neutral-200 px-3 py-1 text-[10px] uppercase tracking-[0.25em] text-neutral-600">
-                              Size {item.size}
-                            </span>
-                          )}
-                        </div>
-                        <div className="flex flex-wrap items-center gap-4 text-xs uppercase tracking-[0.25em] text-neutral-500">
-                          <div className="flex items-center rounded-full border border-neutral-200">
-                            <button
-                              type="button"
-                              aria-label="Decrease quantity"
-                              className="px-3 py-1 text-neutral-500 transition hover:text-neutral-900"
-                              onClick={() =>
-                                updateQuantity(
-                                  item.handle,
-                                  item.size ?? null,
-                                  item.quantity - 1,
-                                )
-                              }
-                            >
-                              -
-                            </button>
-                            <span className="px-3 py-1 text-neutral-900">{item.quantity}</span>
-                            <button
-                              type="button"
-                              aria-label="Increase quantity"
-                              className="px-3 py-1 text-neutral-500 transition hover:text-neutral-900"
-                              onClick={() =>
-                                updateQuantity(
-                                  item.handle,
-                                  item.size ?? null,
-                                  item.quantity + 1,
-                                )
-                              }
-                            >
-                              +
-                            </button>
-                          </div>
+                            -
+                          </button>
+                          <span className="px-3 py-1 text-neutral-900">{item.quantity}</span>
                           <button
                             type="button"
-                            className="text-neutral-500 underline-offset-4 transition hover:text-neutral-900 hover:underline"
-                            onClick={() => removeItem(item.handle, item.size ?? null)}
+                            aria-label="Increase quantity"
+                            disabled={item.quantity >= item.maxQuantity}
+                            className="px-3 py-1 text-neutral-500 transition hover:text-neutral-900 disabled:cursor-not-allowed disabled:opacity-40 disabled:hover:text-neutral-500"
+                            onClick={() =>
+                              updateQuantity(
+                                item.slug,
+                                item.size ?? null,
+                                item.quantity + 1,
+                              )
+                            }
                           >
-                            Remove
+                            +
                           </button>
                         </div>
-                        <p className="text-sm font-medium tracking-[0.2em] text-neutral-900">
-                          {unitPriceLabel}
-                        </p>
-                      </div>
-
-                      <div className="flex items-center justify-between text-xs uppercase tracking-[0.25em]">
                         <button
                           type="button"
                           className="text-neutral-500 underline-offset-4 transition hover:text-neutral-900 hover:underline"
-                          onClick={() =>
-                            navigate(`/product/${item.handle}`, {
-                              state: { focusSize: item.size },
-                            })
-                          }
+                          onClick={() => removeItem(item.slug, item.size ?? null)}
                         >
-                          Edit Selection
+                          Remove
                         </button>
-                        <span className="font-semibold text-neutral-900">{lineTotalLabel}</span>
                       </div>
+                      <p className="flex flex-wrap items-baseline gap-x-3 gap-y-1 text-sm font-medium tracking-[0.2em] text-neutral-900">
+                        {unitPriceLabel}
+                        {compareAt && (
+                          <>
+                            <s className="text-xs text-neutral-400">
+                              {formatMoney(compareAt.amount, compareAt.currencyCode)}
+                            </s>
+                            <span className="text-[10px] uppercase tracking-[0.25em] text-emerald-700">
+                              You save {formatMoney(saleSavings, compareAt.currencyCode)}
+                            </span>
+                          </>
+                        )}
+                      </p>
                     </div>
+
+                    <div className="flex items-center justify-between text-xs uppercase tracking-[0.25em]">
+                      <button
+                        type="button"
+                        className="text-neutral-500 underline-offset-4 transition hover:text-neutral-900 hover:underline"
+                        onClick={() =>
+                          navigate(`/product/${item.slug}${variantSearch(item.line.selectedOptions)}`)
+                        }
+                      >
+                        Edit Selection
+                      </button>
+                      <span className="flex items-baseline gap-2">
+                        {item.line.subtotal.amount > item.line.lineTotal.amount && (
+                          <span className="text-neutral-400 line-through">
+                            {formatMoney(
+                              item.line.subtotal.amount,
+                              item.line.subtotal.currencyCode,
+                            )}
+                          </span>
+                        )}
+                        <span className="font-semibold text-neutral-900">{lineTotalLabel}</span>
+                      </span>
+                    </div>
+                    {item.line.discounts.length > 0 && (
+                      <ul className="mt-2 space-y-1 text-[10px] uppercase tracking-[0.25em] text-emerald-700">
+                        {item.line.discounts.map((discount) => (
+                          <li key={discount.label} className="flex justify-between">
+                            <span>{discount.label}</span>
+                            <span>
+                              -{formatMoney(discount.amount.amount, discount.amount.currencyCode)}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
                   </div>
-                );
-              })}
+                </div>
+              );
+            })}
+            {missingItems.map((item) => (
+              <div
+                key={item.id}
+                className="flex flex-wrap items-center justify-between gap-3 rounded-2xl border border-red-300 bg-red-50 p-4 text-xs uppercase tracking-[0.25em] text-red-700"
+              >
+                <span>
+                  {item.missing.title}
+                  {item.size && ` · ${item.size}`} is no longer available
+                </span>
+                <button
+                  type="button"
+                  className="underline-offset-4 transition hover:underline"
+                  onClick={() => removeItem(item.slug, item.size ?? null)}
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+            {pendingCount > 0 && (
+              <p className="text-xs uppercase tracking-[0.3em] text-neutral-500">
+                {syncing ? 'Updating your cart…' : 'Some items could not be loaded.'}
+              </p>
+            )}
           </div>
 
           <aside className="mt-10 space-y-6 rounded-3xl border border-neutral-200 p-6 lg:mt-0">
@@ -418,6 +285,12 @@ const CartPage = () => {
                 <dt>Subtotal</dt>
                 <dd className="text-neutral-900">{subtotalLabel}</dd>
               </div>
+              {discountAmount > 0 && (
+                <div className="flex justify-between text-emerald-700">
+                  <dt>Discounts</dt>
+                  <dd>-{discountLabel}</dd>
+                </div>
+              )}
               <div className="flex justify-between">
                 <dt>Shipping</dt>
                 <dd className="text-neutral-900">{deliveryLabel}</dd>
@@ -428,6 +301,15 @@ const CartPage = () => {
               </div>
             </dl>
 
+            <div className="space-y-3">
+              <h3 className="text-[11px] uppercase tracking-[0.32em] text-neutral-600">
+                Delivery Estimate
+              </h3>
+              <DeliveryEstimate id="cart-pincode" compact />
+            </div>
+
+            <DiscountCodeForm />
+
             <button
               type="button"
               onClick={handleCheckout}
@@ -437,9 +319,9 @@ const CartPage = () => {
               {isCheckingOut ? 'Redirecting…' : 'Proceed to Checkout'}
             </button>
 
-            {checkoutError && (
+            {(checkoutError || syncError) && (
               <p className="rounded-2xl border border-red-400 bg-red-50 px-4 py-3 text-xs leading-relaxed tracking-[0.2em] text-red-700">
-                {checkoutError}
+                {checkoutError ?? 'We could not update your cart. Please refresh and try again.'}
               </p>
             )}
 
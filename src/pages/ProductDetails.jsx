@@ -1,16 +1,39 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
-import { Link, useLocation, useNavigate, useOutletContext, useParams } from 'react-router-dom';
+import {
+  Link,
+  useNavigate,
+  useOutletContext,
+  useParams,
+  useSearchParams,
+} from 'react-router-dom';
 import ProductCard from '../components/ProductCard';
+import ProductReviews from '../components/ProductReviews';
+import RatingStars from '../components/RatingStars';
+import DeliveryEstimate from '../components/DeliveryEstimate';
+import BackInStockForm from '../components/BackInStockForm';
+import ProductBadges from '../components/ProductBadges';
 import { useCart } from '../contexts/cart-context';
 import { useNotifications } from '../components/NotificationProvider';
 import { useCatalog } from '../contexts/catalog-context';
 import {
   fetchProductByHandle,
   fetchRecommendedProducts,
+  discountPercent,
+  findVariantByOptions,
   formatMoney,
+  getOptionValueState,
+  getSelectableOptions,
   getSubheadingFromProduct,
+  initialOptionSelection,
+  lowStockQuantity,
+  maxPurchasableQuantity,
+  normaliseTokenValue,
+  optionSearchKey,
+  optionsFromSearchParams,
+  selectOptionValue,
   toProductCard,
 } from '../lib/shopify';
+import { getProductBadges } from '../lib/badges';
 
 const Breadcrumbs = ({ title, className = '' }) => (
   <nav
@@ -55,7 +78,7 @@ const NotFound = () => (
 const ProductDetails = () => {
   const { slug } = useParams();
   const navigate = useNavigate();
-  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
   const { openCartDrawer } = useOutletContext() ?? {};
   const { addItem } = useCart();
   const { notify } = useNotifications();
@@ -66,8 +89,6 @@ const ProductDetails = () => {
   const [loading, setLoading] = useState(!initialProduct);
   const [error, setError] = useState(null);
   const [relatedProducts, setRelatedProducts] = useState([]);
-  const [selectedSize, setSelectedSize] = useState(null);
-  const [pincode, setPincode] = useState('');
   const [sizeChartOpen, setSizeChartOpen] = useState(false);
   const [activeImage, setActiveImage] = useState(0);
   const imageRefs = useRef([]);
@@ -75,7 +96,8 @@ const ProductDetails = () => {
   const scrollRafRef = useRef(null);
   const activeImageRef = useRef(0);
   const [showStickyCart, setShowStickyCart] = useState(false);
-  const sizesSectionRef = useRef(null);
+  const optionsSectionRef = useRef(null);
+  const notifyFormRef = useRef(null);
 
   // Always fetch fresh product (with metafields)
   useEffect(() => {
@@ -319,70 +341,31 @@ const ProductDetails = () => {
     return out;
   }, [sizeChartField]);
 
-  // Size options (variants, options, size chart fallback)
-  const sizeOptions = useMemo(() => {
-    if (!product) return [];
-    const entries = Object.entries(product.optionValues || {});
-    const byName =
-      entries.find(([name]) => name === 'size') ||
-      entries.find(([name]) => name.includes('size'));
-    if (byName?.[1]?.length) return byName[1];
-
-    const sizeOpt = (product.options || []).find((o) =>
-      (o?.name || '').toLowerCase().includes('size'),
-    );
-    if (sizeOpt?.values?.length) {
-      return sizeOpt.values.filter(
-        (val) => val && !/default\s*title/i.test(String(val)),
-      );
-    }
-
-    const variantSizes = new Set();
-    (product.variants || []).forEach((variant) => {
-      (variant.selectedOptions || []).forEach((option) => {
-        if ((option?.name || '').toLowerCase().includes('size') && option?.value) {
-          variantSizes.add(option.value);
-        }
-      });
-      const title = variant?.title || '';
-      if (title && !/default\s*title/i.test(title)) {
-        title
-          .split('/')
-          .map((t) => t.trim())
-          .filter(Boolean)
-          .forEach((token) => variantSizes.add(token));
-      }
-    });
-
-    if (variantSizes.size === 0 && sizeChartRows?.length) {
-      sizeChartRows.forEach((row) => {
-        if (row?.size) variantSizes.add(row.size);
-      });
-    }
-
-    return Array.from(variantSizes);
-  }, [product, sizeChartRows]);
-  const hasSizes = sizeOptions.length > 0;
+  const productOptions = useMemo(() => getSelectableOptions(product), [product]);
+  const sizeOptionName =
+    productOptions.find((option) => normaliseTokenValue(option.name).includes('size'))?.name ??
+    null;
+  const hasSizes = Boolean(sizeOptionName);
+
+  // The query string is the source of truth for the selection, so shared links and
+  // back/forward land on the same variant; missing or stale values fall back to stock.
+  const selection = useMemo(
+    () =>
+      product
+        ? initialOptionSelection(product, optionsFromSearchParams(product, searchParams))
+        : {},
+    [product, searchParams],
+  );
 
-  useEffect(() => {
-    if (!product) return;
-    const focusSize = location.state?.focusSize;
-    if (
-      focusSize &&
-      sizeOptions.some(
-        (option) => option?.toLowerCase() === focusSize.toString().toLowerCase(),
-      )
-    ) {
-      const matched =
-        sizeOptions.find(
-          (option) => option?.toLowerCase() === focusSize.toString().toLowerCase(),
-        ) ?? sizeOptions[0] ?? null;
-      setSelectedSize(matched);
-    } else {
-      setSelectedSize(sizeOptions[0] ?? null);
-    }
-    setPincode('');
-  }, [product, sizeOptions, location.state]);
+  const selectedVariant = useMemo(
+    () => (product ? findVariantByOptions(product, selection) : null),
+    [product, selection],
+  );
+  const canPurchase = Boolean(selectedVariant?.availableForSale);
+  // A real variant that is out of stock gets the back-in-stock form instead of the buy buttons.
+  const isSoldOut = Boolean(selectedVariant) && !canPurchase;
+  const stockLeft = lowStockQuantity(selectedVariant);
+  const purchaseLabel = canPurchase ? 'Add to Cart' : selectedVariant ? 'Sold Out' : 'Unavailable';
 
   const hasSizeChart =
     Boolean(sizeChartRows?.length) ||
@@ -394,9 +377,9 @@ const ProductDetails = () => {
 
   useEffect(() => {
     const handleScroll = () => {
-      if (!sizesSectionRef.current) return;
-      const rect = sizesSectionRef.current.getBoundingClientRect();
-      // Show sticky cart when the size section is scrolled past
+      if (!optionsSectionRef.current) return;
+      const rect = optionsSectionRef.current.getBoundingClientRect();
+      // Show sticky cart when the option selectors are scrolled past
       setShowStickyCart(rect.bottom < 0);
     };
 
@@ -418,14 +401,22 @@ const ProductDetails = () => {
   useEffect(() => {
   }, [product]);
 
-  // Compute product images before conditional returns to maintain hook order
-  const productImages = useMemo(
-    () => (product?.images ?? []).filter((image) => image?.url),
-    [product],
-  );
+  // Compute product images before conditional returns to maintain hook order.
+  // The selected variant's own image always leads the gallery.
+  const variantImage = selectedVariant?.image ?? null;
+  const productImages = useMemo(() => {
+    const images = (product?.images ?? []).filter((image) => image?.url);
+    if (!variantImage?.url) return images;
+    return [variantImage, ...images.filter((image) => image.url !== variantImage.url)];
+  }, [product, variantImage]);
   const hasMultipleImages = productImages.length > 1;
-  const priceLabel = product ? formatMoney(product.price, product.currencyCode) : '';
-  const heroImage = product?.featuredImage?.url ?? product?.images?.[0]?.url ?? '';
+  const priceLabel = selectedVariant
+    ? formatMoney(selectedVariant.price, selectedVariant.currencyCode)
+    : product
+      ? formatMoney(product.price, product.currencyCode)
+      : '';
+  const heroImage =
+    variantImage?.url ?? product?.featuredImage?.url ?? product?.images?.[0]?.url ?? '';
 
   useEffect(() => {
     if (activeImage > productImages.length - 1) {
@@ -465,12 +456,19 @@ const ProductDetails = () => {
     return <NotFound />;
   }
 
+  // Cart lines carry the variant id; the title ("Black / M") is what the cart shows.
+  const variantLabel = productOptions.length ? selectedVariant?.title ?? null : null;
+
   const handleAddToCart = () => {
-    const size = selectedSize ?? sizeOptions[0] ?? null;
-    addItem(product.handle, { size: hasSizes ? size : null });
+    if (!canPurchase) return;
+    addItem(product.handle, {
+      size: variantLabel,
+      merchandiseId: selectedVariant.id,
+      maxQuantity: maxPurchasableQuantity(selectedVariant),
+    });
     notify({
       title: 'Added to Cart',
-      message: `${product.title}${hasSizes && size ? ` - Size ${size}` : ''}`,
+      message: `${product.title}${variantLabel ? ` - ${variantLabel}` : ''}`,
       actionLabel: 'View Cart',
       onAction: () => navigate('/cart'),
     });
@@ -478,12 +476,35 @@ const ProductDetails = () => {
   };
 
   const handleBuyNow = () => {
-    const size = selectedSize ?? sizeOptions[0] ?? null;
-    addItem(product.handle, { size: hasSizes ? size : null });
+    if (!canPurchase) return;
+    addItem(product.handle, {
+      size: variantLabel,
+      merchandiseId: selectedVariant.id,
+      maxQuantity: maxPurchasableQuantity(selectedVariant),
+    });
     if (openCartDrawer) openCartDrawer();
     else navigate('/cart');
   };
 
+  const handleNotifyMe = () => {
+    notifyFormRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    notifyFormRef.current?.querySelector('input')?.focus({ preventScroll: true });
+  };
+
+  const handleSelectOption = (name, value) => {
+    const next = selectOptionValue(product, selection, name, value);
+    const params = new URLSearchParams(searchParams);
+    Object.entries(next).forEach(([optionName, optionValue]) => {
+      params.set(optionSearchKey(optionName), optionValue);
+    });
+    setSearchParams(params, { state: { preserveScroll: true }, preventScrollReset: true });
+    const nextImage = findVariantByOptions(product, next)?.image;
+    if (nextImage?.url && nextImage.url !== variantImage?.url) {
+      setActiveImage(0);
+      carouselRef.current?.scrollTo({ left: 0, behavior: 'smooth' });
+    }
+  };
+
 
 
   const scrollToImage = (index) => {
@@ -535,6 +556,32 @@ const ProductDetails = () => {
     scrollToImage(nextIndex);
   };
 
+  const productBadges = getProductBadges(product);
+
+  // Savings follow the selected variant, since sizes can be marked down differently.
+  const priceSource = selectedVariant ?? product;
+  const saleSummary = priceSource.compareAtPrice ? (
+    <p className="flex flex-wrap items-center gap-x-3 gap-y-1 text-[11px] uppercase tracking-[0.24em]">
+      <s className="text-neutral-400">
+        {formatMoney(priceSource.compareAtPrice, priceSource.currencyCode)}
+      </s>
+      <span className="text-emerald-700">
+        Save {formatMoney(priceSource.compareAtPrice - priceSource.price, priceSource.currencyCode)}{' '}
+        ({discountPercent(priceSource.price, priceSource.compareAtPrice)}% Off)
+      </span>
+    </p>
+  ) : null;
+
+  const ratingSummary = product.reviews?.count ? (
+    <a
+      href="#reviews"
+      className="flex items-center gap-2 text-[10px] uppercase tracking-[0.24em] text-neutral-500 hover:text-neutral-900"
+    >
+      <RatingStars rating={product.reviews.average} />
+      {product.reviews.average.toFixed(1)} ({product.reviews.count})
+    </a>
+  ) : null;
+
   const subheading = getSubheadingFromProduct(product);
   const descriptionHtml = product.descriptionHtml ?? `<p>${product.description ?? ''}</p>`;
   const featureTags = product.tags?.slice(0, 4) ?? [];
@@ -608,6 +655,7 @@ const ProductDetails = () => {
             <div className="hidden lg:block">
               <Breadcrumbs title={product.title} className="mb-2" />
               <div className="space-y-3">
+                <ProductBadges badges={productBadges} />
                 <h1 className="text-3xl font-semibold uppercase tracking-[0.25em] text-neutral-900">
                   {product.title}
                 </h1>
@@ -623,6 +671,8 @@ const ProductDetails = () => {
                   />
                 )}
                 <p className="text-lg tracking-[0.18em] text-neutral-600">{priceLabel}</p>
+                {saleSummary}
+                {ratingSummary}
               </div>
             </div>
 
@@ -760,12 +810,15 @@ const ProductDetails = () => {
               <div className="space-y-2 lg:hidden">
                 <div className="flex items-start justify-between gap-3">
                   <div className="min-w-0 pr-2">
+                    <ProductBadges badges={productBadges} className="mb-2" />
                     <h2 className="text-[15px] font-semibold uppercase leading-tight tracking-[0.2em] text-neutral-900 break-words sm:text-lg">
                       {product.title}
                     </h2>
                     <p className="mt-1 text-[13px] tracking-[0.14em] text-neutral-700 sm:text-sm">
                       {priceLabel}
                     </p>
+                    {saleSummary}
+                    {ratingSummary}
                   </div>
                   {hasSizes && (
                     <button
@@ -794,40 +847,67 @@ const ProductDetails = () => {
                 )}
               </div>
 
-              {hasSizes && (
-                <section ref={sizesSectionRef}>
-                  <div className="mb-4 flex items-center justify-between">
-                    <h2 className="text-[10px] uppercase tracking-[0.28em] text-neutral-500">
-                      Size
-                    </h2>
-                    <button
-                      type="button"
-                      onClick={() => canOpenSizeChart && setSizeChartOpen(true)}
-                      disabled={!canOpenSizeChart}
-                      className={`hidden text-[10px] uppercase tracking-[0.26em] underline-offset-4 transition lg:inline-flex ${canOpenSizeChart
-                        ? 'text-neutral-700 hover:underline'
-                        : 'cursor-not-allowed text-neutral-300'
-                        }`}
-                    >
-                      Size Chart
-                    </button>
-                  </div>
-                  <div className="grid grid-cols-5 gap-2 sm:grid-cols-5 lg:grid-cols-4">
-                    {sizeOptions.map((size) => (
-                      <button
-                        key={size}
-                        type="button"
-                        onClick={() => setSelectedSize(size)}
-                        className={`rounded-lg border px-2 py-2 text-[9px] font-semibold uppercase tracking-[0.18em] transition sm:text-[10px] ${selectedSize === size
-                          ? 'border-neutral-900 bg-neutral-900 text-white'
-                          : 'border-neutral-300 bg-neutral-50 text-neutral-600 hover:border-neutral-900 hover:text-neutral-900'
-                          }`}
-                      >
-                        {size}
-                      </button>
-                    ))}
-                  </div>
-                </section>
+              {productOptions.length > 0 && (
+                <div ref={optionsSectionRef} className="space-y-6">
+                  {productOptions.map((option) => (
+                    <section key={option.name}>
+                      <div className="mb-4 flex items-center justify-between">
+                        <h2 className="text-[10px] uppercase tracking-[0.28em] text-neutral-500">
+                          {option.name}
+                          {selection[option.name] && (
+                            <span className="ml-2 text-neutral-900">{selection[option.name]}</span>
+                          )}
+                        </h2>
+                        {option.name === sizeOptionName && (
+                          <button
+                            type="button"
+                            onClick={() => canOpenSizeChart && setSizeChartOpen(true)}
+                            disabled={!canOpenSizeChart}
+                            className={`hidden text-[10px] uppercase tracking-[0.26em] underline-offset-4 transition lg:inline-flex ${canOpenSizeChart
+                              ? 'text-neutral-700 hover:underline'
+                              : 'cursor-not-allowed text-neutral-300'
+                              }`}
+                          >
+                            Size Chart
+                          </button>
+                        )}
+                      </div>
+                      <div className="grid grid-cols-5 gap-2 sm:grid-cols-5 lg:grid-cols-4">
+                        {option.values.map((value) => {
+                          const isSelected = selection[option.name] === value;
+                          const { exists, available } = getOptionValueState(
+                            product,
+                            selection,
+                            option.name,
+                            value,
+                          );
+                          let stateClass =
+                            'border-neutral-300 bg-neutral-50 text-neutral-600 hover:border-neutral-900 hover:text-neutral-900';
+                          if (isSelected) {
+                            stateClass = available
+                              ? 'border-neutral-900 bg-neutral-900 text-white'
+                              : 'border-neutral-900 bg-neutral-100 text-neutral-400 line-through';
+                          } else if (!available) {
+                            stateClass =
+                              'border-neutral-200 bg-neutral-100 text-neutral-300 line-through hover:border-neutral-400';
+                          }
+                          return (
+                            <button
+                              key={value}
+                              type="button"
+                              onClick={() => handleSelectOption(option.name, value)}
+                              aria-pressed={isSelected}
+                              aria-label={`${option.name} ${value}${exists ? (available ? '' : ' (sold out)') : ' (unavailable)'}`}
+                              className={`rounded-lg border px-2 py-2 text-[9px] font-semibold uppercase tracking-[0.18em] transition sm:text-[10px] ${stateClass}`}
+                            >
+                              {value}
+                            </button>
+                          );
+                        })}
+                      </div>
+                    </section>
+                  ))}
+                </div>
               )}
 
               <div className="flex items-center gap-3 text-sm">
@@ -841,52 +921,55 @@ const ProductDetails = () => {
                 </label>
               </div>
 
-              <div className="space-y-3">
-                <button
-                  type="button"
-                  onClick={handleAddToCart}
-                  className="w-full border border-neutral-900 bg-neutral-900 py-4 text-[11px] uppercase tracking-[0.32em] text-white transition-transform duration-200 hover:bg-neutral-800 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-neutral-900 focus-visible:ring-offset-2 active:scale-95"
-                >
-                  Add to Cart
-                </button>
-                <button
-                  type="button"
-                  onClick={handleBuyNow}
-                  className="w-full border border-neutral-900 py-4 text-[11px] uppercase tracking-[0.32em] text-neutral-900 transition-transform duration-200 hover:bg-neutral-900 hover:text-white focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-neutral-900 focus-visible:ring-offset-2 active:scale-95"
-                >
-                  Buy Now
-                </button>
-              </div>
-
-              <section className="space-y-3">
-                <h2 className="text-[11px] uppercase tracking-[0.32em] text-neutral-600">
-                  Delivery Details
-                </h2>
-                <div className="grid grid-cols-1 gap-3 sm:grid-cols-[minmax(0,1fr)_130px]">
-                  <input
-                    type="text"
-                    value={pincode}
-                    onChange={(event) => setPincode(event.target.value)}
-                    placeholder="ENTER YOUR PINCODE"
-                    className="h-full min-h-[52px] border border-neutral-300 px-5 py-3 text-sm tracking-[0.18em] text-neutral-700 placeholder:text-neutral-400 focus:border-neutral-900 focus:outline-none focus:ring-1 focus:ring-neutral-900"
+              {isSoldOut ? (
+                <div ref={notifyFormRef}>
+                  <BackInStockForm
+                    productHandle={product.handle}
+                    variant={selectedVariant}
+                    variantLabel={variantLabel}
                   />
+                </div>
+              ) : (
+                <div className="space-y-3">
+                  {stockLeft && (
+                    <p className="text-[11px] uppercase tracking-[0.28em] text-amber-700" role="status">
+                      Only {stockLeft} left
+                    </p>
+                  )}
                   <button
                     type="button"
-                    className="flex h-full min-h-[52px] items-center justify-center border border-neutral-900 px-5 text-[11px] uppercase tracking-[0.32em] text-neutral-900 transition hover:bg-neutral-900 hover:text-white"
-                    onClick={() => {
-                      if (!pincode.trim()) return;
-                      window.alert(`Checking delivery availability for ${pincode.trim()}`);
-                    }}
+                    onClick={handleAddToCart}
+                    disabled={!canPurchase}
+                    className="w-full border border-neutral-900 bg-neutral-900 py-4 text-[11px] uppercase tracking-[0.32em] text-white transition-transform duration-200 hover:bg-neutral-800 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-neutral-900 focus-visible:ring-offset-2 active:scale-95 disabled:cursor-not-allowed disabled:border-neutral-300 disabled:bg-neutral-300 disabled:active:scale-100"
                   >
-                    Check
+                    {purchaseLabel}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleBuyNow}
+                    disabled={!canPurchase}
+                    className="w-full border border-neutral-900 py-4 text-[11px] uppercase tracking-[0.32em] text-neutral-900 transition-transform duration-200 hover:bg-neutral-900 hover:text-white focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-neutral-900 focus-visible:ring-offset-2 active:scale-95 disabled:cursor-not-allowed disabled:border-neutral-300 disabled:text-neutral-400 disabled:hover:bg-transparent disabled:active:scale-100"
+                  >
+                    Buy Now
                   </button>
                 </div>
+              )}
+
+              <section className="space-y-3">
+                <h2 className="text-[11px] uppercase tracking-[0.32em] text-neutral-600">
+                  Delivery Details
+                </h2>
+                <DeliveryEstimate id="pdp-pincode" />
               </section>
             </div>
           </div>
         </div>
       </div>
 
+      <div className="site-shell">
+        <ProductReviews reviews={product.reviews} />
+      </div>
+
       {relatedProducts.length > 0 && (
         <section className="mt-24 pb-4">
           <div className="border-t border-neutral-200 py-6 px-2">
@@ -1062,10 +1145,11 @@ const ProductDetails = () => {
             {/* Add to Cart Button */}
             <button
               type="button"
-              onClick={handleAddToCart}
-              className="flex-shrink-0 border border-neutral-900 bg-neutral-900 px-6 py-3 text-[10px] uppercase tracking-[0.28em] text-white transition hover:bg-neutral-800"
+              onClick={isSoldOut ? handleNotifyMe : handleAddToCart}
+              disabled={!canPurchase && !isSoldOut}
+              className="flex-shrink-0 border border-neutral-900 bg-neutral-900 px-6 py-3 text-[10px] uppercase tracking-[0.28em] text-white transition hover:bg-neutral-800 disabled:cursor-not-allowed disabled:border-neutral-300 disabled:bg-neutral-300"
             >
-              Add to Cart
+              {isSoldOut ? 'Notify Me' : purchaseLabel}
             </button>
           </div>
         </div>
@@ -1,201 +1,143 @@
 // src/pages/SearchPage.jsx
 import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import { Link, useSearchParams } from 'react-router-dom';
+import { ChevronDown } from 'lucide-react';
 import ProductCard from '../components/ProductCard';
+import LoadMore from '../components/LoadMore';
+import ProductFilters from '../components/ProductFilters';
 import { useCatalog } from '../contexts/catalog-context';
-import { toProductCard } from '../lib/shopify';
+import { useProductSearch, useSearch } from '../contexts/search-context';
+import { useListingScrollRestoration, usePagedProducts } from '../hooks/use-product-listing';
+import {
+  applyFiltersLocally,
+  clearFilterParams,
+  filterParamsKey,
+  filtersFromSearchParams,
+  resolveFilterInputs,
+} from '../lib/filters';
+import {
+  LISTING_PAGE_SIZE,
+  infiniteScrollEnabled,
+  pageFromSearchParams,
+  withPageParam,
+} from '../lib/pagination';
+import { searchProductsPage, toProductCard } from '../lib/shopify';
+import { sortFromSearchParams, sortOptionsFor, storefrontSort, withSortParam } from '../lib/sorting';
 
-const normalizeSearchText = (value) =>
-  String(value ?? '')
-    .toLowerCase()
-    .normalize('NFD')
-    .replace(/[\u0300-\u036f]/g, '')
-    .replace(/[^a-z0-9]+/g, ' ')
-    .trim();
+const CLOSE_MATCH_LIMIT = 8;
+const RECOVERY_COLLECTION_LIMIT = 6;
+const RECOVERY_PRODUCT_LIMIT = 4;
 
-const buildSearchableText = (product) => {
-  const parts = [];
-  const push = (value) => {
-    if (value === null || value === undefined || value === '') return;
-    parts.push(String(value));
-  };
-
-  push(product?.title);
-  push(product?.handle);
-  push(product?.vendor);
-  push(product?.productType);
-  push(product?.description);
-
-  (product?.tags ?? []).forEach(push);
-  (product?.options ?? []).forEach((option) => {
-    push(option?.name);
-    (option?.values ?? []).forEach(push);
-  });
-  (product?.variants ?? []).forEach((variant) => {
-    push(variant?.title);
-    push(variant?.sku);
-    (variant?.selectedOptions ?? []).forEach((opt) => push(opt?.value));
-  });
-  (product?.collections ?? []).forEach((collection) => {
-    push(collection?.title);
-    push(collection?.handle);
-  });
-
-  return normalizeSearchText(parts.join(' '));
-};
-
-const buildSuggestions = (products, query, limit = 6) => {
-  const candidates = [];
-  (products ?? []).forEach((product) => {
-    if (!product?.title) return;
-    candidates.push({
-      label: product.title,
-      normalized: normalizeSearchText(product.title),
-    });
-  });
+const hiddenHandles = new Set(['home-page', 'homepage', 'frontpage', 'front-page', 'home']);
 
-  const queryNormalized = normalizeSearchText(query);
-  const tokens = queryNormalized ? queryNormalized.split(' ').filter(Boolean) : [];
-
-  if (!queryNormalized) {
-    const seen = new Set();
-    const out = [];
-    for (const item of candidates) {
-      if (!item.normalized || seen.has(item.normalized)) continue;
-      seen.add(item.normalized);
-      out.push(item.label);
-      if (out.length >= limit) break;
-    }
-    return out;
-  }
-
-  const scored = candidates
-    .filter((item) => (tokens.length ? tokens.every((t) => item.normalized.includes(t)) : true))
-    .map((item) => {
-      const exact = queryNormalized && item.normalized === queryNormalized ? 1 : 0;
-      const starts = queryNormalized && item.normalized.startsWith(queryNormalized) ? 1 : 0;
-      const contains = queryNormalized && item.normalized.includes(queryNormalized) ? 1 : 0;
-      return {
-        ...item,
-        score: exact * 100 + starts * 50 + contains * 20,
-      };
-    })
-    .sort((a, b) => {
-      if (b.score !== a.score) return b.score - a.score;
-      return a.label.length - b.label.length;
-    });
-
-  const seen = new Set();
-  const out = [];
-  for (const item of scored) {
-    if (!item.normalized || seen.has(item.normalized)) continue;
-    seen.add(item.normalized);
-    out.push(item.label);
-    if (out.length >= limit) break;
-  }
-  return out;
-};
-
-const recentSearchKey = 'evrydae-recent-searches-v1';
-const readRecentSearches = () => {
-  if (typeof window === 'undefined') return [];
-  try {
-    const raw = window.localStorage.getItem(recentSearchKey);
-    const parsed = raw ? JSON.parse(raw) : [];
-    return Array.isArray(parsed) ? parsed.filter(Boolean) : [];
-  } catch {
-    return [];
-  }
-};
+// In-page changes keep the shopper where they are.
+const inPlace = { state: { preserveScroll: true }, preventScrollReset: true };
 
 const SearchPage = () => {
   const [searchParams, setSearchParams] = useSearchParams();
   const initialQuery = searchParams.get('q') ?? '';
   const [query, setQuery] = useState(initialQuery);
-  const { products: catalogProducts, loading: catalogLoading } = useCatalog();
-  const [recentSearches, setRecentSearches] = useState([]);
+  const {
+    recentSearches,
+    rememberSearch,
+    forgetSearch,
+    clearRecentSearches,
+  } = useSearch();
 
   useEffect(() => {
     setQuery(initialQuery);
   }, [initialQuery]);
 
-  useEffect(() => {
-    setRecentSearches(readRecentSearches());
-  }, []);
-
   const trimmedQuery = initialQuery.trim();
+  // The local engine's typo and synonym matching backs up Shopify's exact-word search.
+  const { results: localMatches, suggestions, correction } = useProductSearch(trimmedQuery, {
+    limit: CLOSE_MATCH_LIMIT,
+  });
+  const { productCards: catalogCards, collections: catalogCollections } = useCatalog();
 
-  const searchIndex = useMemo(
-    () =>
-      (catalogProducts ?? []).map((product) => ({
-        product,
-        haystack: buildSearchableText(product),
-      })),
-    [catalogProducts],
+  const filterKey = filterParamsKey(searchParams);
+  const filterParams = useMemo(() => new URLSearchParams(filterKey), [filterKey]);
+  const activeFilters = useMemo(() => filtersFromSearchParams(filterParams), [filterParams]);
+  const sortOption = sortFromSearchParams(searchParams, 'search');
+  const page = pageFromSearchParams(searchParams);
+
+  const fetchResultsPage = useCallback(
+    async (limit, after) => {
+      const filters = await resolveFilterInputs(
+        filterParams,
+        async () => (await searchProductsPage(trimmedQuery, 1)).filters,
+      );
+      return searchProductsPage(trimmedQuery, limit, after, {
+        filters,
+        ...storefrontSort(sortOption, 'search'),
+      });
+    },
+    [trimmedQuery, filterParams, sortOption],
+  );
+  const { listing, facets, loading } = usePagedProducts({
+    enabled: Boolean(trimmedQuery),
+    key: `${trimmedQuery}?${filterKey}&sort=${sortOption.value}`,
+    facetScope: trimmedQuery,
+    visibleLimit: page * LISTING_PAGE_SIZE,
+    fetchPage: fetchResultsPage,
+    label: `search results for "${trimmedQuery}"`,
+  });
+
+  const productResults = useMemo(
+    () => (listing?.products ?? []).map(toProductCard).filter(Boolean),
+    [listing],
   );
+  const isSearching = Boolean(trimmedQuery) && !listing;
+  const totalCount = listing?.totalCount ?? productResults.length;
 
-  const productResults = useMemo(() => {
-    if (!trimmedQuery) return [];
-    const tokens = normalizeSearchText(trimmedQuery).split(' ').filter(Boolean);
-    if (!tokens.length) return [];
-    return searchIndex
-      .filter(({ haystack }) => tokens.every((token) => haystack.includes(token)))
-      .map(({ product }) => toProductCard(product))
-      .filter(Boolean);
-  }, [trimmedQuery, searchIndex]);
+  useListingScrollRestoration(!isSearching && !loading);
 
-  const persistRecentSearch = useCallback((term) => {
-    const trimmed = term.trim();
-    if (!trimmed) return;
-    const normalized = normalizeSearchText(trimmed);
-    setRecentSearches((prev) => {
-      const next = [
-        trimmed,
-        ...prev.filter((item) => normalizeSearchText(item) !== normalized),
-      ].slice(0, 8);
-      if (typeof window !== 'undefined') {
-        window.localStorage.setItem(recentSearchKey, JSON.stringify(next));
-      }
-      return next;
-    });
-  }, []);
+  const handleFiltersChange = (next) => {
+    setSearchParams(withPageParam(next, 1), inPlace);
+  };
 
-  const removeRecentSearch = useCallback((term) => {
-    setRecentSearches((prev) => {
-      const normalized = normalizeSearchText(term);
-      const next = prev.filter((item) => normalizeSearchText(item) !== normalized);
-      if (typeof window !== 'undefined') {
-        window.localStorage.setItem(recentSearchKey, JSON.stringify(next));
-      }
-      return next;
-    });
-  }, []);
+  const handleSortChange = (value) => {
+    setSearchParams(withPageParam(withSortParam(searchParams, value, 'search'), 1), inPlace);
+  };
 
-  const clearRecentSearches = useCallback(() => {
-    setRecentSearches([]);
-    if (typeof window !== 'undefined') {
-      window.localStorage.setItem(recentSearchKey, JSON.stringify([]));
-    }
-  }, []);
+  // Replace rather than push, so Back leaves the results instead of un-loading pages.
+  const handleLoadMore = () => {
+    if (loading) return;
+    setSearchParams(withPageParam(searchParams, page + 1), { replace: true, ...inPlace });
+  };
 
-  const suggestions = useMemo(
-    () => buildSuggestions(catalogProducts, trimmedQuery, 6),
-    [catalogProducts, trimmedQuery],
+  const hasActiveFilters = activeFilters.length > 0;
+
+  const recoveryCollections = useMemo(
+    () =>
+      (catalogCollections ?? [])
+        .filter(
+          (collection) =>
+            collection?.handle && !hiddenHandles.has(String(collection.handle).toLowerCase()),
+        )
+        .slice(0, RECOVERY_COLLECTION_LIMIT),
+    [catalogCollections],
+  );
+  const recoveryProducts = (catalogCards ?? []).slice(0, RECOVERY_PRODUCT_LIMIT);
+  const closeMatches = useMemo(
+    () => applyFiltersLocally(localMatches, activeFilters).map(toProductCard).filter(Boolean),
+    [localMatches, activeFilters],
   );
 
   const handleSubmit = (event) => {
     event.preventDefault();
     const nextQuery = query.trim();
     if (!nextQuery) return;
-    persistRecentSearch(nextQuery);
+    rememberSearch(nextQuery);
+    // A new query starts over: its facets differ, so the old filters and page go.
     setSearchParams({ q: nextQuery });
   };
 
   useEffect(() => {
     if (trimmedQuery) {
-      persistRecentSearch(trimmedQuery);
+      rememberSearch(trimmedQuery);
     }
-  }, [trimmedQuery, persistRecentSearch]);
+  }, [trimmedQuery, rememberSearch]);
 
   return (
     <section className="mx-auto w-full max-w-6xl px-4 py-16 sm:px-6 lg:px-8">
@@ -257,14 +199,14 @@ const SearchPage = () => {
                   <li key={`recent-${item}`} className="flex items-center justify-between gap-2">
                     <Link
                       to={`/search?q=${encodeURIComponent(item)}`}
-                      onClick={() => persistRecentSearch(item)}
+                      onClick={() => rememberSearch(item)}
                       className="flex-1 transition hover:text-neutral-900"
                     >
                       {item}
                     </Link>
                     <button
                       type="button"
-                      onClick={() => removeRecentSearch(item)}
+                      onClick={() => forgetSearch(item)}
                       className="rounded-full border border-neutral-200 px-2 py-1 text-[10px] uppercase tracking-[0.25em] text-neutral-400 transition hover:border-neutral-900 hover:text-neutral-900"
                       aria-label={`Remove ${item}`}
                     >
@@ -283,7 +225,7 @@ const SearchPage = () => {
               <li key={item}>
                 <Link
                   to={`/search?q=${encodeURIComponent(item)}`}
-                  onClick={() => persistRecentSearch(item)}
+                  onClick={() => rememberSearch(item)}
                   className="transition hover:text-neutral-900"
                 >
                   {item}
@@ -295,21 +237,135 @@ const SearchPage = () => {
 
         <div>
           {trimmedQuery ? (
-            catalogLoading ? (
-              <p className="text-sm uppercase tracking-[0.3em] text-neutral-500">
-                Searching for “{trimmedQuery}”…
-              </p>
-            ) : productResults.length > 0 ? (
-              <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
-                {productResults.map((item) => (
-                  <ProductCard key={item.href} item={item} />
-                ))}
+            <>
+              <div className="mb-8 flex flex-col justify-between gap-4 text-[11px] uppercase tracking-wide lg:flex-row lg:items-center">
+                <ProductFilters
+                  facets={facets}
+                  searchParams={searchParams}
+                  onChange={handleFiltersChange}
+                />
+                <div className="flex flex-wrap items-center gap-4 sm:gap-6">
+                  <span className="text-neutral-500">Sort By:</span>
+                  <div className="relative">
+                    <select
+                      value={sortOption.value}
+                      onChange={(e) => handleSortChange(e.target.value)}
+                      className="cursor-pointer appearance-none bg-transparent pr-4 font-bold uppercase focus:outline-none"
+                    >
+                      {sortOptionsFor('search').map((opt) => (
+                        <option key={opt.value} value={opt.value}>{opt.label}</option>
+                      ))}
+                    </select>
+                    <ChevronDown className="pointer-events-none absolute right-0 top-1/2 h-3 w-3 -translate-y-1/2" />
+                  </div>
+                  {!isSearching && (
+                    <span className="text-neutral-400">
+                      {totalCount} {totalCount === 1 ? 'Result' : 'Results'}
+                    </span>
+                  )}
+                </div>
               </div>
-            ) : (
-              <p className="text-sm uppercase tracking-[0.3em] text-neutral-500">
-                No products matched “{trimmedQuery}”.
-              </p>
-            )
+
+              {isSearching ? (
+                <p className="text-sm uppercase tracking-[0.3em] text-neutral-500">
+                  Searching for “{trimmedQuery}”…
+                </p>
+              ) : productResults.length > 0 ? (
+                <>
+                  <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
+                    {productResults.map((item) => (
+                      <ProductCard key={item.href} item={item} />
+                    ))}
+                  </div>
+                  <LoadMore
+                    hasMore={Boolean(listing?.hasNextPage)}
+                    loading={loading}
+                    onLoadMore={handleLoadMore}
+                    auto={infiniteScrollEnabled}
+                    shownCount={productResults.length}
+                  />
+                </>
+              ) : (
+                <div className="space-y-10">
+                  <div className="space-y-3 text-sm uppercase tracking-[0.3em] text-neutral-500">
+                    <p>
+                      No products matched “{trimmedQuery}”
+                      {hasActiveFilters ? ' with these filters' : ''}.
+                    </p>
+                    {hasActiveFilters && (
+                      <button
+                        type="button"
+                        onClick={() => handleFiltersChange(clearFilterParams(searchParams))}
+                        className="text-neutral-900 underline underline-offset-4"
+                      >
+                        Clear filters
+                      </button>
+                    )}
+                    {correction && (
+                      <p>
+                        Did you mean{' '}
+                        <Link
+                          to={`/search?q=${encodeURIComponent(correction)}`}
+                          className="text-neutral-900 underline underline-offset-4"
+                        >
+                          {correction}
+                        </Link>
+                        ?
+                      </p>
+                    )}
+                    <p className="text-xs text-neutral-400">
+                      Check the spelling, try a broader term or browse below.
+                    </p>
+                  </div>
+
+                  {closeMatches.length > 0 && (
+                    <div>
+                      <h2 className="text-[11px] uppercase tracking-[0.35em] text-neutral-500">
+                        Close Matches
+                      </h2>
+                      <div className="mt-4 grid grid-cols-2 gap-4 lg:grid-cols-4">
+                        {closeMatches.map((item) => (
+                          <ProductCard key={item.href} item={item} />
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {recoveryCollections.length > 0 && (
+                    <div>
+                      <h2 className="text-[11px] uppercase tracking-[0.35em] text-neutral-500">
+                        Shop Collections
+                      </h2>
+                      <ul className="mt-4 flex flex-wrap gap-3">
+                        {recoveryCollections.map((collection) => (
+                          <li key={collection.handle}>
+                            <Link
+                              to={`/products?category=${encodeURIComponent(collection.handle)}`}
+                              className="inline-block rounded-full border border-neutral-300 px-4 py-2 text-[11px] uppercase tracking-[0.28em] text-neutral-700 transition hover:border-neutral-900 hover:text-neutral-900"
+                            >
+                              {collection.title}
+                            </Link>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                  {closeMatches.length === 0 && recoveryProducts.length > 0 && (
+                    <div>
+                      <h2 className="text-[11px] uppercase tracking-[0.35em] text-neutral-500">
+                        Popular Right Now
+                      </h2>
+                      <div className="mt-4 grid grid-cols-2 gap-4 lg:grid-cols-4">
+                        {recoveryProducts.map((item) => (
+                          <ProductCard key={item.href} item={item} />
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              )}
+            </>
           ) : (
             <p className="text-sm uppercase tracking-[0.3em] text-neutral-500">
               Start typing to discover the latest drops.